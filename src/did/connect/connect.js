@@ -10,8 +10,9 @@ export class DidConnect {
   #did = null;
   #permissionsRequests = [];
 
-  
-  // TODO: Replace this once the DID Manager and Keystore have been implemented
+
+  // Remembers which managed DID belongs to the app. Once a keystore is configured, the DID record itself, including
+  // keys, is only held by the DID manager.
   #storage = null;
   #didStoreName = null;
 
@@ -94,7 +95,6 @@ export class DidConnect {
           const pinBytes = await this.web5.did.decrypt({
             did: this.#did.id,
             payload: verificationResult.payload,
-            privateKey: this.#did.keys[0].keyPair.privateKeyJwk.d, // TODO: Remove once a keystore has been implemented
           });
           const pin = this.web5.dwn.sdk.Encoder.bytesToString(pinBytes);
 
@@ -130,7 +130,7 @@ export class DidConnect {
           this.#did.endpoint.permissions = { ...this.#did.endpoint?.permissions,
             [authorizedDid]: { ...delegationResult.message },
           };
-          this.#storage.set(this.#didStoreName, { ...this.#did });
+          await this.#saveAppDid();
 
           // Emit event notifying the DWA that the connection was authorized and which DID the app was authorized
           // to use for interactions with the Provider.
@@ -147,7 +147,7 @@ export class DidConnect {
           this.#did.endpoint.authorized = false;
           this.#did.endpoint.permissions = {};
           // Update DID store
-          this.#storage.set(this.#didStoreName, { ...this.#did });
+          await this.#saveAppDid();
 
           // Close and delete socket
           this.#client.removeEventListener('message', handleMessage);
@@ -204,14 +204,31 @@ export class DidConnect {
     // If the DID is already stored in memory, nothing to to
     if (this.#did !== null) return;
 
-    // Try to load from storage;
-    let didLoadOrCreate = await this.#storage.get(this.#didStoreName);
+    // Storage holds either the app DID, whose record is held by the DID manager, or the DID record itself, as stored
+    // by earlier versions and whenever no keystore is configured.
+    const appDid = await this.#storage.get(this.#didStoreName);
+    let didLoadOrCreate;
+    if (typeof appDid === 'string') {
+      didLoadOrCreate = await this.#web5.did.manager.get(appDid);
+    } else if (appDid?.id) {
+      didLoadOrCreate = await this.#web5.did.manager.get(appDid.id) ?? appDid;
+    }
     if (!didLoadOrCreate) {
-      // Could not load from storage, so create a new DID
+      // Could not load from the DID manager or storage, so create a new DID
       didLoadOrCreate = await this.#web5.did.create('key');
-      await this.#storage.set(this.#didStoreName, didLoadOrCreate);
     }
     this.#did = didLoadOrCreate;
+    await this.#saveAppDid();
+  }
+
+  /**
+   * Persist the app DID record, including its keys and connection settings, in the DID manager. Without a keystore,
+   * the DID manager only holds it in memory, so the record is also kept in storage to outlive the page.
+   * @returns {Promise<void>}
+   */
+  async #saveAppDid() {
+    await this.#web5.did.manager.set(this.#did.id, { ...this.#did });
+    await this.#storage.set(this.#didStoreName, this.#web5.did.manager.hasKeystore ? this.#did.id : { ...this.#did });
   }
 
   /**
@@ -269,7 +286,7 @@ export class DidConnect {
         host,
         port: this.#client.port,
       };
-      this.#storage.set(this.#didStoreName, { ...this.#did });
+      await this.#saveAppDid();
       return true;
 
     } catch (error) {
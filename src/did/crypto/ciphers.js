@@ -1 +1,2 @@
-export { X25519Xsalsa20Poly1305 } from './x25519-xsalsa20-poly1305.js';
\ No newline at end of file
+export { EcdhEsA256kw } from './ecdh-es-a256kw.js';
+export { X25519Xsalsa20Poly1305 } from './x25519-xsalsa20-poly1305.js';
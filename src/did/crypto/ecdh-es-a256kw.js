@@ -0,0 +1,203 @@
+import nacl from 'tweetnacl';
+import { x25519 } from '@noble/curves/ed25519';
+import { p256 } from '@noble/curves/p256';
+import { secp256k1 } from '@noble/curves/secp256k1';
+import { sha256 } from '@noble/hashes/sha256';
+import { Encoder } from '@tbd54566975/dwn-sdk-js';
+
+import { parseJwe, serializeJwe } from './jwe.js';
+import { ecPublicKeyJwkToBytes, generateKeyPair, toPublicKeyJwk } from './signing.js';
+import { subtle } from './webcrypto.js';
+import { verificationMethodToPublicKeyJwk } from '../utils.js';
+
+const ECDH_CURVES = {
+  'P-256': p256,
+  'secp256k1': secp256k1,
+};
+
+export class EcdhEsA256kw {
+  #ALG = 'ECDH-ES+A256KW';
+  #ENC = 'A256GCM';
+  #web5;
+
+  constructor(web5) {
+    this.#web5 = web5;
+  }
+
+  get web5() {
+    return this.#web5;
+  }
+
+  /**
+   * Decrypts a JWE with the recipient's key agreement private key, held in the DID manager.
+   *
+   * @param {object} options Object containing the decryption parameters
+   * @param {string} options.did DID of the recipient, whose private key is used to decrypt the data
+   * @param {string | object} options.payload JWE in compact, general or flattened JSON serialization
+   * @returns {Promise<Uint8Array>} A Promise that fulfills with a Uint8Array containing the plaintext.
+   */
+  async decrypt(options = { }) {
+    const { did } = options;
+    const jwe = parseJwe(options.payload);
+
+    const recipient = await this.#findRecipient(did, jwe.recipients);
+    const { alg, enc, epk, kid, apu, apv } = recipient.header;
+    if (alg !== this.#ALG) throw new Error(`Unsupported JWE key management algorithm: ${alg}`);
+    if (enc !== this.#ENC) throw new Error(`Unsupported JWE content encryption algorithm: ${enc}`);
+
+    const privateKeyJwk = await this.#privateKeyJwkFromManager(did, kid);
+    const keyEncryptionKey = deriveKey(sharedSecret(privateKeyJwk, epk), alg, apu, apv);
+
+    try {
+      const contentEncryptionKey = await unwrapKey(recipient.encryptedKey, keyEncryptionKey);
+      const plaintext = await subtle.decrypt(
+        { name: 'AES-GCM', iv: jwe.iv, additionalData: Encoder.stringToBytes(jwe.protected), tagLength: 128 },
+        contentEncryptionKey,
+        new Uint8Array([...jwe.ciphertext, ...jwe.tag]),
+      );
+      return new Uint8Array(plaintext);
+    } catch {
+      throw new Error('JWE decryption failed: the ciphertext or key is invalid');
+    }
+  }
+
+  /**
+   * Encrypts the payload for the recipient's key agreement key (X25519, P-256 or secp256k1) with
+   * ECDH-ES+A256KW key management and A256GCM content encryption.
+   *
+   * @param {object} options Object containing the encryption parameters
+   * @param {string} options.did DID of the recipient, whose public key is used to encrypt the data
+   * @param {string} [options.keyId] Key identifier to use from the recipient's DID document. Defaults to its only
+   *   `keyAgreement` key.
+   * @param {{ did: string, keyId?: string }[]} [options.recipients] Recipients to encrypt for, instead of `did` and
+   *   `keyId`. The content encryption key is wrapped for each of them.
+   * @param {ArrayBuffer | Uint8Array} options.payload The data to be encrypted (also know as the plaintext)
+   * @param {'A256GCM'} [options.enc] Content encryption algorithm. Defaults to 'A256GCM'.
+   * @param {object} [options.protectedHeader] Additional protected header parameters (e.g., `typ` and `cty`)
+   * @param {'compact' | 'general'} [options.serialization] Defaults to 'compact' for a single recipient, and
+   *   'general' for several
+   * @returns {Promise<string | object>} JWE in the requested serialization
+   */
+  async encrypt(options = { }) {
+    const { enc = this.#ENC } = options;
+    if (enc !== this.#ENC) throw new Error(`Unsupported JWE content encryption algorithm: ${enc}`);
+    const payload = (options.payload instanceof ArrayBuffer) ? new Uint8Array(options.payload) : options.payload;
+
+    const recipients = options.recipients ?? [{ did: options.did, keyId: options.keyId }];
+    if (!Array.isArray(recipients) || recipients.length === 0) throw new Error('At least one recipient is required');
+    const serialization = options.serialization ?? ((recipients.length === 1) ? 'compact' : 'general');
+
+    const contentEncryptionKey = nacl.randomBytes(32);
+
+    const wrappedKeys = [];
+    for (const { did, keyId } of recipients) {
+      const verificationMethod = await this.#keyAgreementMethodFromDid(did, keyId);
+      const recipientPublicKeyJwk = await verificationMethodToPublicKeyJwk(verificationMethod);
+
+      // A new ephemeral key is generated for every recipient of every message, on the curve of the recipient's key.
+      const ephemeralKeyPair = await generateKeyPair(recipientPublicKeyJwk.crv);
+      const keyEncryptionKey = deriveKey(sharedSecret(ephemeralKeyPair.privateKeyJwk, recipientPublicKeyJwk), this.#ALG);
+
+      wrappedKeys.push({
+        header: { alg: this.#ALG, kid: verificationMethod.id, epk: toPublicKeyJwk(ephemeralKeyPair.publicKeyJwk) },
+        encryptedKey: await wrapKey(contentEncryptionKey, keyEncryptionKey),
+      });
+    }
+
+    return serializeJwe({
+      protectedHeader: { ...options.protectedHeader, enc },
+      recipients: wrappedKeys,
+      encrypt: (protectedHeader) => encryptContent(payload, contentEncryptionKey, protectedHeader),
+    }, serialization);
+  }
+
+  async #findRecipient(did, recipients) {
+    for (const recipient of recipients) {
+      if (recipient.header.kid && await this.#privateKeyJwkFromManager(did, recipient.header.kid)) return recipient;
+    }
+    throw new Error(`JWE has no recipient whose key is held in the DID manager for ${did}`);
+  }
+
+  async #privateKeyJwkFromManager(did, kid) {
+    const key = await this.web5.did.manager.getKey(did, kid);
+    return key?.keyPair?.privateKeyJwk ?? key?.keyPair?.privateJwk;
+  }
+
+  async #keyAgreementMethodFromDid(did, keyId) {
+    // A key can be referenced by a full DID URL, in either `did` or `keyId`, or by a fragment relative to `did`.
+    let keyReference;
+    if (keyId?.startsWith('did:')) {
+      keyReference = keyId;
+    } else if (keyId) {
+      keyReference = `${did.split('#')[0]}#${keyId.replace(/^#/, '')}`;
+    } else if (did.includes('#')) {
+      keyReference = did;
+    }
+
+    // Encryption keys are always taken from the DID document, including for managed DIDs.
+    const keyAgreementMethods = (keyReference) ?
+      await this.web5.did.getKeys(keyReference, { managed: false }) :
+      await this.web5.did.getKeys(did, { purpose: 'keyAgreement', managed: false });
+    if (!keyAgreementMethods?.length) throw new Error('keyAgreement verification method not found in DID document');
+    if (keyAgreementMethods.length !== 1) throw new Error('Multiple keyAgreement entries in DID document. Specify a keyId to indicate which to use.');
+    return keyAgreementMethods[0];
+  }
+}
+
+/**
+ * Computes the ECDH shared secret of a private key and a public key on the same curve.
+ */
+function sharedSecret(privateKeyJwk, publicKeyJwk) {
+  if (privateKeyJwk.crv !== publicKeyJwk?.crv) throw new Error(`JWE key curves do not match: ${privateKeyJwk.crv} and ${publicKeyJwk?.crv}`);
+  const privateKey = Encoder.base64UrlToBytes(privateKeyJwk.d);
+
+  if (publicKeyJwk.crv === 'X25519') {
+    return x25519.getSharedSecret(privateKey, Encoder.base64UrlToBytes(publicKeyJwk.x));
+  }
+
+  const curve = ECDH_CURVES[publicKeyJwk.crv];
+  if (!curve) throw new Error(`Unsupported JWE key agreement curve: ${publicKeyJwk.crv}`);
+  // The shared secret is the x coordinate of the shared point.
+  return curve.getSharedSecret(privateKey, ecPublicKeyJwkToBytes(publicKeyJwk), true).slice(1);
+}
+
+/**
+ * Derives the 256-bit key encryption key with the Concat KDF (RFC 7518, section 4.6.2).
+ */
+function deriveKey(sharedSecret, algorithm, apu, apv) {
+  const lengthPrefixed = (bytes) => [...uint32(bytes.length), ...bytes];
+  const otherInfo = [
+    ...lengthPrefixed(Encoder.stringToBytes(algorithm)),
+    ...lengthPrefixed(apu ? Encoder.base64UrlToBytes(apu) : new Uint8Array()),
+    ...lengthPrefixed(apv ? Encoder.base64UrlToBytes(apv) : new Uint8Array()),
+    ...uint32(256),
+  ];
+  return sha256(new Uint8Array([...uint32(1), ...sharedSecret, ...otherInfo]));
+}
+
+function uint32(value) {
+  return [value >>> 24, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+}
+
+async function wrapKey(contentEncryptionKey, keyEncryptionKey) {
+  const kek = await subtle.importKey('raw', keyEncryptionKey, 'AES-KW', false, ['wrapKey']);
+  const cek = await subtle.importKey('raw', contentEncryptionKey, 'AES-GCM', true, ['encrypt']);
+  return new Uint8Array(await subtle.wrapKey('raw', cek, kek, 'AES-KW'));
+}
+
+async function unwrapKey(encryptedKey, keyEncryptionKey) {
+  const kek = await subtle.importKey('raw', keyEncryptionKey, 'AES-KW', false, ['unwrapKey']);
+  return subtle.unwrapKey('raw', encryptedKey, kek, 'AES-KW', 'AES-GCM', false, ['decrypt']);
+}
+
+async function encryptContent(plaintext, contentEncryptionKey, protectedHeader) {
+  const iv = nacl.randomBytes(12);
+  const key = await subtle.importKey('raw', contentEncryptionKey, 'AES-GCM', false, ['encrypt']);
+  const encrypted = new Uint8Array(await subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: Encoder.stringToBytes(protectedHeader), tagLength: 128 },
+    key,
+    plaintext,
+  ));
+  // WebCrypto appends the 128-bit authentication tag to the ciphertext.
+  return { iv, ciphertext: encrypted.slice(0, -16), tag: encrypted.slice(-16) };
+}
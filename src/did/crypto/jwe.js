@@ -0,0 +1,105 @@
+import { Encoder } from '@tbd54566975/dwn-sdk-js';
+
+/**
+ * JSON Web Encryption (RFC 7516) serialization.
+ *
+ * A JWE is handled in its general JSON form, `{ protected, recipients, iv, ciphertext, tag }`, where
+ * each recipient has its own `header` and `encrypted_key`. Compact JWE is a single recipient whose
+ * header is entirely protected.
+ */
+
+/**
+ * Whether a value is a JWE, in compact, general or flattened JSON serialization.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isJwe(value) {
+  if (typeof value === 'string') return value.split('.').length === 5;
+  return Boolean(value) && typeof value === 'object' && typeof value.iv === 'string' && typeof value.ciphertext === 'string';
+}
+
+/**
+ * @typedef {Object} ParsedJwe
+ * @property {string} protected Base64url encoded protected header, which is the additional authenticated data
+ * @property {{ header: object, encryptedKey: Uint8Array }[]} recipients Recipients, with their protected, shared
+ *   unprotected and per-recipient header parameters merged into `header`
+ * @property {Uint8Array} iv Initialization vector
+ * @property {Uint8Array} ciphertext Ciphertext
+ * @property {Uint8Array} tag Authentication tag
+ */
+
+/**
+ * @param {string | object} jwe Compact JWE, or general or flattened JSON serialization object
+ * @returns {ParsedJwe}
+ */
+export function parseJwe(jwe) {
+  if (!isJwe(jwe)) throw new Error('Malformed JWE: expected a compact JWE string or a JSON serialization object');
+
+  let general;
+  if (typeof jwe === 'string') {
+    const [protectedHeader, encryptedKey, iv, ciphertext, tag] = jwe.split('.');
+    general = { protected: protectedHeader, recipients: [{ encrypted_key: encryptedKey }], iv, ciphertext, tag };
+  } else {
+    // Flattened JSON serialization has a single recipient at the top level.
+    general = jwe.recipients ? jwe : { ...jwe, recipients: [{ header: jwe.header, encrypted_key: jwe.encrypted_key }] };
+  }
+
+  let protectedHeader;
+  try {
+    protectedHeader = general.protected ? Encoder.base64UrlToObject(general.protected) : { };
+  } catch {
+    throw new Error('Malformed JWE: protected header is not base64url encoded JSON');
+  }
+
+  return {
+    protected: general.protected ?? '',
+    recipients: general.recipients.map(recipient => ({
+      header: { ...protectedHeader, ...general.unprotected, ...recipient.header },
+      encryptedKey: Encoder.base64UrlToBytes(recipient.encrypted_key ?? ''),
+    })),
+    iv: Encoder.base64UrlToBytes(general.iv),
+    ciphertext: Encoder.base64UrlToBytes(general.ciphertext),
+    tag: Encoder.base64UrlToBytes(general.tag ?? ''),
+  };
+}
+
+/**
+ * Serializes a JWE. Compact serialization requires a single recipient, whose header is moved into the
+ * protected header.
+ *
+ * @param {object} jwe
+ * @param {object} jwe.protectedHeader Header parameters shared by all recipients (e.g., `enc`)
+ * @param {{ header: object, encryptedKey: Uint8Array }[]} jwe.recipients Recipients and their header parameters
+ *   (e.g., `alg`, `kid`, `epk`)
+ * @param {function(string): Promise<{ iv: Uint8Array, ciphertext: Uint8Array, tag: Uint8Array }>} jwe.encrypt
+ *   Encrypts the content, given the base64url encoded protected header to authenticate
+ * @param {'compact' | 'general'} [serialization] Defaults to 'compact'
+ * @returns {Promise<string | object>}
+ */
+export async function serializeJwe({ protectedHeader, recipients, encrypt }, serialization = 'compact') {
+  switch (serialization) {
+  case 'compact': {
+    if (recipients.length !== 1) throw new Error('Compact JWE serialization supports a single recipient');
+    const [{ header, encryptedKey }] = recipients;
+    const encodedHeader = Encoder.stringToBase64Url(JSON.stringify({ ...header, ...protectedHeader }));
+    const { iv, ciphertext, tag } = await encrypt(encodedHeader);
+    return [encodedHeader, ...[encryptedKey, iv, ciphertext, tag].map(Encoder.bytesToBase64Url)].join('.');
+  }
+
+  case 'general': {
+    const encodedHeader = Encoder.stringToBase64Url(JSON.stringify(protectedHeader));
+    const { iv, ciphertext, tag } = await encrypt(encodedHeader);
+    return {
+      protected: encodedHeader,
+      recipients: recipients.map(({ header, encryptedKey }) => ({ header, encrypted_key: Encoder.bytesToBase64Url(encryptedKey) })),
+      iv: Encoder.bytesToBase64Url(iv),
+      ciphertext: Encoder.bytesToBase64Url(ciphertext),
+      tag: Encoder.bytesToBase64Url(tag),
+    };
+  }
+
+  default:
+    throw new Error(`Unsupported JWE serialization: ${serialization}`);
+  }
+}
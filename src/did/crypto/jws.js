@@ -0,0 +1,139 @@
+import { Encoder } from '@tbd54566975/dwn-sdk-js';
+
+import { sign, verify } from './signing.js';
+
+/**
+ * JSON Web Signatures (RFC 7515) in compact and general JSON serialization.
+ *
+ * The signature algorithm follows from the curve of the key: EdDSA for Ed25519, ES256K for
+ * secp256k1 and ES256 for P-256.
+ */
+
+export const JWS_ALGORITHMS = {
+  'Ed25519': 'EdDSA',
+  'secp256k1': 'ES256K',
+  'P-256': 'ES256',
+};
+
+/**
+ * Signs a payload.
+ *
+ * @param {object} options Object containing the signing parameters
+ * @param {Uint8Array | string | object} options.payload Payload to sign. Strings are UTF-8 encoded and objects JSON encoded.
+ * @param {object} options.privateKeyJwk Private key as JSON Web Key (JWK)
+ * @param {string} options.kid Key ID to include in the protected header, typically a DID URL
+ * @param {boolean} [options.detached] Whether to leave the payload out of the JWS (RFC 7515, Appendix F)
+ * @param {'compact' | 'general'} [options.serialization] Defaults to 'compact'
+ * @returns {Promise<string | object>} Compact JWS string, or general JSON serialization object
+ */
+export async function createJws(options = { }) {
+  const { kid, privateKeyJwk, detached = false, serialization = 'compact' } = options;
+  if (!['compact', 'general'].includes(serialization)) throw new Error(`Unsupported JWS serialization: ${serialization}`);
+
+  const alg = JWS_ALGORITHMS[privateKeyJwk?.crv];
+  if (!alg) throw new Error(`Unsupported JWS signing curve: ${privateKeyJwk?.crv}`);
+
+  const protectedHeader = Encoder.stringToBase64Url(JSON.stringify({ alg, kid }));
+  const payload = Encoder.bytesToBase64Url(payloadToBytes(options.payload));
+  const signature = await sign({ data: Encoder.stringToBytes(`${protectedHeader}.${payload}`), privateKeyJwk });
+
+  if (serialization === 'compact') {
+    return `${protectedHeader}.${detached ? '' : payload}.${Encoder.bytesToBase64Url(signature)}`;
+  }
+
+  return {
+    ...(!detached && { payload }),
+    signatures: [{ protected: protectedHeader, signature: Encoder.bytesToBase64Url(signature) }],
+  };
+}
+
+/**
+ * @typedef {Object} JwsVerificationResult
+ * @property {boolean} valid Whether every signature of the JWS is valid
+ * @property {Uint8Array} payload Signed payload
+ * @property {{ kid: string, protectedHeader: object, valid: boolean }[]} signatures Result of each signature
+ */
+
+/**
+ * Verifies every signature of a JWS.
+ *
+ * @param {string | object} jws Compact JWS, or general or flattened JSON serialization object
+ * @param {object} options Object containing the verification parameters
+ * @param {function(string): Promise<object | undefined>} options.resolveKey Returns the public JWK for a `kid`
+ * @param {Uint8Array | string | object} [options.payload] Payload of a detached JWS
+ * @returns {Promise<JwsVerificationResult>}
+ */
+export async function verifyJws(jws, options = { }) {
+  const { payload, signatures } = parseJws(jws, options.payload);
+
+  const results = [];
+  for (const { protected: protectedHeader, signature } of signatures) {
+    let header;
+    try {
+      header = Encoder.base64UrlToObject(protectedHeader);
+    } catch {
+      throw new Error('Malformed JWS: protected header is not base64url encoded JSON');
+    }
+    const publicKeyJwk = header.kid ? await options.resolveKey(header.kid) : undefined;
+
+    // The algorithm in the header must be the one used by the key, so that a signature cannot be checked with another algorithm.
+    let valid = Boolean(publicKeyJwk) && JWS_ALGORITHMS[publicKeyJwk.crv] === header.alg;
+    if (valid) {
+      try {
+        valid = await verify({
+          signature: Encoder.base64UrlToBytes(signature),
+          data: Encoder.stringToBytes(`${protectedHeader}.${payload}`),
+          publicKeyJwk,
+        });
+      } catch {
+        // Signatures that cannot be decoded, or are not the size the algorithm expects, are invalid.
+        valid = false;
+      }
+    }
+    results.push({ kid: header.kid, protectedHeader: header, valid });
+  }
+
+  return {
+    valid: results.every(result => result.valid),
+    payload: Encoder.base64UrlToBytes(payload),
+    signatures: results,
+  };
+}
+
+/**
+ * @returns {{ payload: string, signatures: { protected: string, signature: string }[] }} Base64url encoded members
+ */
+function parseJws(jws, detachedPayload) {
+  let payload, signatures;
+  if (typeof jws === 'string') {
+    const parts = jws.split('.');
+    if (parts.length !== 3) throw new Error('Malformed JWS: compact serialization must have three parts');
+    payload = parts[1];
+    signatures = [{ protected: parts[0], signature: parts[2] }];
+  } else if (jws && typeof jws === 'object') {
+    payload = jws.payload ?? '';
+    // Flattened JSON serialization has a single signature at the top level.
+    signatures = Array.isArray(jws.signatures) ? jws.signatures : [{ protected: jws.protected, signature: jws.signature }];
+  } else {
+    throw new Error('Malformed JWS: expected a compact JWS string or a JSON serialization object');
+  }
+
+  if (signatures.length === 0 || signatures.some(entry => typeof entry?.protected !== 'string' || typeof entry.signature !== 'string')) {
+    throw new Error('Malformed JWS: every signature must have a protected header');
+  }
+
+  if (payload === '') {
+    if (detachedPayload === undefined) throw new Error('JWS payload is detached and must be provided');
+    payload = Encoder.bytesToBase64Url(payloadToBytes(detachedPayload));
+  }
+
+  return { payload, signatures };
+}
+
+function payloadToBytes(payload) {
+  if (payload instanceof Uint8Array) return payload;
+  if (payload instanceof ArrayBuffer) return new Uint8Array(payload);
+  if (typeof payload === 'string') return Encoder.stringToBytes(payload);
+  if (payload !== undefined) return Encoder.objectToBytes(payload);
+  throw new Error('JWS payload is required');
+}
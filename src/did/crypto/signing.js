@@ -0,0 +1,180 @@
+import nacl from 'tweetnacl';
+import { p256 } from '@noble/curves/p256';
+import { secp256k1 } from '@noble/curves/secp256k1';
+import { sha256 } from '@noble/hashes/sha256';
+import { Encoder } from '@tbd54566975/dwn-sdk-js';
+
+/**
+ * Signing and key generation for the curves supported by the DID methods.
+ *
+ * Keys are JSON Web Keys. Ed25519 signatures are EdDSA; secp256k1 and P-256 signatures are
+ * ES256K and ES256 over the SHA-256 digest of the data, in 64-byte `r || s` form.
+ */
+
+const ECDSA_CURVES = {
+  'P-256': p256,
+  'secp256k1': secp256k1,
+};
+
+/**
+ * Generates a key pair on the given curve.
+ *
+ * @param {'Ed25519' | 'X25519' | 'secp256k1' | 'P-256'} curve Cryptographic curve
+ * @returns {Promise<{ publicKeyJwk: object, privateKeyJwk: object }>}
+ */
+export async function generateKeyPair(curve) {
+  switch (curve) {
+  case 'Ed25519': {
+    const seed = nacl.randomBytes(nacl.sign.seedLength);
+    const { publicKey } = nacl.sign.keyPair.fromSeed(seed);
+    return okpKeyPair(curve, publicKey, seed);
+  }
+
+  case 'X25519': {
+    const { publicKey, secretKey } = nacl.box.keyPair();
+    return okpKeyPair(curve, publicKey, secretKey);
+  }
+
+  case 'P-256':
+  case 'secp256k1': {
+    const privateKey = ECDSA_CURVES[curve].utils.randomPrivateKey();
+    return ecKeyPair(curve, privateKey);
+  }
+
+  default:
+    throw new Error(`Unsupported cryptographic curve: ${curve}`);
+  }
+}
+
+/**
+ * Derives the key pair for a secp256k1 or P-256 private key.
+ *
+ * @param {'secp256k1' | 'P-256'} curve Cryptographic curve
+ * @param {Uint8Array} privateKey Private key bytes
+ * @returns {{ publicKeyJwk: object, privateKeyJwk: object }}
+ */
+export function ecKeyPair(curve, privateKey) {
+  const publicKeyJwk = ecPublicKeyToJwk(curve, ECDSA_CURVES[curve].getPublicKey(privateKey, false));
+  return { publicKeyJwk, privateKeyJwk: { ...publicKeyJwk, d: Encoder.bytesToBase64Url(privateKey) } };
+}
+
+/**
+ * Converts a compressed or uncompressed secp256k1 or P-256 public key to a JWK.
+ *
+ * @param {'secp256k1' | 'P-256'} curve Cryptographic curve
+ * @param {Uint8Array} publicKey SEC1 encoded public key bytes
+ * @returns {object} Public key as JSON Web Key (JWK)
+ */
+export function ecPublicKeyToJwk(curve, publicKey) {
+  const point = ECDSA_CURVES[curve].ProjectivePoint.fromHex(publicKey);
+  // Uncompressed public keys are 0x04 || x || y
+  const uncompressed = point.toRawBytes(false);
+  return {
+    kty: 'EC',
+    crv: curve,
+    x: Encoder.bytesToBase64Url(uncompressed.slice(1, 33)),
+    y: Encoder.bytesToBase64Url(uncompressed.slice(33, 65)),
+  };
+}
+
+/**
+ * Converts a secp256k1 or P-256 public key JWK to SEC1 encoded bytes.
+ *
+ * @param {object} publicKeyJwk Public key as JSON Web Key (JWK)
+ * @param {object} [options]
+ * @param {boolean} [options.compressed] Whether to return the 33-byte compressed form. Defaults to `false`.
+ * @returns {Uint8Array} Public key bytes
+ */
+export function ecPublicKeyJwkToBytes(publicKeyJwk, options = { }) {
+  const uncompressed = new Uint8Array([
+    0x04,
+    ...Encoder.base64UrlToBytes(publicKeyJwk.x),
+    ...Encoder.base64UrlToBytes(publicKeyJwk.y),
+  ]);
+  if (!options.compressed) return uncompressed;
+  return ECDSA_CURVES[publicKeyJwk.crv].ProjectivePoint.fromHex(uncompressed).toRawBytes(true);
+}
+
+/**
+ * Returns the public members of a JWK, dropping the private key and any metadata.
+ *
+ * @param {object} jwk JSON Web Key
+ * @returns {object} Public JWK containing only `kty`, `crv`, `x` and, for EC keys, `y`
+ */
+export function toPublicKeyJwk(jwk) {
+  const { kty, crv, x, y } = jwk;
+  return (y === undefined) ? { crv, kty, x } : { crv, kty, x, y };
+}
+
+/**
+ *
+ * @param {object} options Object containing the signing parameters
+ * @param {Uint8Array} options.data The data to sign
+ * @param {object} options.privateKeyJwk Private key as JSON Web Key (JWK)
+ * @returns {Promise<Uint8Array>} Signature
+ */
+export async function sign(options) {
+  const { data, privateKeyJwk } = options;
+  const privateKeyBytes = Encoder.base64UrlToBytes(privateKeyJwk.d);
+
+  switch (privateKeyJwk?.crv) {
+  case 'Ed25519': {
+    // Accept both the 32-byte seed used by JOSE and the 64-byte secret key used by TweetNaCl.
+    const secretKey = (privateKeyBytes.length === nacl.sign.seedLength)
+      ? nacl.sign.keyPair.fromSeed(privateKeyBytes).secretKey
+      : privateKeyBytes;
+    return nacl.sign.detached(data, secretKey);
+  }
+
+  case 'P-256':
+  case 'secp256k1': {
+    // Always produce low-S signatures so they are accepted by verifiers that reject malleable signatures.
+    const signature = ECDSA_CURVES[privateKeyJwk.crv].sign(sha256(data), privateKeyBytes, { lowS: true });
+    return signature.toCompactRawBytes();
+  }
+
+  default:
+    throw new Error(`Unsupported cryptographic curve: ${privateKeyJwk?.crv}`);
+  }
+}
+
+/**
+ *
+ * @param {object} options Object containing the verification parameters
+ * @param {Uint8Array} options.signature The signature to verify
+ * @param {Uint8Array} options.data The data to verify
+ * @param {object} options.publicKeyJwk Public key as JSON Web Key (JWK)
+ * @returns {Promise<boolean>}
+ */
+export async function verify(options) {
+  const { signature, data, publicKeyJwk } = options;
+
+  switch (publicKeyJwk?.crv) {
+  case 'Ed25519': {
+    const publicKeyBytes = Encoder.base64UrlToBytes(publicKeyJwk.x);
+    return nacl.sign.detached.verify(data, signature, publicKeyBytes);
+  }
+
+  case 'P-256':
+  case 'secp256k1': {
+    const curve = ECDSA_CURVES[publicKeyJwk.crv];
+    try {
+      const publicKeyBytes = ecPublicKeyJwkToBytes(publicKeyJwk);
+      // Normalize high-S signatures so that either form of a valid signature verifies.
+      const parsed = curve.Signature.fromCompact(signature);
+      const normalized = parsed.hasHighS() ? parsed.normalizeS() : parsed;
+      return curve.verify(normalized.toCompactRawBytes(), sha256(data), publicKeyBytes);
+    } catch {
+      return false;
+    }
+  }
+
+  default:
+    throw new Error(`Unsupported cryptographic curve: ${publicKeyJwk?.crv}`);
+  }
+}
+
+function okpKeyPair(curve, publicKey, privateKey) {
+  const publicKeyJwk = { kty: 'OKP', crv: curve, x: Encoder.bytesToBase64Url(publicKey) };
+  return { publicKeyJwk, privateKeyJwk: { ...publicKeyJwk, d: Encoder.bytesToBase64Url(privateKey) } };
+}
@@ -0,0 +1,4 @@
+/**
+ * Browser builds replace `webcrypto.js`, which falls back to the Node.js `crypto` module, with the global WebCrypto API.
+ */
+export const { subtle } = globalThis.crypto;
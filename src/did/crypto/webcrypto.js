@@ -0,0 +1,7 @@
+import { webcrypto } from 'crypto';
+
+/**
+ * WebCrypto API. ES modules on Node.js 18 have no global `crypto`, so it is taken from the `crypto` module.
+ * Browser builds replace this module with `webcrypto.browser.js`.
+ */
+export const { subtle } = globalThis.crypto?.subtle ? globalThis.crypto : webcrypto;
@@ -2,7 +2,7 @@ import nacl from 'tweetnacl';
 
 import { Encoder } from '@tbd54566975/dwn-sdk-js';
 import { ed25519PrivateKeyToX25519, ed25519PublicKeyToX25519, verificationMethodToPublicKeyBytes } from '../../did/utils.js';
-import { bytesToObject, objectValuesBase64UrlToBytes, objectValuesBytesToBase64Url } from '../../utils.js';
+import { bytesToObject, objectValuesBase64UrlToBytes, objectValuesBytesToBase64Url, parseJson, streamChunks, streamFromChunks } from '../../utils.js';
 
 export class X25519Xsalsa20Poly1305 {
   #ALG = 'x25519-xsalsa20-poly1305';
@@ -22,35 +22,44 @@ export class X25519Xsalsa20Poly1305 {
    * @param {object} options Object containing the decryption parameters
    * @param {string} options.did DID of the recipient, whose private key is used to decrypt the data
    * @param {Web5EncryptionResult} options.payload Encryption algorithm output, including the ciphertext, to be decryted
+   * @param {string} [options.privateKey] Deprecated: base64url encoded private key. Omit it to decrypt with the key named
+   *   by the header `kid`, which is read from the DID manager.
    * @returns {Promise<Uint8Array>} A Promise that fulfills with a Uint8Array containing the plaintext.
    */
   async decrypt(options = {}) {
     const { did, payload } = options;
 
+    if (payload.recipients) return this.#decryptForRecipient(options);
+
     const { header: headerString, ciphertext, ephemeralPublicKey, nonce } = objectValuesBase64UrlToBytes(payload);
 
     // Decode the header
     const header = bytesToObject(headerString);
 
-    // Resolve the recipient's DID 
-    const verificationMethod = await this.#verificationMethodFromDid(did, header.kid);
-    // TODO: Replace this with a call to the Web5 JS keystore once it has been implemented
-    // For now, we'll temporarily require that the privateKey be passed in with `options` to facilitate decryption
-    const recipientPrivateKey = Encoder.base64UrlToBytes(options.privateKey);
-    
+    // Use the private key passed in with `options`, if any. Otherwise, look it up in the DID manager.
+    const recipientPrivateKey = (options.privateKey)
+      ? Encoder.base64UrlToBytes(options.privateKey)
+      : await this.#privateKeyFromManager(did, header.kid);
+
     // Convert recipient's Ed25519 private key to X25519
     const recipientDHPrivateKey = ed25519PrivateKeyToX25519(recipientPrivateKey);
 
     // Decrypt the payload
-    return nacl.box.open(ciphertext, nonce, ephemeralPublicKey, recipientDHPrivateKey);
+    const plaintext = nacl.box.open(ciphertext, nonce, ephemeralPublicKey, recipientDHPrivateKey);
+    if (!plaintext) throw new Error('Decryption failed: the ciphertext or key is invalid');
+    return plaintext;
   }
 
   /**
    * This algorithm converts the recipients Ed25519 signing public key to a Curve25519/X25519 key, and uses that key to encrypt.
    * 
+   * With `recipients`, the payload is encrypted once with a random content key using XSalsa20-Poly1305, and the
+   * content key is encrypted for each recipient in `recipients` entries of the output.
+   *
    * @param {object} options Object containing the encryption parameters
    * @param {string} options.did DID of the recipient, whose public key is used to encrypt the data
    * @param {string} options.keyId Key identifier to use from the recipient's DID document
+   * @param {{ did: string, keyId?: string }[]} [options.recipients] Recipients to encrypt for, instead of `did` and `keyId`
    * @param {ArrayBuffer | Uint8Array} options.payload The data to be encrypted (also know as the plaintext)
    * @returns {Promise<Web5EncryptionResult>} A Promise that fulfills with the output of the encryption algorithm
    */
@@ -59,6 +68,8 @@ export class X25519Xsalsa20Poly1305 {
 
     // If payload is an ArrayBuffer, convert to Uint8Array
     const payload = (u8aOrBuffer instanceof ArrayBuffer) ? new Uint8Array(u8aOrBuffer) : u8aOrBuffer;
+
+    if (options.recipients) return this.#encryptForRecipients(payload, options.recipients);
     
     // Get the recipient's Ed25519 verification method from the DID by specified keyId or purpose ('assertionMethod')
     const verificationMethod = await this.#verificationMethodFromDid(did, options?.keyId);
@@ -86,11 +97,163 @@ export class X25519Xsalsa20Poly1305 {
     return objectValuesBytesToBase64Url(output);
   }
 
+  /**
+   * Encrypts a stream in chunks, so that large payloads never have to be held in memory. The output stream starts with
+   * a header holding the content key encrypted for each recipient, followed by the chunks, each encrypted with
+   * XSalsa20-Poly1305 under a nonce that counts the chunks and flags the last one (the STREAM construction), so that
+   * chunks cannot be reordered, dropped or truncated without decryption failing.
+   *
+   * @param {object} options Object containing the encryption parameters
+   * @param {string} options.did DID of the recipient, whose public key is used to encrypt the data
+   * @param {string} [options.keyId] Key identifier to use from the recipient's DID document
+   * @param {{ did: string, keyId?: string }[]} [options.recipients] Recipients to encrypt for, instead of `did` and `keyId`
+   * @param {ReadableStream | Readable} options.stream The data to be encrypted, as a web `ReadableStream` or Node.js
+   *   `Readable` (e.g., from `DataStream` or `Record.data.stream()`)
+   * @param {number} [options.chunkSize] Size of the plaintext chunks in bytes. Defaults to 64 KiB.
+   * @returns {Promise<ReadableStream | Readable>} The encrypted stream, of the same kind as `options.stream`
+   */
+  async encryptStream(options = {}) {
+    const { did, keyId, stream, chunkSize = STREAM_CHUNK_SIZE } = options;
+    if (!Number.isInteger(chunkSize) || chunkSize < 1 || chunkSize > STREAM_MAX_CHUNK_SIZE) {
+      throw new Error(`Stream chunk size must be an integer between 1 and ${STREAM_MAX_CHUNK_SIZE}`);
+    }
+
+    const contentKey = nacl.randomBytes(nacl.secretbox.keyLength);
+    const noncePrefix = nacl.randomBytes(STREAM_NONCE_PREFIX_LENGTH);
+    const recipients = await this.#encryptContentKey(contentKey, options.recipients ?? [{ did, keyId }]);
+
+    const header = Encoder.objectToBytes({ alg: this.#ALG, chunkSize, nonce: Encoder.bytesToBase64Url(noncePrefix), recipients });
+    return streamFromChunks(encryptChunks(streamChunks(stream), { header, contentKey, noncePrefix, chunkSize }), stream);
+  }
+
+  /**
+   * Decrypts a stream produced by `encryptStream()`. The header is read before the returned Promise fulfills, so that
+   * a missing key is reported immediately. Chunks are decrypted as the returned stream is read, and the stream errors
+   * if a chunk has been tampered with or the stream was truncated.
+   *
+   * @param {object} options Object containing the decryption parameters
+   * @param {string} options.did DID of the recipient, whose private key is used to decrypt the data
+   * @param {ReadableStream | Readable} options.stream The encrypted stream
+   * @returns {Promise<ReadableStream | Readable>} The decrypted stream, of the same kind as `options.stream`
+   */
+  async decryptStream(options = {}) {
+    const { did, stream } = options;
+    const reader = new ByteReader(streamChunks(stream));
+
+    const headerLength = new DataView((await reader.read(4)).buffer).getUint32(0);
+    if (headerLength > STREAM_MAX_HEADER_LENGTH) throw new Error('Malformed encrypted stream: header is too large');
+    const header = parseJson(Encoder.bytesToString(await reader.read(headerLength)));
+    if (header?.alg !== this.#ALG || !Array.isArray(header.recipients)) throw new Error('Malformed encrypted stream: invalid header');
+    // The header is not authenticated, so the chunk size must be bounded before buffers are sized from it.
+    if (!Number.isInteger(header.chunkSize) || header.chunkSize < 1 || header.chunkSize > STREAM_MAX_CHUNK_SIZE) {
+      throw new Error('Malformed encrypted stream: invalid chunk size');
+    }
+
+    const contentKey = await this.#decryptContentKey(options, header.recipients);
+    if (!contentKey) throw new Error(`Encrypted payload has no recipient whose key is held in the DID manager for ${did}`);
+
+    const noncePrefix = Encoder.base64UrlToBytes(header.nonce);
+    return streamFromChunks(decryptChunks(reader, { contentKey, noncePrefix, chunkSize: header.chunkSize }), stream);
+  }
+
+  async #decryptForRecipient(options) {
+    const { did, payload } = options;
+    const { ciphertext, nonce } = objectValuesBase64UrlToBytes({ ciphertext: payload.ciphertext, nonce: payload.nonce });
+
+    const contentKey = await this.#decryptContentKey(options, payload.recipients);
+    if (!contentKey) throw new Error(`Encrypted payload has no recipient whose key is held in the DID manager for ${did}`);
+
+    const plaintext = nacl.secretbox.open(ciphertext, nonce, contentKey);
+    if (!plaintext) throw new Error('Decryption failed: the ciphertext or key is invalid');
+    return plaintext;
+  }
+
+  async #encryptForRecipients(payload, recipients) {
+    // Encrypt the payload once, with a random content key
+    const contentKey = nacl.randomBytes(nacl.secretbox.keyLength);
+    const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+    const encryptedKeys = await this.#encryptContentKey(contentKey, recipients);
+    const ciphertext = nacl.secretbox(payload, nonce, contentKey);
+
+    const header = Encoder.objectToBytes({ alg: this.#ALG });
+    return { ...objectValuesBytesToBase64Url({ header, ciphertext, nonce }), recipients: encryptedKeys };
+  }
+
+  /**
+   * Encrypts the content key for each recipient, with a new ephemeral key and nonce every time.
+   */
+  async #encryptContentKey(contentKey, recipients) {
+    if (!Array.isArray(recipients) || recipients.length === 0) throw new Error('At least one recipient is required');
+
+    const encryptedKeys = [];
+    for (const { did, keyId } of recipients) {
+      const verificationMethod = await this.#verificationMethodFromDid(did, keyId);
+      const recipientDHPublicKey = ed25519PublicKeyToX25519(await verificationMethodToPublicKeyBytes(verificationMethod));
+      const ephemeralKeyPair = nacl.box.keyPair();
+      const keyNonce = nacl.randomBytes(nacl.box.nonceLength);
+
+      encryptedKeys.push(objectValuesBytesToBase64Url({
+        header: Encoder.objectToBytes({ alg: this.#ALG, kid: verificationMethod.id }),
+        encryptedKey: nacl.box(contentKey, keyNonce, recipientDHPublicKey, ephemeralKeyPair.secretKey),
+        ephemeralPublicKey: ephemeralKeyPair.publicKey,
+        nonce: keyNonce,
+      }));
+    }
+    return encryptedKeys;
+  }
+
+  /**
+   * @returns {Promise<Uint8Array | undefined>} The content key, decrypted by the first recipient entry that can be opened
+   */
+  async #decryptContentKey(options, recipients) {
+    const { did } = options;
+
+    for (const recipient of recipients) {
+      const { header: headerString, encryptedKey, ephemeralPublicKey, nonce: keyNonce } = objectValuesBase64UrlToBytes(recipient);
+      const header = bytesToObject(headerString);
+
+      // Use the private key passed in with `options`, if any, for whichever recipient it opens. Otherwise, use the key
+      // of the recipient that is held in the DID manager.
+      let recipientPrivateKey;
+      if (options.privateKey) {
+        recipientPrivateKey = Encoder.base64UrlToBytes(options.privateKey);
+      } else {
+        if (!header.kid) continue;
+        const key = await this.web5.did.manager.getKey(did, header.kid);
+        const privateKeyJwk = key?.keyPair?.privateKeyJwk ?? key?.keyPair?.privateJwk;
+        if (!privateKeyJwk?.d) continue;
+        recipientPrivateKey = Encoder.base64UrlToBytes(privateKeyJwk.d);
+      }
+
+      const contentKey = nacl.box.open(encryptedKey, keyNonce, ephemeralPublicKey, ed25519PrivateKeyToX25519(recipientPrivateKey));
+      if (contentKey) return contentKey;
+    }
+  }
+
+  async #privateKeyFromManager(did, keyId) {
+    if (!keyId) throw new Error('Encrypted payload header has no kid to select the decryption key');
+    const key = await this.web5.did.manager.getKey(did, keyId);
+    const privateKeyJwk = key?.keyPair?.privateKeyJwk ?? key?.keyPair?.privateJwk;
+    if (!privateKeyJwk?.d) throw new Error(`Cannot decrypt for ${did}: the private key of ${keyId} is not held in the DID manager`);
+    return Encoder.base64UrlToBytes(privateKeyJwk.d);
+  }
+
   async #verificationMethodFromDid(did, keyId) {
-    // Get assertion method(s) from the DID either using the specified keyId or by purpose (assertionMethod)
-    const didAssertionMethods = (keyId) ?
-      await this.web5.did.getKeys(did, { methodId: keyId }) :
-      await this.web5.did.getKeys(did, { purpose: 'assertionMethod' });
+    // A key can be referenced by a full DID URL, in either `did` or `keyId`, or by a fragment relative to `did`.
+    let keyReference;
+    if (keyId?.startsWith('did:')) {
+      keyReference = keyId;
+    } else if (keyId) {
+      keyReference = `${did.split('#')[0]}#${keyId.replace(/^#/, '')}`;
+    } else if (did.includes('#')) {
+      keyReference = did;
+    }
+
+    // Get assertion method(s) from the DID either using the key reference or by purpose (assertionMethod). Keys are
+    // always taken from the DID document, including for managed DIDs.
+    const didAssertionMethods = (keyReference) ?
+      await this.web5.did.getKeys(keyReference, { managed: false }) :
+      await this.web5.did.getKeys(did, { purpose: 'assertionMethod', managed: false });
     if (!didAssertionMethods) throw new Error('Ed25519 verification method not found in DID document');
     
     // If more than one assertionMethod key is referenced or embedded in the DID document, throw an error rather than
@@ -99,4 +262,91 @@ export class X25519Xsalsa20Poly1305 {
     if (didAssertionMethods.length !== 1) throw new Error('Multiple assertionMethod entries in DID document. Specify a keyId to indicate which to use.');
     return didAssertionMethods[0];
   }
-}
\ No newline at end of file
+}
+
+const STREAM_CHUNK_SIZE = 64 * 1024;
+const STREAM_MAX_CHUNK_SIZE = 16 * 1024 * 1024;
+const STREAM_MAX_HEADER_LENGTH = 1024 * 1024;
+// The 24 byte XSalsa20 nonce of each chunk is a random prefix, a 32-bit chunk counter, and a last chunk flag byte.
+const STREAM_NONCE_PREFIX_LENGTH = 19;
+
+function chunkNonce(noncePrefix, counter, last) {
+  const nonce = new Uint8Array(nacl.secretbox.nonceLength);
+  nonce.set(noncePrefix);
+  new DataView(nonce.buffer).setUint32(STREAM_NONCE_PREFIX_LENGTH, counter);
+  nonce[nonce.length - 1] = last ? 1 : 0;
+  return nonce;
+}
+
+async function* encryptChunks(chunks, { header, contentKey, noncePrefix, chunkSize }) {
+  const headerLength = new Uint8Array(4);
+  new DataView(headerLength.buffer).setUint32(0, header.length);
+  yield headerLength;
+  yield header;
+
+  // A full chunk is only known not to be the last one once more data follows it, so one chunk is always held back.
+  let counter = 0;
+  let buffered = new Uint8Array(0);
+  for await (const chunk of chunks) {
+    buffered = concatBytes(buffered, chunk);
+    while (buffered.length > chunkSize) {
+      yield nacl.secretbox(buffered.subarray(0, chunkSize), chunkNonce(noncePrefix, counter++, false), contentKey);
+      buffered = buffered.subarray(chunkSize);
+    }
+  }
+  yield nacl.secretbox(buffered, chunkNonce(noncePrefix, counter, true), contentKey);
+}
+
+async function* decryptChunks(reader, { contentKey, noncePrefix, chunkSize }) {
+  const encryptedChunkSize = chunkSize + nacl.secretbox.overheadLength;
+
+  let counter = 0;
+  while (true) {
+    // Read one byte past the chunk, to learn whether it is the last one.
+    const encryptedChunk = await reader.read(encryptedChunkSize + 1, { partial: true });
+    const last = encryptedChunk.length <= encryptedChunkSize;
+    if (!last) reader.unread(encryptedChunk.subarray(encryptedChunkSize));
+
+    const plaintext = nacl.secretbox.open(encryptedChunk.subarray(0, encryptedChunkSize), chunkNonce(noncePrefix, counter++, last), contentKey);
+    if (!plaintext) throw new Error('Decryption failed: the encrypted stream was tampered with or truncated');
+    yield plaintext;
+    if (last) return;
+  }
+}
+
+/**
+ * Reads exact numbers of bytes from a sequence of chunks of any size.
+ */
+class ByteReader {
+  #buffered = new Uint8Array(0);
+  #chunks;
+
+  constructor(chunks) {
+    this.#chunks = chunks[Symbol.asyncIterator]();
+  }
+
+  async read(length, { partial = false } = {}) {
+    while (this.#buffered.length < length) {
+      const { value, done } = await this.#chunks.next();
+      if (done) break;
+      this.#buffered = concatBytes(this.#buffered, value);
+    }
+    if (this.#buffered.length < length && !partial) throw new Error('Malformed encrypted stream: unexpected end of stream');
+
+    const bytes = this.#buffered.subarray(0, length);
+    this.#buffered = this.#buffered.subarray(length);
+    return bytes;
+  }
+
+  unread(bytes) {
+    this.#buffered = concatBytes(bytes, this.#buffered);
+  }
+}
+
+function concatBytes(a, b) {
+  if (a.length === 0) return b;
+  const bytes = new Uint8Array(a.length + b.length);
+  bytes.set(a);
+  bytes.set(b, a.length);
+  return bytes;
+}
@@ -0,0 +1,151 @@
+import nacl from 'tweetnacl';
+import { pbkdf2Async } from '@noble/hashes/pbkdf2';
+import { sha256 } from '@noble/hashes/sha256';
+import { Encoder } from '@tbd54566975/dwn-sdk-js';
+
+import { Storage } from '../storage/storage.js';
+import { MemoryStorage } from '../storage/memory-storage.js';
+import { bytesToObject } from '../utils.js';
+
+/**
+ * Encrypted key/value store for managed DID records and their private keys.
+ *
+ * Entries are persisted through any `Storage` backend and sealed at rest with
+ * XSalsa20-Poly1305 using a key derived from a passphrase (PBKDF2-SHA256).
+ * The keystore must be unlocked before entries can be read or written.
+ */
+export class Keystore extends Storage {
+  static #META_KEY = '__keystore__';
+  static #CHECK_VALUE = 'web5-keystore';
+  static DEFAULT_ITERATIONS = 100_000;
+
+  #encryptionKey = null;
+  #iterations;
+  #store;
+
+  /**
+   * @param {object} [options] - Optional configuration options.
+   * @param {Storage} [options.store] - Storage backend that holds the encrypted entries. Defaults to `MemoryStorage`.
+   * @param {number} [options.iterations] - PBKDF2 iteration count used when initializing a new keystore.
+   */
+  constructor(options = { }) {
+    super();
+    this.#store = options?.store ?? new MemoryStorage();
+    this.#iterations = options?.iterations ?? Keystore.DEFAULT_ITERATIONS;
+  }
+
+  get locked() {
+    return this.#encryptionKey === null;
+  }
+
+  /**
+   * Derives the encryption key from the passphrase and keeps it in memory until `lock()` is called.
+   *
+   * The first unlock of an empty store initializes it with a random salt and a check value that is
+   * used on subsequent unlocks to detect an incorrect passphrase.
+   *
+   * @param {string} passphrase
+   * @returns {Promise<void>}
+   */
+  async unlock(passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length === 0) {
+      throw new Error('Keystore passphrase must be a non-empty string');
+    }
+
+    let meta = await this.#store.get(Keystore.#META_KEY);
+
+    if (!meta) {
+      const salt = nacl.randomBytes(16);
+      const encryptionKey = await Keystore.#deriveKey(passphrase, salt, this.#iterations);
+      meta = {
+        salt: Encoder.bytesToBase64Url(salt),
+        iterations: this.#iterations,
+        check: Keystore.#seal(encryptionKey, Keystore.#CHECK_VALUE),
+      };
+      await this.#store.set(Keystore.#META_KEY, meta);
+      this.#encryptionKey = encryptionKey;
+      return;
+    }
+
+    const encryptionKey = await Keystore.#deriveKey(passphrase, Encoder.base64UrlToBytes(meta.salt), meta.iterations);
+    try {
+      Keystore.#open(encryptionKey, meta.check);
+    } catch {
+      throw new Error('Keystore could not be unlocked: incorrect passphrase');
+    }
+    this.#encryptionKey = encryptionKey;
+  }
+
+  /**
+   * Discards the in-memory encryption key. Stored entries remain encrypted in the backend.
+   */
+  lock() {
+    this.#encryptionKey?.fill(0);
+    this.#encryptionKey = null;
+  }
+
+  async get(key) {
+    const sealed = await this.#store.get(this.#assertKey(key));
+    if (sealed === undefined || sealed === null) return undefined;
+    return Keystore.#open(this.#unlockedKey(), sealed);
+  }
+
+  async set(key, value) {
+    const sealed = Keystore.#seal(this.#unlockedKey(), value);
+    await this.#store.set(this.#assertKey(key), sealed);
+  }
+
+  async delete(key) {
+    await this.#store.delete(this.#assertKey(key));
+  }
+
+  /**
+   * Removes every entry while keeping the salt and check value so the same passphrase stays valid.
+   */
+  async clear() {
+    const meta = await this.#store.get(Keystore.#META_KEY);
+    await this.#store.clear();
+    if (meta) {
+      await this.#store.set(Keystore.#META_KEY, meta);
+    }
+  }
+
+  async * keys() {
+    for await (const key of this.#store.keys()) {
+      if (key !== Keystore.#META_KEY) yield key;
+    }
+  }
+
+  #assertKey(key) {
+    if (key === Keystore.#META_KEY) throw new Error(`Keystore key is reserved: ${key}`);
+    return key;
+  }
+
+  #unlockedKey() {
+    if (this.locked) throw new Error('Keystore is locked. Call unlock() with the passphrase first.');
+    return this.#encryptionKey;
+  }
+
+  static async #deriveKey(passphrase, salt, iterations) {
+    return pbkdf2Async(sha256, passphrase, salt, { c: iterations, dkLen: nacl.secretbox.keyLength });
+  }
+
+  static #seal(encryptionKey, value) {
+    const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+    const ciphertext = nacl.secretbox(Encoder.objectToBytes({ value }), nonce, encryptionKey);
+    return {
+      ciphertext: Encoder.bytesToBase64Url(ciphertext),
+      nonce: Encoder.bytesToBase64Url(nonce),
+    };
+  }
+
+  static #open(encryptionKey, sealed) {
+    const plaintext = nacl.secretbox.open(
+      Encoder.base64UrlToBytes(sealed.ciphertext),
+      Encoder.base64UrlToBytes(sealed.nonce),
+      encryptionKey,
+    );
+    if (plaintext === null) throw new Error('Keystore entry could not be decrypted');
+    return bytesToObject(plaintext).value;
+  }
+}
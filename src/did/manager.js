@@ -1,3 +1,5 @@
+import { Keystore } from './keystore.js';
+
 export class DidManager {
   #store;
 
@@ -5,24 +7,124 @@ export class DidManager {
     this.#store = options.store;
   }
 
+  /**
+   * Whether managed DIDs are kept in an encrypted keystore, rather than only in memory.
+   */
+  get hasKeystore() {
+    return this.#store instanceof Keystore;
+  }
+
+  get locked() {
+    return (this.#store instanceof Keystore) ? this.#store.locked : false;
+  }
+
   async clear() {
-    this.#store.clear();
+    await this.#store.clear();
   }
-  
+
   async exists(id) {
     const value = await this.#store.get(id);
     return value !== undefined;
   }
-  
+
+  /**
+   * Returns a copy of the key pair held for one of a managed DID's keys.
+   *
+   * @param {string} id Managed DID
+   * @param {string} keyId Full key reference (`did:example:abc#key-1`), fragment (`#key-1`) or bare key ID
+   * @returns {Promise<object>} Key pair as stored in the managed DID record
+   */
+  async exportKey(id, keyId) {
+    const key = await this.getKey(id, keyId);
+    if (!key) throw new Error(`Key not found in DID manager: ${keyId}`);
+    return structuredClone(key.keyPair);
+  }
+
   async get(id) {
     return this.#store.get(id);
   }
-  
+
+  /**
+   * Finds a key in a managed DID record. Records may hold `keys` either as an array of entries with
+   * an `id` (as returned by `did.create()`) or as an object keyed by fragment (e.g. `'#dwn'`).
+   *
+   * @param {string} id Managed DID
+   * @param {string} keyId Full key reference, fragment or bare key ID
+   * @returns {Promise<{ id: string, keyPair: object } | undefined>}
+   */
+  async getKey(id, keyId) {
+    const record = await this.get(id);
+
+    // Full key references must be to a key of this DID, in either of its forms (e.g., long and short form ION DIDs).
+    const did = keyId.startsWith('did:') ? keyId.split('#')[0] : undefined;
+    if (did && did !== id && did !== record?.id && did !== record?.internalId) return undefined;
+
+    return keyEntries(record).find(key => key.id && fragment(key.id) === fragment(keyId));
+  }
+
+  /**
+   * Finds the key used to sign messages on behalf of a managed DID. Keys that have been rotated out are
+   * marked `state: 'retired'`, and remain in the record and DID document so that messages they signed
+   * keep verifying, but are never used to sign new messages.
+   *
+   * @param {string} id Managed DID
+   * @param {string} [keyId] Key to sign with. Defaults to the first active key with a private key, whose
+   *   `purposes` (if any) include `authentication`.
+   * @returns {Promise<{ id: string, keyPair: object } | undefined>} The key, if it is active and has a private key
+   */
+  async getSigningKey(id, keyId) {
+    const keys = keyEntries(await this.get(id)).filter(key => key.state !== 'retired' && hasPrivateKey(key));
+    if (keyId) return keys.find(key => key.id && fragment(key.id) === fragment(keyId));
+    return keys.find(key => !key.purposes || key.purposes.includes('authentication'));
+  }
+
+  /**
+   * @returns {AsyncGenerator<[string, object]>} `[did, record]` pairs of every managed DID.
+   */
+  entries() {
+    return this.#store.entries();
+  }
+
+  /**
+   * @returns {AsyncGenerator<string>} Every managed DID.
+   */
+  keys() {
+    return this.#store.keys();
+  }
+
   async delete(id) {
-    this.#store.delete(id);
+    await this.#store.delete(id);
+  }
+
+  async lock() {
+    this.#keystore().lock();
   }
-  
+
   async set(id, value) {
-    this.#store.set(id, value);
+    await this.#store.set(id, value);
+  }
+
+  async unlock(passphrase) {
+    await this.#keystore().unlock(passphrase);
   }
+
+  #keystore() {
+    if (!(this.#store instanceof Keystore)) throw new Error('DID manager is not backed by an encrypted keystore');
+    return this.#store;
+  }
+}
+
+function keyEntries(record) {
+  if (!record?.keys) return [];
+  return Array.isArray(record.keys)
+    ? record.keys
+    : Object.entries(record.keys).map(([keyId, key]) => ({ id: keyId, ...key }));
+}
+
+function fragment(keyId) {
+  return keyId.split('#').pop();
+}
+
+function hasPrivateKey({ keyPair }) {
+  return Boolean(keyPair?.privateJwk ?? keyPair?.privateKeyJwk);
 }
@@ -1,10 +1,24 @@
 import { DID, generateKeyPair } from '@decentralized-identity/ion-tools';
+import { bytesToHex, hexToBytes, randomBytes, utf8ToBytes } from '@noble/hashes/utils';
 import { DidIonResolver } from '@tbd54566975/dwn-sdk-js';
+import crossFetch from 'cross-fetch';
+import { argon2id } from 'hash-wasm';
 
 export { sign, verify } from '@decentralized-identity/ion-tools';
 
 const didIonResolver = new DidIonResolver();
 
+/**
+ * Creates a long-form did:ion DID. The DID resolves without being anchored, but its short form
+ * (`internalId`) only resolves once the create operation has been published to an ION node and anchored.
+ *
+ * @param {object} [options] Object containing the creation parameters
+ * @param {object[]} [options.keys] Keys of the DID document. Defaults to a generated `dwn` authentication key.
+ * @param {object[]} [options.services] Services of the DID document
+ * @param {boolean} [options.publish] Whether to submit the create operation to `options.node`
+ * @param {IonNodeOptions} [options.node] ION node to publish the DID to
+ * @returns {Promise<object>} Managed DID record, with `anchoring` state if it was published
+ */
 export async function create(options = { }){
   options.keys ||= [
     {
@@ -17,28 +31,351 @@ export async function create(options = { }){
 
   const did = new DID({
     content: {
-      publicKeys: options.keys.map(key => {
-        let pubkey = Object.assign({ }, key);
-        pubkey.publicKeyJwk = key.keyPair.publicJwk;
-        delete pubkey.keyPair;
-        return pubkey;
-      }),
+      publicKeys: options.keys.map(toPublicKey),
       ...(options.services && { services: options.services }),
     },
   });
 
-  return {
+  const record = {
     id: await did.getURI(),
     internalId: await did.getURI('short'),
     methodData: await did.getAllOperations(),
     keys: options.keys,
     services: options.services || [ ],
   };
+
+  if (!options.publish) return record;
+  if (!options.node) throw new Error('Publishing an ION DID requires a node');
+  return (await publish({ record, node: options.node })).record;
+}
+
+/**
+ * Resolves a did:ion DID. ION nodes resolve long-form DIDs to their anchored state once their create operation
+ * has been anchored, and to the initial state encoded in the DID otherwise. Anchored long-form DIDs report
+ * their short form as `canonicalId`.
+ *
+ * @param {string} did did:ion DID, in short or long form
+ * @param {object} [options] Resolution options
+ * @param {IonNodeOptions} [options.node] ION node to resolve with, if it has a `resolutionEndpoint`.
+ *   Defaults to the ION resolver used by the DWN SDK.
+ * @returns {Promise<object>} DID resolution result
+ */
+export async function resolve(did, options = { }) {
+  const resolved = await resolveWithNode(did, options.node);
+
+  const shortForm = shortFormOf(did);
+  const { didDocumentMetadata } = resolved;
+  if (shortForm && shortForm !== did && resolved.didDocument && didDocumentMetadata?.method?.published) {
+    const canonicalId = didDocumentMetadata.canonicalId ?? shortForm;
+    return {
+      ...resolved,
+      didDocumentMetadata: { ...didDocumentMetadata, canonicalId, equivalentId: didDocumentMetadata.equivalentId ?? [canonicalId] },
+    };
+  }
+
+  return resolved;
+}
+
+/**
+ * @typedef {Object} IonOperationResult
+ * @property {object} [record] Managed DID record with the new operation appended to `methodData`, and the resulting
+ *   `keys`, `services` and, for deactivations, `deactivated` state. Only returned once the request was submitted.
+ * @property {object} [pendingRecord] The same record, if no node was given to submit the request to. The operation
+ *   only takes effect once the request is submitted, after which this record replaces the managed record.
+ * @property {object} request Signed Sidetree operation request, ready to be submitted to an ION node
+ * @property {object} [response] Response of the ION node, if the request was submitted
+ */
+
+/**
+ * @typedef {Object} IonNodeOptions
+ * @property {string} operationsEndpoint URL of the node's Sidetree operations endpoint (e.g., 'https://ion.example.com/operations')
+ * @property {string} [challengeEndpoint] URL of the node's proof-of-work challenge endpoint, for nodes that require
+ *   operations to include a solved challenge (e.g., 'https://ion.example.com/proof-of-work-challenge')
+ * @property {string} [resolutionEndpoint] URL of the node's Sidetree resolution endpoint (e.g.,
+ *   'https://ion.example.com/identifiers'). DIDs are resolved at `<resolutionEndpoint>/<did>`.
+ * @property {Function} [fetch] Fetch implementation to use. Defaults to `globalThis.fetch`.
+ */
+
+/**
+ * Rotates the active keys of a DID that have a verification relationship. A new key is generated and
+ * added to the DID document with an update operation, and the keys it replaces are marked as retired in
+ * the record. Retired keys are kept in the DID document so that signatures they made keep verifying.
+ *
+ * @param {object} options Object containing the rotation parameters
+ * @param {object} options.record Managed DID record, as returned by `create()`
+ * @param {string} [options.purpose] Verification relationship of the keys to rotate. Defaults to 'authentication'.
+ * @param {IonNodeOptions} [options.node] ION node to submit the request to
+ * @returns {Promise<IonOperationResult & { keyId: string }>} The update, and the ID of the new key
+ */
+export async function rotateKey(options = { }) {
+  const { record, purpose = 'authentication' } = options;
+  const keys = record?.keys ?? [];
+
+  const retiring = keys.filter(key => key.state !== 'retired' && key.purposes?.includes(purpose));
+  if (retiring.length === 0) throw new Error(`DID has no active ${purpose} key: ${record?.id}`);
+
+  // New keys are numbered after the key they replace: 'dwn' is followed by 'dwn-2', 'dwn-3'...
+  const base = retiring[0].id.replace(/-\d+$/, '');
+  let number = 2;
+  while (keys.some(key => key.id === `${base}-${number}`)) number++;
+
+  const newKey = {
+    id: `${base}-${number}`,
+    type: retiring[0].type,
+    keyPair: await generateKeyPair(),
+    purposes: retiring[0].purposes,
+  };
+
+  const result = await update({ record, addPublicKeys: [newKey], node: options.node });
+
+  const retiredAt = new Date().toISOString();
+  const updatedRecord = result.record ?? result.pendingRecord;
+  updatedRecord.keys = updatedRecord.keys.map(key => {
+    if (key.id === newKey.id) return { ...key, state: 'active' };
+    if (retiring.includes(key)) return { ...key, state: 'retired', retiredAt };
+    return key;
+  });
+
+  return { ...result, keyId: newKey.id };
+}
+
+/**
+ * @typedef {Object} IonAnchoring
+ * @property {'pending' | 'anchored'} status Whether the short-form DID resolves on the node yet
+ * @property {string} submittedAt When the create operation was submitted, as an ISO 8601 timestamp
+ * @property {string} [anchoredAt] When the DID was first seen anchored, as an ISO 8601 timestamp
+ */
+
+/**
+ * Submits the create operation of a DID to an ION node, to be anchored. Anchoring takes from minutes
+ * to hours, and its progress is reported by `anchoringStatus()`.
+ *
+ * @param {object} options Object containing the publishing parameters
+ * @param {object} options.record Managed DID record, as returned by `create()`
+ * @param {IonNodeOptions} options.node ION node to submit the request to
+ * @returns {Promise<IonOperationResult>} The record with `anchoring` state, the create request and the node response
+ */
+export async function publish(options = { }) {
+  const { record, node } = options;
+  if (!node) throw new Error('Publishing an ION DID requires a node');
+  const [createOperation] = record?.methodData ?? [];
+  if (createOperation?.operation !== 'create') {
+    throw new Error('Managed DID record has no ION operations. It must be the record returned by create().');
+  }
+
+  const did = new DID({ ops: [...record.methodData] });
+  const request = await did.generateRequest(createOperation);
+  const response = await submitOperation(request, node);
+
+  return {
+    record: { ...record, anchoring: { status: 'pending', submittedAt: new Date().toISOString() } },
+    request,
+    response,
+  };
+}
+
+/**
+ * Checks whether a published DID has been anchored, by resolving its short form.
+ *
+ * @param {object} options Object containing the parameters
+ * @param {object} options.record Managed DID record, as returned by `create()` or `publish()`
+ * @param {IonNodeOptions} [options.node] ION node to resolve with
+ * @returns {Promise<{ record: object } & IonAnchoring>} The record with updated `anchoring` state, and that state
+ */
+export async function anchoringStatus(options = { }) {
+  const { record } = options;
+  if (!record?.anchoring) throw new Error(`DID has not been published: ${record?.id}`);
+  if (record.anchoring.status === 'anchored') return { record, ...record.anchoring };
+
+  const { didDocument } = await resolveWithNode(record.internalId, options.node);
+  const anchoring = didDocument
+    ? { ...record.anchoring, status: 'anchored', anchoredAt: new Date().toISOString() }
+    : record.anchoring;
+
+  return { record: { ...record, anchoring }, ...anchoring };
+}
+
+/**
+ * Adds or removes keys and services, signed with the DID's current update key.
+ *
+ * @param {object} options Object containing the update parameters
+ * @param {object} options.record Managed DID record, as returned by `create()`
+ * @param {object[]} [options.addPublicKeys] Keys to add, in the same form as the `keys` passed to `create()`
+ * @param {string[]} [options.removePublicKeys] IDs of the keys to remove
+ * @param {object[]} [options.addServices] Services to add. Services with the ID of an existing service replace it.
+ * @param {string[]} [options.removeServices] IDs of the services to remove
+ * @param {IonNodeOptions} [options.node] ION node to submit the request to
+ * @returns {Promise<IonOperationResult>}
+ */
+export async function update(options = { }) {
+  const { record, addPublicKeys = [], removePublicKeys = [], addServices = [], removeServices = [] } = options;
+
+  const content = {
+    ...(addPublicKeys.length > 0 && { addPublicKeys: addPublicKeys.map(toPublicKey) }),
+    ...(removePublicKeys.length > 0 && { removePublicKeys }),
+    ...(addServices.length > 0 && { addServices }),
+    ...(removeServices.length > 0 && { removeServices }),
+  };
+  if (Object.keys(content).length === 0) throw new Error('ION update requires keys or services to add or remove');
+
+  const replaced = (ids) => (entry) => !ids.includes(entry.id);
+  const keys = [
+    ...(record.keys ?? []).filter(replaced([...removePublicKeys, ...addPublicKeys.map(key => key.id)])),
+    ...addPublicKeys,
+  ];
+  const services = [
+    ...(record.services ?? []).filter(replaced([...removeServices, ...addServices.map(service => service.id)])),
+    ...addServices,
+  ];
+
+  return applyOperation(record, 'update', content, { keys, services }, options.node);
 }
 
-export async function resolve(did) {
+/**
+ * Replaces the DID document with new keys and services, signed with the DID's current recovery key.
+ * New update and recovery keys are generated.
+ *
+ * @param {object} options Object containing the recovery parameters
+ * @param {object} options.record Managed DID record, as returned by `create()`
+ * @param {object[]} [options.keys] Keys of the recovered DID document. Defaults to the record's current keys.
+ * @param {object[]} [options.services] Services of the recovered DID document. Defaults to the record's current services.
+ * @param {IonNodeOptions} [options.node] ION node to submit the request to
+ * @returns {Promise<IonOperationResult>}
+ */
+export async function recover(options = { }) {
+  const { record } = options;
+  const keys = options.keys ?? record.keys ?? [];
+  const services = options.services ?? record.services ?? [];
+
+  const content = {
+    publicKeys: keys.map(toPublicKey),
+    ...(services.length > 0 && { services }),
+  };
+
+  return applyOperation(record, 'recover', content, { keys, services }, options.node);
+}
+
+/**
+ * Permanently deactivates the DID, signed with the DID's current recovery key.
+ *
+ * @param {object} options Object containing the deactivation parameters
+ * @param {object} options.record Managed DID record, as returned by `create()`
+ * @param {IonNodeOptions} [options.node] ION node to submit the request to
+ * @returns {Promise<IonOperationResult>}
+ */
+export async function deactivate(options = { }) {
+  return applyOperation(options.record, 'deactivate', undefined, { deactivated: true }, options.node);
+}
+
+async function applyOperation(record, type, content, changes, node) {
+  if (!Array.isArray(record?.methodData) || record.methodData.length === 0) {
+    throw new Error('Managed DID record has no ION operations. It must be the record returned by create().');
+  }
+
+  const did = new DID({ ops: [...record.methodData] });
+  let operation;
+  try {
+    operation = await did.generateOperation(type, content);
+  } catch (error) {
+    // ion-tools throws strings, e.g. for operations on deactivated DIDs.
+    throw (error instanceof Error) ? error : new Error(error);
+  }
+  const request = await did.generateRequest(operation);
+
+  const updatedRecord = {
+    ...record,
+    ...changes,
+    methodData: await did.getAllOperations(),
+  };
+
+  // The update and recovery commitments of `methodData` only advance on the network once the request is
+  // submitted, so the managed record must not change before then.
+  if (!node) return { pendingRecord: updatedRecord, request };
+
+  const response = await submitOperation(request, node);
+  return { record: updatedRecord, request, response };
+}
+
+/**
+ * Submits a signed Sidetree operation request to an ION node.
+ *
+ * @param {object} request Sidetree operation request
+ * @param {IonNodeOptions} node ION node to submit the request to
+ * @returns {Promise<{ status: number, body: * }>} HTTP status and parsed response body of the node
+ */
+async function submitOperation(request, node) {
+  if (!node.operationsEndpoint) throw new Error('ION node requires an operationsEndpoint');
+  const fetch = node.fetch ?? globalThis.fetch ?? crossFetch;
+
+  const body = JSON.stringify(request);
+  const headers = { 'Content-Type': 'application/json' };
+  if (node.challengeEndpoint) {
+    Object.assign(headers, await solveChallenge(body, node.challengeEndpoint, fetch));
+  }
+
+  const response = await fetch(node.operationsEndpoint, { method: 'POST', headers, body });
+
+  const text = await response.text();
+  if (!response.ok) {
+    throw new Error(`ION node rejected the operation, got http status ${response.status}: ${text}`);
+  }
+
+  let responseBody = text;
+  try {
+    responseBody = JSON.parse(text);
+  } catch {
+    // Nodes may respond with plain text or an empty body.
+  }
+  return { status: response.status, body: responseBody };
+}
+
+/**
+ * Solves a proof-of-work challenge of an ION node for a request body, following the scheme of the
+ * ION proof-of-work SDK: an argon2id hash of a random answer nonce and the body, salted with the
+ * challenge nonce, must not exceed the largest hash the node allows.
+ *
+ * @returns {Promise<object>} `Challenge-Nonce` and `Answer-Nonce` headers to submit the request with
+ */
+async function solveChallenge(body, challengeEndpoint, fetch) {
+  const response = await fetch(challengeEndpoint);
+  if (!response.ok) {
+    throw new Error(`ION node proof-of-work challenge is unavailable, got http status ${response.status}`);
+  }
+  const { challengeNonce, largestAllowedHash, validDurationInMinutes } = await response.json();
+  if (typeof challengeNonce !== 'string' || typeof largestAllowedHash !== 'string' ||
+      !Number.isFinite(validDurationInMinutes) || validDurationInMinutes <= 0) {
+    throw new Error('ION node proof-of-work challenge is malformed');
+  }
+
+  const expiry = Date.now() + validDurationInMinutes * 60 * 1000;
+  do {
+    // The node decodes the answer nonce from hex and prepends it to the body, so it must be valid UTF-8.
+    const answer = bytesToHex(randomBytes(32));
+    const hash = await argon2id({
+      password: answer + body,
+      salt: hexToBytes(challengeNonce),
+      parallelism: 1,
+      iterations: 1,
+      memorySize: 1000,
+      hashLength: 32,
+      outputType: 'hex',
+    });
+    if (hash <= largestAllowedHash) {
+      return { 'Challenge-Nonce': challengeNonce, 'Answer-Nonce': bytesToHex(utf8ToBytes(answer)) };
+    }
+  } while (Date.now() < expiry);
+
+  throw new Error('ION node proof-of-work challenge expired before it was solved');
+}
+
+async function resolveWithNode(did, node) {
   try {
-    return await didIonResolver.resolve(did);
+    if (!node?.resolutionEndpoint) return await didIonResolver.resolve(did);
+
+    const fetch = node.fetch ?? globalThis.fetch ?? crossFetch;
+    const response = await fetch(`${node.resolutionEndpoint.replace(/\/+$/, '')}/${did}`);
+    if (!response.ok) throw new Error(`unable to resolve ${did}, got http status ${response.status}`);
+    return await response.json();
   } catch (error) {
     return {
       didDocument           : null,
@@ -49,3 +386,19 @@ export async function resolve(did) {
     };
   }
 }
+
+/**
+ * @returns {string | undefined} Short form of a did:ion DID (e.g., `did:ion:EiA...` or `did:ion:test:EiA...`)
+ */
+function shortFormOf(did) {
+  return /^did:ion:(?:test:)?[^:]+/.exec(did)?.[0];
+}
+
+/**
+ * @returns {object} Sidetree public key of a managed key, without the fields (e.g., `state` or `retiredAt`) that
+ *   only the DID manager tracks
+ */
+function toPublicKey(key) {
+  const { id, type, purposes } = key;
+  return { id, type, ...(purposes && { purposes }), publicKeyJwk: key.publicKeyJwk ?? key.keyPair.publicJwk };
+}
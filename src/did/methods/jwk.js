@@ -0,0 +1,131 @@
+import { Encoder } from '@tbd54566975/dwn-sdk-js';
+
+import { generateKeyPair, toPublicKeyJwk } from '../crypto/signing.js';
+
+export { sign, verify } from '../crypto/signing.js';
+
+const SUPPORTED_CURVES = ['Ed25519', 'X25519', 'secp256k1', 'P-256'];
+
+/**
+ * Creates a did:jwk DID from a generated or imported JSON Web Key.
+ *
+ * @param {object} [options] Object containing the creation parameters
+ * @param {'Ed25519' | 'X25519' | 'secp256k1' | 'P-256'} [options.curve] Curve of the key to generate. Defaults to 'Ed25519'.
+ * @param {object} [options.publicKeyJwk] Public key to import instead of generating a key
+ * @param {object} [options.privateKeyJwk] Private key to import. The public key is taken from its public members.
+ * @param {'sig' | 'enc'} [options.use] Restricts the key to signing or encryption verification relationships
+ * @returns {Promise<{ id: string, internalId: string, keys: object[] }>}
+ */
+export async function create(options = { }) {
+  let { publicKeyJwk, privateKeyJwk } = options;
+
+  if (privateKeyJwk) {
+    publicKeyJwk ??= toPublicKeyJwk(privateKeyJwk);
+  } else if (!publicKeyJwk) {
+    ({ publicKeyJwk, privateKeyJwk } = await generateKeyPair(options.curve ?? 'Ed25519'));
+  }
+
+  if (!SUPPORTED_CURVES.includes(publicKeyJwk.crv)) {
+    throw new Error(`Unsupported cryptographic curve: ${publicKeyJwk.crv}`);
+  }
+
+  const identifierJwk = {
+    ...toPublicKeyJwk(publicKeyJwk),
+    ...(options.use && { use: options.use }),
+  };
+  const id = `did:jwk:${Encoder.stringToBase64Url(canonicalize(identifierJwk))}`;
+
+  return {
+    id,
+    internalId: id,
+    keys: [
+      {
+        id: `${id}#0`,
+        type: 'JsonWebKey2020',
+        controller: id,
+        keyPair: {
+          publicKeyJwk: identifierJwk,
+          ...(privateKeyJwk && { privateKeyJwk: { ...identifierJwk, d: privateKeyJwk.d } }),
+        },
+      },
+    ],
+  };
+}
+
+/**
+ * Resolves a did:jwk DID offline by decoding the JWK embedded in the identifier.
+ *
+ * @param {string} did did:jwk DID
+ * @returns {Promise<object>} DID resolution result
+ */
+export async function resolve(did) {
+  let publicKeyJwk;
+  try {
+    const [scheme, method, identifier] = did.split('#')[0].split(':');
+    if (scheme !== 'did' || method !== 'jwk') throw new Error(`Malformed did: ${did}`);
+    publicKeyJwk = Encoder.base64UrlToObject(identifier);
+    if (!SUPPORTED_CURVES.includes(publicKeyJwk?.crv) || publicKeyJwk?.d !== undefined) {
+      throw new Error(`Unsupported or private JWK in did: ${did}`);
+    }
+  } catch {
+    return {
+      didDocument: null,
+      didDocumentMetadata: {},
+      didResolutionMetadata: { error: 'invalidDid' },
+    };
+  }
+
+  const keyId = `${did}#0`;
+  const { signing, encryption } = verificationRelationships(publicKeyJwk);
+
+  const didDocument = {
+    '@context': [
+      'https://www.w3.org/ns/did/v1',
+      'https://w3id.org/security/suites/jws-2020/v1',
+    ],
+    id: did,
+    verificationMethod: [{
+      id: keyId,
+      type: 'JsonWebKey2020',
+      controller: did,
+      publicKeyJwk,
+    }],
+    ...(signing && {
+      assertionMethod: [keyId],
+      authentication: [keyId],
+      capabilityDelegation: [keyId],
+      capabilityInvocation: [keyId],
+    }),
+    ...(encryption && { keyAgreement: [keyId] }),
+  };
+
+  return {
+    '@context': 'https://w3id.org/did-resolution/v1',
+    didDocument,
+    didDocumentMetadata: {},
+    didResolutionMetadata: {},
+  };
+}
+
+/**
+ * Determines which verification relationships a key is valid for, per the did:jwk specification.
+ * Ed25519 keys can only sign and X25519 keys can only agree on keys. EC keys may do both unless
+ * restricted by `use`.
+ */
+function verificationRelationships(publicKeyJwk) {
+  if (publicKeyJwk.crv === 'Ed25519') return { signing: true, encryption: false };
+  if (publicKeyJwk.crv === 'X25519') return { signing: false, encryption: true };
+  return {
+    signing: publicKeyJwk.use !== 'enc',
+    encryption: publicKeyJwk.use !== 'sig',
+  };
+}
+
+/**
+ * Serializes a flat JWK with its members in lexicographic order, so that the same key always
+ * yields the same DID.
+ */
+function canonicalize(jwk) {
+  const sorted = Object.fromEntries(Object.keys(jwk).sort().map(member => [member, jwk[member]]));
+  return JSON.stringify(sorted);
+}
@@ -1,17 +1,43 @@
-import { DidKeyResolver, Encoder } from '@tbd54566975/dwn-sdk-js';
+import { DidKeyResolver } from '@tbd54566975/dwn-sdk-js';
+import { base58btc } from 'multiformats/bases/base58';
 import nacl from 'tweetnacl';
 
+import { ecPublicKeyJwkToBytes, ecPublicKeyToJwk, generateKeyPair } from '../crypto/signing.js';
 import {
   ed25519KeyPairToX25519,
   encodeMultibaseBase58,
   MULTICODEC_ED25519_PUB_HEADER,
+  MULTICODEC_P256_PUB_HEADER,
+  MULTICODEC_SECP256K1_PUB_HEADER,
   MULTICODEC_X25519_PUB_HEADER,
   createJWK,
 } from '../utils.js';
 
+export { sign, verify } from '../crypto/signing.js';
+
 const didKeyResolver = new DidKeyResolver();
 
+const EC_CURVE_HEADERS = {
+  'secp256k1': MULTICODEC_SECP256K1_PUB_HEADER,
+  'P-256': MULTICODEC_P256_PUB_HEADER,
+};
+
+/**
+ * Creates a did:key DID.
+ *
+ * Ed25519 DIDs also return an X25519 key agreement key derived from the signing key. secp256k1 and
+ * P-256 DIDs encode the compressed public key and return a single key.
+ *
+ * @param {object} [options] Object containing the creation parameters
+ * @param {'Ed25519' | 'secp256k1' | 'P-256'} [options.curve] Cryptographic curve. Defaults to 'Ed25519'.
+ * @returns {Promise<{ id: string, internalId: string, keys: object[] }>}
+ */
 export async function create(options = { }) {
+  const { curve = 'Ed25519' } = options;
+  if (curve !== 'Ed25519') {
+    return createEcKey(curve);
+  }
+
   // Generate new sign key pair.
   const verificationKeyPair = nacl.sign.keyPair();
   const keyAgreementKeyPair = ed25519KeyPairToX25519(verificationKeyPair);
@@ -47,65 +73,67 @@ export async function create(options = { }) {
 }
 
 export async function resolve(did) {
+  try {
+    const [, , identifier] = did.split('#')[0].split(':');
+    const idBytes = base58btc.decode(identifier);
+    const curve = Object.keys(EC_CURVE_HEADERS).find(curve => EC_CURVE_HEADERS[curve].every((byte, index) => idBytes[index] === byte));
+    // The dwn-sdk-js resolver does not support P-256, so EC keys are resolved here.
+    if (curve) {
+      return resolveEcKey(did, identifier, ecPublicKeyToJwk(curve, idBytes.slice(EC_CURVE_HEADERS[curve].length)));
+    }
+  } catch {
+    // Fall through so malformed DIDs get the same error as other did:key DIDs.
+  }
   return didKeyResolver.resolve(did);
 }
 
-/**
- * 
- * @param {object} options Object containing the signing parameters
- * @param {Uint8Array} options.data The data to sign
- * @param {object} options.privateKeyJwk Private key as JSON Web Key (JWK)
- * @param {string} options.privateKeyJwk.crv Cryptogrpahic curve
- * @param {string} options.privateKeyJwk.d Base64url encoded private key
- * @param {string} options.privateKeyJwk.kid Key ID
- * @param {string} options.privateKeyJwk.kty Key type
- * @param {string} options.privateKeyJwk.x Base64url encoded public key
- * @returns {Uint8Array} Signature
- */
-export async function sign(options) {
-  const { data, privateKeyJwk } = options;
-  const privateKeyBytes = Encoder.base64UrlToBytes(privateKeyJwk.d);
+async function createEcKey(curve) {
+  const header = EC_CURVE_HEADERS[curve];
+  if (!header) throw new Error(`Unsupported cryptographic curve: ${curve}`);
 
-  let signature, signedData;
-  switch (privateKeyJwk?.crv) {
-  case 'Ed25519':
-    signedData = nacl.sign(data, privateKeyBytes);
-    signature = signedData.slice(0, nacl.sign.signatureLength);
-    break;
-  default:
-    throw new Error(`Unsupported cryptographic curve: ${privateKeyJwk.crv}`);
-  }
+  const { publicKeyJwk, privateKeyJwk } = await generateKeyPair(curve);
+  const keyId = await encodeMultibaseBase58(ecPublicKeyJwkToBytes(publicKeyJwk, { compressed: true }), header);
+  const id = `did:key:${keyId}`;
 
-  return signature;
+  return {
+    id,
+    internalId: id,
+    keys: [
+      {
+        id: `${id}#${keyId}`,
+        type: 'JsonWebKey2020',
+        controller: id,
+        keyPair: {
+          publicKeyJwk: { ...publicKeyJwk, kid: keyId },
+          privateKeyJwk: { ...privateKeyJwk, kid: keyId },
+        },
+      },
+    ],
+  };
 }
 
-/**
- * 
- * @param {object} options Object containing the verification parameters
- * @param {Uint8Array} options.signature The signature to verify
- * @param {Uint8Array} options.data The data to verify
- * @param {object} options.publicKeyJwk Public key as JSON Web Key (JWK)
- * @param {string} options.publicKeyJwk.crv Cryptogrpahic curve
- * @param {string} options.publicKeyJwk.kid Key ID
- * @param {string} options.publicKeyJwk.kty Key type
- * @param {string} options.publicKeyJwk.x Base64url encoded public key
- * @returns {boolean}
- */
-export async function verify(options) {
-  const { signature, data, publicKeyJwk } = options;
-  const publicKeyBytes = Encoder.base64UrlToBytes(publicKeyJwk.x);
-
-  let signedData, result;
-  switch (publicKeyJwk?.crv) {
-  case 'Ed25519':
-    signedData = new Uint8Array(signature.length + data.length);
-    signedData.set(signature);
-    signedData.set(data, signature.length);
-    result = nacl.sign.open(signedData, publicKeyBytes);
-    break;
-  default:
-    throw new Error(`Unsupported cryptographic curve: ${publicKeyJwk?.crv}`);
-  }
-
-  return (result === null) ? false : true;
+function resolveEcKey(did, identifier, publicKeyJwk) {
+  const keyId = `${did}#${identifier}`;
+  return {
+    '@context': 'https://w3id.org/did-resolution/v1',
+    didDocument: {
+      '@context': [
+        'https://www.w3.org/ns/did/v1',
+        'https://w3id.org/security/suites/jws-2020/v1',
+      ],
+      id: did,
+      verificationMethod: [{
+        id: keyId,
+        type: 'JsonWebKey2020',
+        controller: did,
+        publicKeyJwk,
+      }],
+      authentication: [keyId],
+      assertionMethod: [keyId],
+      capabilityDelegation: [keyId],
+      capabilityInvocation: [keyId],
+    },
+    didDocumentMetadata: {},
+    didResolutionMetadata: {},
+  };
 }
@@ -1,2 +1,5 @@
 export * as ion from './ion.js';
-export * as key from './key.js';
\ No newline at end of file
+export * as jwk from './jwk.js';
+export * as key from './key.js';
+export * as peer from './peer.js';
+export * as web from './web.js';
@@ -0,0 +1,294 @@
+import { base58btc } from 'multiformats/bases/base58';
+import { Encoder } from '@tbd54566975/dwn-sdk-js';
+import nacl from 'tweetnacl';
+
+import {
+  createJWK,
+  ed25519KeyPairToX25519,
+  ed25519PrivateKeyToX25519,
+  ed25519PublicKeyToX25519,
+  encodeMultibaseBase58,
+  MULTICODEC_ED25519_PUB_HEADER,
+  MULTICODEC_X25519_PUB_HEADER,
+} from '../utils.js';
+
+export { sign, verify } from '../crypto/signing.js';
+
+// See https://identity.foundation/peer-did-method-spec/#method-2-multiple-inception-key-without-doc
+const PURPOSE_CODES = {
+  assertionMethod: 'A',
+  keyAgreement: 'E',
+  authentication: 'V',
+  capabilityInvocation: 'I',
+  capabilityDelegation: 'D',
+};
+const PURPOSES = Object.fromEntries(Object.entries(PURPOSE_CODES).map(([purpose, code]) => [code, purpose]));
+
+const SERVICE_ABBREVIATIONS = {
+  type: 't',
+  serviceEndpoint: 's',
+  routingKeys: 'r',
+  accept: 'a',
+  DIDCommMessaging: 'dm',
+};
+const SERVICE_EXPANSIONS = Object.fromEntries(Object.entries(SERVICE_ABBREVIATIONS).map(([name, abbreviation]) => [abbreviation, name]));
+
+const CURVE_HEADERS = {
+  Ed25519: MULTICODEC_ED25519_PUB_HEADER,
+  X25519: MULTICODEC_X25519_PUB_HEADER,
+};
+
+/**
+ * Creates a did:peer DID.
+ *
+ * Numalgo 0 DIDs wrap a single Ed25519 inception key, like did:key. Numalgo 2 DIDs encode any
+ * number of keys, each with a verification relationship, and services (e.g., a
+ * `DecentralizedWebNode` service) directly in the identifier.
+ *
+ * @param {object} [options] Object containing the creation parameters
+ * @param {0 | 2} [options.numalgo] Peer DID algorithm. Defaults to 2.
+ * @param {object[]} [options.keys] Keys to include instead of generating an Ed25519 authentication key and X25519
+ * key agreement key. Each entry has a `purpose` (`'authentication'`, `'assertionMethod'`, `'keyAgreement'`,
+ * `'capabilityInvocation'` or `'capabilityDelegation'`) and an Ed25519 or X25519 `keyPair` of
+ * `{ publicKeyJwk, privateKeyJwk }`. Numalgo 0 accepts a single Ed25519 key.
+ * @param {object[]} [options.services] Services to include in a numalgo 2 DID
+ * @returns {Promise<{ id: string, internalId: string, keys: object[], services: object[] }>}
+ */
+export async function create(options = { }) {
+  const { numalgo = 2, services = [] } = options;
+
+  switch (numalgo) {
+  case 0: {
+    if (services.length > 0) throw new Error('did:peer numalgo 0 does not support services');
+    if (options.keys && (options.keys.length !== 1 || options.keys[0].keyPair.publicKeyJwk.crv !== 'Ed25519')) {
+      throw new Error('did:peer numalgo 0 requires a single Ed25519 key');
+    }
+    const [{ keyPair }] = options.keys ?? await generateKeys();
+    const publicKey = Encoder.base64UrlToBytes(keyPair.publicKeyJwk.x);
+    const id = `did:peer:0${await encodeMultibaseBase58(publicKey, MULTICODEC_ED25519_PUB_HEADER)}`;
+    const { didDocument } = await resolve(id);
+
+    const keys = didDocument.verificationMethod.map(({ id, type, controller, publicKeyJwk }) => ({
+      id,
+      type,
+      controller,
+      keyPair: {
+        publicKeyJwk,
+        ...(keyPair.privateKeyJwk && { privateKeyJwk: { ...publicKeyJwk, d: privateKeyFor(publicKeyJwk.crv, keyPair.privateKeyJwk) } }),
+      },
+    }));
+
+    return { id, internalId: id, keys, services: [] };
+  }
+
+  case 2: {
+    const keys = options.keys ?? await generateKeys();
+
+    const elements = [];
+    for (const { purpose, keyPair } of keys) {
+      const code = PURPOSE_CODES[purpose];
+      if (!code) throw new Error(`Unsupported verification relationship: ${purpose}`);
+      const header = CURVE_HEADERS[keyPair.publicKeyJwk.crv];
+      if (!header) throw new Error(`Unsupported cryptographic curve: ${keyPair.publicKeyJwk.crv}`);
+      const publicKey = Encoder.base64UrlToBytes(keyPair.publicKeyJwk.x);
+      elements.push(`${code}${await encodeMultibaseBase58(publicKey, header)}`);
+    }
+    for (const service of services) {
+      elements.push(`S${Encoder.stringToBase64Url(JSON.stringify(abbreviateService(service)))}`);
+    }
+
+    const id = `did:peer:2.${elements.join('.')}`;
+    const { didDocument } = await resolve(id);
+
+    return {
+      id,
+      internalId: id,
+      keys: keys.map(({ keyPair }, index) => ({
+        id: `${id}#key-${index + 1}`,
+        type: 'JsonWebKey2020',
+        controller: id,
+        keyPair: {
+          publicKeyJwk: { ...keyPair.publicKeyJwk, kid: `key-${index + 1}` },
+          ...(keyPair.privateKeyJwk && { privateKeyJwk: { ...keyPair.privateKeyJwk, kid: `key-${index + 1}` } }),
+        },
+      })),
+      services: didDocument.service ?? [],
+    };
+  }
+
+  default:
+    throw new Error(`Unsupported did:peer numalgo: ${numalgo}`);
+  }
+}
+
+/**
+ * Resolves a did:peer DID offline, building its DID document from the identifier.
+ *
+ * @param {string} did did:peer DID using numalgo 0 or 2
+ * @returns {Promise<object>} DID resolution result
+ */
+export async function resolve(did) {
+  let didDocument;
+  try {
+    const [scheme, method, identifier] = did.split('#')[0].split(':');
+    if (scheme !== 'did' || method !== 'peer' || !identifier) throw new Error(`Malformed did: ${did}`);
+
+    switch (identifier[0]) {
+    case '0':
+      didDocument = numalgo0Document(did, identifier.slice(1));
+      break;
+    case '2':
+      didDocument = numalgo2Document(did, identifier.slice(1));
+      break;
+    default:
+      throw new Error(`Unsupported did:peer numalgo: ${identifier[0]}`);
+    }
+  } catch {
+    return {
+      didDocument: null,
+      didDocumentMetadata: {},
+      didResolutionMetadata: { error: 'invalidDid' },
+    };
+  }
+
+  return {
+    '@context': 'https://w3id.org/did-resolution/v1',
+    didDocument,
+    didDocumentMetadata: {},
+    didResolutionMetadata: {},
+  };
+}
+
+async function generateKeys() {
+  const verificationKeyPair = nacl.sign.keyPair();
+  const keyAgreementKeyPair = ed25519KeyPairToX25519(verificationKeyPair);
+
+  const toKeyPair = async (crv, { publicKey, secretKey }) => {
+    const { keyPair } = await createJWK({ id: '', crv, kid: '', kty: 'OKP', publicKey, privateKey: secretKey });
+    delete keyPair.publicKeyJwk.kid;
+    delete keyPair.privateKeyJwk.kid;
+    return keyPair;
+  };
+
+  return [
+    { purpose: 'authentication', keyPair: await toKeyPair('Ed25519', verificationKeyPair) },
+    { purpose: 'keyAgreement', keyPair: await toKeyPair('X25519', keyAgreementKeyPair) },
+  ];
+}
+
+function numalgo0Document(did, multibaseKey) {
+  const verificationKey = decodeMultibaseKey(multibaseKey);
+  if (verificationKey.crv !== 'Ed25519') throw new Error('did:peer numalgo 0 requires an Ed25519 key');
+
+  const keyAgreementPublicKey = ed25519PublicKeyToX25519(Encoder.base64UrlToBytes(verificationKey.x));
+  const keyAgreementMultibase = base58btc.encode(new Uint8Array([...MULTICODEC_X25519_PUB_HEADER, ...keyAgreementPublicKey]));
+  const keyAgreementKey = { crv: 'X25519', kty: 'OKP', x: Encoder.bytesToBase64Url(keyAgreementPublicKey) };
+
+  const verificationKeyId = `${did}#${multibaseKey}`;
+  const keyAgreementKeyId = `${did}#${keyAgreementMultibase}`;
+
+  return {
+    '@context': [
+      'https://www.w3.org/ns/did/v1',
+      'https://w3id.org/security/suites/jws-2020/v1',
+    ],
+    id: did,
+    verificationMethod: [
+      { id: verificationKeyId, type: 'JsonWebKey2020', controller: did, publicKeyJwk: verificationKey },
+      { id: keyAgreementKeyId, type: 'JsonWebKey2020', controller: did, publicKeyJwk: keyAgreementKey },
+    ],
+    authentication: [verificationKeyId],
+    assertionMethod: [verificationKeyId],
+    capabilityDelegation: [verificationKeyId],
+    capabilityInvocation: [verificationKeyId],
+    keyAgreement: [keyAgreementKeyId],
+  };
+}
+
+function numalgo2Document(did, encoded) {
+  const didDocument = {
+    '@context': [
+      'https://www.w3.org/ns/did/v1',
+      'https://w3id.org/security/suites/jws-2020/v1',
+    ],
+    id: did,
+    verificationMethod: [],
+  };
+  const services = [];
+
+  const elements = encoded.split('.').slice(1);
+  if (elements.length === 0) throw new Error(`Malformed did: ${did}`);
+
+  for (const element of elements) {
+    const code = element[0];
+    const value = element.slice(1);
+
+    if (code === 'S') {
+      const decoded = Encoder.base64UrlToObject(value);
+      services.push(...(Array.isArray(decoded) ? decoded : [decoded]).map(expandService));
+      continue;
+    }
+
+    const purpose = PURPOSES[code];
+    if (!purpose) throw new Error(`Unsupported did:peer purpose code: ${code}`);
+
+    const keyId = `${did}#key-${didDocument.verificationMethod.length + 1}`;
+    didDocument.verificationMethod.push({ id: keyId, type: 'JsonWebKey2020', controller: did, publicKeyJwk: decodeMultibaseKey(value) });
+    (didDocument[purpose] ??= []).push(keyId);
+  }
+
+  if (services.length > 0) {
+    // Services without an ID are numbered in order of appearance: #service, #service-1, #service-2...
+    didDocument.service = services.map((service, index) => ({
+      ...service,
+      id: `${did}#${service.id?.split('#').pop() ?? ((index === 0) ? 'service' : `service-${index}`)}`,
+    }));
+  }
+
+  return didDocument;
+}
+
+function decodeMultibaseKey(multibaseKey) {
+  const bytes = base58btc.decode(multibaseKey);
+  for (const [crv, header] of Object.entries(CURVE_HEADERS)) {
+    if (header.every((byte, index) => bytes[index] === byte)) {
+      return { crv, kty: 'OKP', x: Encoder.bytesToBase64Url(bytes.slice(header.length)) };
+    }
+  }
+  throw new Error(`Unsupported multicodec key: ${multibaseKey}`);
+}
+
+function privateKeyFor(crv, ed25519PrivateKeyJwk) {
+  if (crv === 'Ed25519') return ed25519PrivateKeyJwk.d;
+  // The key agreement key is derived from the inception key, as it is for did:key.
+  const x25519PrivateKey = ed25519PrivateKeyToX25519(Encoder.base64UrlToBytes(ed25519PrivateKeyJwk.d));
+  return Encoder.bytesToBase64Url(x25519PrivateKey);
+}
+
+function abbreviateService(service) {
+  const abbreviate = (value) => {
+    if (Array.isArray(value)) return value.map(abbreviate);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([name, member]) => [
+        SERVICE_ABBREVIATIONS[name] ?? name,
+        (name === 'type') ? (SERVICE_ABBREVIATIONS[member] ?? member) : abbreviate(member),
+      ]));
+    }
+    return value;
+  };
+  return abbreviate(service);
+}
+
+function expandService(service) {
+  const expand = (value) => {
+    if (Array.isArray(value)) return value.map(expand);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([abbreviation, member]) => {
+        const name = SERVICE_EXPANSIONS[abbreviation] ?? abbreviation;
+        return [name, (name === 'type') ? (SERVICE_EXPANSIONS[member] ?? member) : expand(member)];
+      }));
+    }
+    return value;
+  };
+  return expand(service);
+}
@@ -0,0 +1,145 @@
+import crossFetch from 'cross-fetch';
+import nacl from 'tweetnacl';
+
+import {
+  createJWK,
+  ed25519KeyPairToX25519,
+} from '../utils.js';
+
+export { sign, verify } from './key.js';
+
+/**
+ * Creates a did:web DID and the DID document that must be hosted for it to resolve.
+ *
+ * @param {object} options Object containing the creation parameters
+ * @param {string} options.domain Host name, optionally with a port (e.g., 'example.com' or 'localhost:8443')
+ * @param {string | string[]} [options.path] Path to the DID document, for DIDs that are not hosted at the domain root
+ * @param {object[]} [options.services] Services to include in the DID document (e.g., `DecentralizedWebNode`)
+ * @returns {Promise<{ id: string, internalId: string, keys: object[], services: object[], didDocument: object, didDocumentUrl: string }>}
+ */
+export async function create(options = { }) {
+  const { domain, path = [], services = [] } = options;
+  if (!domain) throw new Error('did:web requires a domain');
+
+  const pathSegments = Array.isArray(path) ? path : path.split('/').filter(segment => segment);
+  const id = ['did:web', encodeURIComponent(domain), ...pathSegments.map(encodeURIComponent)].join(':');
+
+  // Generate new sign key pair.
+  const verificationKeyPair = nacl.sign.keyPair();
+  const keyAgreementKeyPair = ed25519KeyPairToX25519(verificationKeyPair);
+
+  const verificationKey = await createJWK({
+    id,
+    crv: 'Ed25519',
+    kid: 'dwn',
+    kty: 'OKP',
+    publicKey: verificationKeyPair.publicKey,
+    privateKey: verificationKeyPair.secretKey,
+  });
+
+  const keyAgreementKey = await createJWK({
+    id,
+    crv: 'X25519',
+    kid: 'key-agreement',
+    kty: 'OKP',
+    publicKey: keyAgreementKeyPair.publicKey,
+    privateKey: keyAgreementKeyPair.secretKey,
+  });
+
+  const toVerificationMethod = ({ id, type, controller, keyPair }) => ({ id, type, controller, publicKeyJwk: keyPair.publicKeyJwk });
+  const didServices = services.map(service => ({ ...service, id: `${id}#${service.id.split('#').pop()}` }));
+
+  const didDocument = {
+    '@context': [
+      'https://www.w3.org/ns/did/v1',
+      'https://w3id.org/security/suites/jws-2020/v1',
+    ],
+    id,
+    verificationMethod: [verificationKey, keyAgreementKey].map(toVerificationMethod),
+    authentication: [verificationKey.id],
+    assertionMethod: [verificationKey.id],
+    capabilityDelegation: [verificationKey.id],
+    capabilityInvocation: [verificationKey.id],
+    keyAgreement: [keyAgreementKey.id],
+    ...(didServices.length > 0 && { service: didServices }),
+  };
+
+  return {
+    id,
+    internalId: id,
+    keys: [verificationKey, keyAgreementKey],
+    services: didServices,
+    didDocument,
+    didDocumentUrl: didWebToUrl(id),
+  };
+}
+
+/**
+ * Resolves a did:web DID by fetching its DID document over HTTPS.
+ *
+ * @param {string} did did:web DID (e.g., 'did:web:example.com' or 'did:web:example.com:user:alice')
+ * @param {object} [options] Object containing the resolution parameters
+ * @param {Function} [options.fetch] Fetch implementation to use. Defaults to `globalThis.fetch`.
+ * @returns {Promise<object>} DID resolution result
+ */
+export async function resolve(did, options = { }) {
+  const fetch = options?.fetch ?? globalThis.fetch ?? crossFetch;
+
+  let url;
+  try {
+    url = didWebToUrl(did);
+  } catch {
+    return resolutionError('invalidDid');
+  }
+
+  let didDocument;
+  try {
+    const response = await fetch(url, { headers: { Accept: 'application/did+json, application/json' } });
+    if (!response.ok) {
+      return resolutionError((response.status === 404) ? 'notFound' : `unable to resolve ${did}, got http status ${response.status}`);
+    }
+    didDocument = await response.json();
+  } catch (error) {
+    return resolutionError(`unable to resolve ${did}: ${error.message}`);
+  }
+
+  if (didDocument?.id !== did) {
+    return resolutionError('invalidDidDocument');
+  }
+
+  return {
+    '@context': 'https://w3id.org/did-resolution/v1',
+    didDocument,
+    didDocumentMetadata: {},
+    didResolutionMetadata: { contentType: 'application/did+json' },
+  };
+}
+
+/**
+ * Maps a did:web DID to the URL of its DID document, as defined by the did:web method specification.
+ *
+ * @param {string} did did:web DID
+ * @returns {string} HTTPS URL of the DID document
+ */
+function didWebToUrl(did) {
+  const [scheme, method, domain, ...pathSegments] = did.split('#')[0].split(':');
+  if (scheme !== 'did' || method !== 'web' || !domain) throw new Error(`Malformed did: ${did}`);
+
+  const host = decodeURIComponent(domain);
+  const path = (pathSegments.length > 0)
+    ? pathSegments.map(segment => decodeURIComponent(segment)).join('/')
+    : '.well-known';
+
+  // The percent-decoded domain may only contain a host and an optional port.
+  if (/[/?#@\\]/.test(host)) throw new Error(`Malformed did: ${did}`);
+
+  return new URL(`https://${host}/${path}/did.json`).href;
+}
+
+function resolutionError(error) {
+  return {
+    didDocument: null,
+    didDocumentMetadata: {},
+    didResolutionMetadata: { error },
+  };
+}
@@ -0,0 +1,116 @@
+import { DID_VERIFICATION_RELATIONSHIPS, parseDidUrl } from './utils.js';
+
+/**
+ * Error codes defined by DID Core and the DID Resolution specification.
+ */
+export const DID_RESOLUTION_ERRORS = [
+  'internalError',
+  'invalidDid',
+  'invalidDidDocument',
+  'methodNotSupported',
+  'notFound',
+  'representationNotSupported',
+];
+
+/**
+ * Returns a failed DID resolution result.
+ *
+ * @param {string} error Error code (e.g., 'notFound')
+ * @param {string} [errorMessage] Human readable detail, such as the original error of a method or resolver
+ * @returns {object} DID resolution result
+ */
+export function resolutionError(error, errorMessage) {
+  return {
+    '@context': 'https://w3id.org/did-resolution/v1',
+    didDocument: null,
+    didDocumentMetadata: {},
+    didResolutionMetadata: { error, ...(errorMessage && { errorMessage }) },
+  };
+}
+
+/**
+ * Checks a DID resolution result returned by a DID method or resolver, and normalizes it so that
+ * results and failures are reported the same way for every method.
+ *
+ * Errors that are not standard error codes are reported as `notFound` if they describe a missing
+ * DID, or `internalError` otherwise, with the original error kept in `errorMessage`. The DID
+ * document must conform to DID Core: its `id` is the requested DID, verification method and
+ * service IDs are unique, and the verification relationships only reference verification methods
+ * that the document defines.
+ *
+ * @param {string} did DID that was resolved
+ * @param {object} result DID resolution result
+ * @returns {object} Normalized DID resolution result
+ */
+export function validateResolutionResult(did, result) {
+  const error = result?.didResolutionMetadata?.error;
+  if (error) {
+    if (DID_RESOLUTION_ERRORS.includes(error)) return resolutionError(error, result.didResolutionMetadata.errorMessage);
+    return resolutionError(/\b404\b|not found/i.test(error) ? 'notFound' : 'internalError', error);
+  }
+
+  const { didDocument } = result ?? { };
+  if (!didDocument) return resolutionError('notFound');
+
+  const problem = validateDidDocument(did, didDocument);
+  if (problem) return resolutionError('invalidDidDocument', problem);
+
+  return {
+    '@context': 'https://w3id.org/did-resolution/v1',
+    didDocument,
+    didDocumentMetadata: result.didDocumentMetadata ?? {},
+    didResolutionMetadata: result.didResolutionMetadata ?? {},
+  };
+}
+
+/**
+ * @returns {string | undefined} Description of the first problem found, if any
+ */
+function validateDidDocument(did, didDocument) {
+  if (typeof didDocument !== 'object' || Array.isArray(didDocument)) return 'DID document is not an object';
+  if (didDocument.id !== did) return `DID document id ${didDocument.id} does not match ${did}`;
+
+  // Relative IDs (e.g., '#key-1') are relative to the DID.
+  const absolute = (id) => (typeof id === 'string' && id.startsWith('#')) ? `${did}${id}` : id;
+
+  const verificationMethods = [
+    ...arrayOf(didDocument.verificationMethod),
+    ...DID_VERIFICATION_RELATIONSHIPS.flatMap(purpose => arrayOf(didDocument[purpose])).filter(method => typeof method === 'object'),
+  ];
+  for (const method of verificationMethods) {
+    if (!parseDidUrl(absolute(method?.id))) return `Verification method has an invalid id: ${method?.id}`;
+    if (typeof method.type !== 'string') return `Verification method ${method.id} has no type`;
+    if (method.controller !== undefined && typeof method.controller !== 'string') return `Verification method ${method.id} has an invalid controller`;
+  }
+
+  const services = arrayOf(didDocument.service);
+  for (const service of services) {
+    if (!parseDidUrl(absolute(service?.id))) return `Service has an invalid id: ${service?.id}`;
+    if (service.type === undefined || service.serviceEndpoint === undefined) return `Service ${service.id} must have a type and serviceEndpoint`;
+  }
+
+  // Verification method and service IDs are checked separately. Sidetree keeps keys and services in separate
+  // namespaces, and ION DIDs created with the default `dwn` key commonly also have a `dwn` service.
+  for (const resources of [verificationMethods, services]) {
+    const ids = new Set();
+    for (const { id } of resources) {
+      if (ids.has(absolute(id))) return `Duplicate id in DID document: ${id}`;
+      ids.add(absolute(id));
+    }
+  }
+
+  for (const purpose of DID_VERIFICATION_RELATIONSHIPS) {
+    for (const reference of arrayOf(didDocument[purpose]).filter(method => typeof method === 'string')) {
+      // References to verification methods of other DIDs cannot be checked without resolving those DIDs.
+      const isLocal = reference.startsWith('#') || parseDidUrl(reference)?.did === did;
+      if (isLocal && !verificationMethods.some(method => absolute(method.id) === absolute(reference))) {
+        return `${purpose} references an undefined verification method: ${reference}`;
+      }
+    }
+  }
+}
+
+function arrayOf(value) {
+  if (value === undefined) return [];
+  return Array.isArray(value) ? value : [value];
+}
@@ -0,0 +1,79 @@
+import { MemoryStorage } from '../storage/memory-storage.js';
+
+/**
+ * Caches DID resolution results.
+ *
+ * Successful and failed resolutions are cached with separate TTLs. The TTL of a successful result
+ * is shortened to the `nextUpdate` time in its `didDocumentMetadata`, if that comes sooner, while
+ * results for deactivated DIDs, which can no longer change, are always kept for the full TTL.
+ * Each entry records its own expiry time so that freshness does not depend on the storage backend
+ * honoring the `timeout` option.
+ */
+export class DidResolverCache {
+  static DEFAULT_TTL = 1000 * 60 * 60; // 1hr
+  static DEFAULT_NEGATIVE_TTL = 1000 * 60; // 1min
+
+  #negativeTtl;
+  #store;
+  #ttl;
+
+  /**
+   * @param {object} [options] - Optional configuration options.
+   * @param {Storage} [options.store] - Storage backend for cached results. Defaults to `MemoryStorage`.
+   * @param {number} [options.ttl] - Milliseconds to cache successful resolutions. Defaults to 1 hour.
+   * @param {number} [options.negativeTtl] - Milliseconds to cache failed resolutions. Defaults to 1 minute. `0` disables.
+   */
+  constructor(options = { }) {
+    this.#store = options?.store ?? new MemoryStorage();
+    this.#ttl = options?.ttl ?? DidResolverCache.DEFAULT_TTL;
+    this.#negativeTtl = options?.negativeTtl ?? DidResolverCache.DEFAULT_NEGATIVE_TTL;
+  }
+
+  async get(did) {
+    const entry = await this.#store.get(did);
+    if (!entry) return undefined;
+
+    if (entry.expires !== null && entry.expires <= Date.now()) {
+      await this.#store.delete(did);
+      return undefined;
+    }
+
+    return entry.result;
+  }
+
+  async set(did, result) {
+    const ttl = this.#ttlFor(result);
+    if (!(ttl > 0)) return;
+
+    const expires = Number.isFinite(ttl) ? Date.now() + ttl : null;
+    // Timers cannot be scheduled further out than 2^31-1 ms. Such entries are still expired on read.
+    const timeout = (ttl <= 2147483647) ? ttl : undefined;
+    await this.#store.set(did, { result, expires }, { timeout });
+  }
+
+  async invalidate(did) {
+    await this.#store.delete(did);
+  }
+
+  async clear() {
+    await this.#store.clear();
+  }
+
+  #ttlFor(result) {
+    if (!result?.didDocument || result?.didResolutionMetadata?.error) {
+      return this.#negativeTtl;
+    }
+
+    const metadata = result.didDocumentMetadata ?? { };
+    if (metadata.deactivated === true) {
+      return this.#ttl;
+    }
+
+    if (metadata.nextUpdate) {
+      const untilNextUpdate = Date.parse(metadata.nextUpdate) - Date.now();
+      if (Number.isFinite(untilNextUpdate)) return Math.min(this.#ttl, untilNextUpdate);
+    }
+
+    return this.#ttl;
+  }
+}
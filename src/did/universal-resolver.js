@@ -0,0 +1,93 @@
+import crossFetch from 'cross-fetch';
+
+// HTTP status codes defined by the DID Resolution HTTP(S) binding
+const HTTP_STATUS_ERRORS = {
+  400: 'invalidDid',
+  404: 'notFound',
+  406: 'representationNotSupported',
+  501: 'methodNotSupported',
+};
+
+/**
+ * Resolves DIDs through a DIF Universal Resolver compatible HTTP(S) endpoint.
+ *
+ * Responses are normalized to the `{ didDocument, didDocumentMetadata, didResolutionMetadata }`
+ * shape returned by the built-in DID methods, whether the server returns a full resolution result
+ * or only a DID document. Failures are reported in `didResolutionMetadata.error` rather than thrown.
+ */
+export class UniversalResolver {
+  #fetch;
+  #url;
+
+  /**
+   * @param {object} options - Configuration options.
+   * @param {string} options.url - Base URL of the resolver (e.g., 'https://dev.uniresolver.io'). DIDs are resolved
+   *   at `<url>/1.0/identifiers/<did>`.
+   * @param {Function} [options.fetch] - Fetch implementation to use. Defaults to `globalThis.fetch`.
+   */
+  constructor(options = { }) {
+    if (!options?.url) throw new Error('Universal resolver requires a url');
+    this.#url = options.url.replace(/\/+$/, '');
+    this.#fetch = options.fetch;
+  }
+
+  get url() {
+    return this.#url;
+  }
+
+  async resolve(did) {
+    const fetch = this.#fetch ?? globalThis.fetch ?? crossFetch;
+    const url = `${this.#url}/1.0/identifiers/${encodeURIComponent(did)}`;
+
+    let response, text;
+    try {
+      response = await fetch(url, { headers: { Accept: 'application/ld+json;profile="https://w3id.org/did-resolution", application/did+json' } });
+      text = await response.text();
+    } catch (error) {
+      return resolutionError(`unable to resolve ${did}: ${error.message}`);
+    }
+
+    let body;
+    try {
+      body = JSON.parse(text);
+    } catch {
+      // Error responses often have plain text bodies, and are reported by their status below.
+      if (response.ok) return resolutionError('invalidDidDocument');
+    }
+
+    // Resolvers may describe failures with a resolution result, in addition to the HTTP status.
+    // Deactivated DIDs are returned with 410 Gone, but still have a resolution result.
+    const error = body?.didResolutionMetadata?.error;
+    const deactivated = response.status === 410 && body?.didDocumentMetadata?.deactivated === true;
+    if ((!response.ok && !deactivated) || error) {
+      const statusError = HTTP_STATUS_ERRORS[response.status] ?? `unable to resolve ${did}, got http status ${response.status}`;
+      return resolutionError(error ?? statusError, body?.didDocumentMetadata);
+    }
+
+    return normalize(did, body);
+  }
+}
+
+function normalize(did, body) {
+  const isResolutionResult = body && typeof body === 'object' && ('didDocument' in body || 'didResolutionMetadata' in body);
+  const didDocument = isResolutionResult ? body.didDocument : body;
+
+  if (!didDocument || typeof didDocument !== 'object' || Array.isArray(didDocument) || didDocument.id !== did.split('#')[0]) {
+    return resolutionError('invalidDidDocument');
+  }
+
+  return {
+    '@context': 'https://w3id.org/did-resolution/v1',
+    didDocument,
+    didDocumentMetadata: (isResolutionResult && body.didDocumentMetadata) || {},
+    didResolutionMetadata: (isResolutionResult && body.didResolutionMetadata) || {},
+  };
+}
+
+function resolutionError(error, didDocumentMetadata) {
+  return {
+    didDocument: null,
+    didDocumentMetadata: didDocumentMetadata ?? {},
+    didResolutionMetadata: { error },
+  };
+}
@@ -12,6 +12,10 @@ export const MULTICODEC_ED25519_PRIV_HEADER = new Uint8Array([0x80, 0x26]);
 export const MULTICODEC_X25519_PUB_HEADER = new Uint8Array([0xec, 0x01]);
 // multicodec x25519-priv header 0x1302 as varint
 export const MULTICODEC_X25519_PRIV_HEADER = new Uint8Array([0x82, 0x26]);
+// multicodec secp256k1-pub header 0xe7 as varint
+export const MULTICODEC_SECP256K1_PUB_HEADER = new Uint8Array([0xe7, 0x01]);
+// multicodec p256-pub header 0x1200 as varint
+export const MULTICODEC_P256_PUB_HEADER = new Uint8Array([0x80, 0x24]);
 // empty for formats that don't use a multicodec header
 export const NO_HEADER = new Uint8Array([]);
 
@@ -191,6 +195,21 @@ export function findVerificationMethods(options) {
   }
 }
 
+/**
+ * Splits a DID URL into its DID and the path, query and fragment components defined by DID Core.
+ *
+ * @param {string} didUrl DID URL (e.g., 'did:example:123/path?service=dwn&relativeRef=/records#key-1')
+ * @returns {{ did: string, path: string, query: string, fragment: string, params: URLSearchParams } | null}
+ *   Components without their delimiters, or null if `didUrl` is not a valid DID URL
+ */
+export function parseDidUrl(didUrl) {
+  const match = /^(did:[a-z0-9]+:(?:[a-zA-Z0-9._-]|%[0-9a-fA-F]{2}|:)*(?:[a-zA-Z0-9._-]|%[0-9a-fA-F]{2}))([^?#]*)(?:\?([^#]*))?(?:#(.*))?$/.exec(didUrl ?? '');
+  if (!match) return null;
+
+  const [, did, path, query = '', fragment = ''] = match;
+  return { did, path, query, fragment, params: new URLSearchParams(query) };
+}
+
 /**
  * Extract the public key from JSON Web Key and convert to bytes.
  * 
@@ -206,7 +225,8 @@ export function publicKeyJwkToBytes(publicKeyJwk) {
       return Encoder.base64UrlToBytes(publicKeyJwk.x);
     }
     
-    case 'secp256k1': {
+    case 'secp256k1':
+    case 'P-256': {
       if (!publicKeyJwk?.x) throw new Error('JWK missing x value');
       if (!publicKeyJwk?.y) throw new Error('JWK missing y value');
 
@@ -235,6 +255,21 @@ export function publicKeyJwkToBytes(publicKeyJwk) {
   }
 }
 
+/**
+ * Returns the public key of a verification method as a JWK, whether it is held as a JWK or, for
+ * Ed25519 and X25519 verification key types, in base58 or multibase format.
+ *
+ * @param {object} verificationMethod Verification method from a DID document
+ * @returns {Promise<object>} Public key as JSON Web Key (JWK)
+ */
+export async function verificationMethodToPublicKeyJwk(verificationMethod) {
+  if (verificationMethod?.publicKeyJwk) return verificationMethod.publicKeyJwk;
+
+  const crv = verificationMethod?.type?.startsWith('X25519') ? 'X25519' : 'Ed25519';
+  const publicKey = await verificationMethodToPublicKeyBytes(verificationMethod);
+  return { crv, kty: 'OKP', x: Encoder.bytesToBase64Url(publicKey) };
+}
+
 export async function verificationMethodToPublicKeyBytes(verificationMethod) {
   switch (verificationMethod?.type) {
 
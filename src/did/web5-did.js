@@ -2,23 +2,70 @@ import { Encoder } from '@tbd54566975/dwn-sdk-js';
 
 import { DidConnect } from './connect/connect.js';
 import * as CryptoCiphers from './crypto/ciphers.js';
+import { isJwe, parseJwe } from './crypto/jwe.js';
+import { createJws, verifyJws } from './crypto/jws.js';
+import { Keystore } from './keystore.js';
 import { DidManager } from './manager.js';
+import { resolutionError, validateResolutionResult } from './resolution.js';
+import { DidResolverCache } from './resolver-cache.js';
+import { UniversalResolver } from './universal-resolver.js';
 import * as Methods from './methods/methods.js';
 import * as DidUtils from './utils.js';
 import { MemoryStorage } from '../storage/memory-storage.js';
 import { pascalToKebabCase } from '../utils.js';
 
+/**
+ * @typedef {Object} DidMethodApi
+ * @property {function(string, object): Promise<object>} resolve Resolves a DID of the method to a DID resolution result
+ *   (`{ didDocument, didDocumentMetadata, didResolutionMetadata }`). Receives the DID and the `resolve()` options.
+ * @property {function(object): Promise<object>} [create] Creates a DID, returning at least `{ id, internalId, keys }`
+ * @property {function(object): Promise<Uint8Array>} [sign] Signs `options.data` with `options.privateKeyJwk`
+ * @property {function(object): Promise<boolean>} [verify] Verifies `options.signature` over `options.data` with `options.publicKeyJwk`
+ * @property {function(object): Promise<object>} [update] Updates a managed DID. Receives the caller's options plus the managed
+ *   `record`, and returns `{ record, ...result }` with the record to store in its place.
+ * @property {function(object): Promise<object>} [recover] Recovers a managed DID, like `update`
+ * @property {function(object): Promise<object>} [deactivate] Deactivates a managed DID, like `update`
+ * @property {function(object): Promise<object>} [publish] Publishes a managed DID to its network, like `update`
+ * @property {function(object): Promise<object>} [anchoringStatus] Reports whether a published DID has been anchored,
+ *   returning `{ record, status, ... }`
+ * @property {function(object): Promise<object>} [rotateKey] Replaces the active keys of a managed DID for `options.purpose`
+ *   with a new key, marking them `state: 'retired'`, like `update`. Returns `{ record, keyId, ...result }`.
+ */
+
 export class Web5Did {
   #cryptoCiphers = {};
   #didConnect;
+  #methods = {};
   #web5;
 
   #didManager;
-  #resolvedDids = new MemoryStorage();
+  #resolverCache;
+  #universalResolver;
 
-  constructor(web5) {
+  /**
+   * @param {Web5} web5 - The Web5 instance this API belongs to.
+   * @param {object} [options] - Optional configuration options.
+   * @param {object} [options.keystore] - When present, managed DIDs are kept in an encrypted `Keystore`
+   *   that must be unlocked with `did.manager.unlock(passphrase)` before use.
+   * @param {Storage} [options.keystore.store] - Storage backend for the encrypted keystore entries.
+   * @param {number} [options.keystore.iterations] - PBKDF2 iteration count for a newly initialized keystore.
+   * @param {object} [options.cache] - DID resolution cache configuration.
+   * @param {Storage} [options.cache.store] - Storage backend for cached resolution results. Defaults to `MemoryStorage`.
+   * @param {number} [options.cache.ttl] - Milliseconds to cache successful resolutions. Defaults to 1 hour.
+   * @param {number} [options.cache.negativeTtl] - Milliseconds to cache failed resolutions. Defaults to 1 minute.
+   * @param {Object<string, DidMethodApi>} [options.methods] - DID methods to register on this instance, by method name.
+   *   These are added to, or override, the built-in methods.
+   * @param {object} [options.universalResolver] - Fallback resolver for DID methods that are not registered.
+   * @param {string} options.universalResolver.url - Base URL of a DIF Universal Resolver compatible endpoint.
+   * @param {Function} [options.universalResolver.fetch] - Fetch implementation to use. Defaults to `globalThis.fetch`.
+   */
+  constructor(web5, options = { }) {
     this.#web5 = web5;
 
+    for (const [name, api] of Object.entries({ ...Methods, ...options?.methods })) {
+      this.registerMethod(name, api);
+    }
+
     for (const cipher in CryptoCiphers) {
       const cipherName = pascalToKebabCase(cipher);
       this.#cryptoCiphers[cipherName] = new CryptoCiphers[cipher](this.web5);
@@ -29,7 +76,22 @@ export class Web5Did {
     this.#didConnect.connect = this.#didConnect.connect.bind(this.#didConnect);
     this.#didConnect.permissionsRequest = this.#didConnect.permissionsRequest.bind(this.#didConnect);
 
-    this.#didManager = new DidManager({ store: new MemoryStorage() });
+    const store = options?.keystore ? new Keystore(options.keystore) : new MemoryStorage();
+    this.#didManager = new DidManager({ store });
+
+    this.#resolverCache = new DidResolverCache(options?.cache);
+
+    if (options?.universalResolver) {
+      this.#universalResolver = new UniversalResolver(options.universalResolver);
+    }
+  }
+
+  get cache() {
+    const resolverCache = this.#resolverCache;
+    return {
+      clear: () => resolverCache.clear(),
+      invalidate: (...args) => resolverCache.invalidate(...args),
+    };
   }
   
   get connect() {
@@ -41,12 +103,22 @@ export class Web5Did {
   }
 
   get manager() {
+    const didManager = this.#didManager;
     return {
-      clear: () => this.#didManager.clear(),
-      exists: (...args) => this.#didManager.exists(...args),
-      get: (...args) => this.#didManager.get(...args),
-      delete: (...args) => this.#didManager.delete(...args),
-      set: (...args) => this.#didManager.set(...args),
+      clear: () => didManager.clear(),
+      exists: (...args) => didManager.exists(...args),
+      exportKey: (...args) => didManager.exportKey(...args),
+      get: (...args) => didManager.get(...args),
+      getKey: (...args) => didManager.getKey(...args),
+      getSigningKey: (...args) => didManager.getSigningKey(...args),
+      delete: (...args) => didManager.delete(...args),
+      entries: () => didManager.entries(),
+      keys: () => didManager.keys(),
+      lock: () => didManager.lock(),
+      get hasKeystore() { return didManager.hasKeystore; },
+      get locked() { return didManager.locked; },
+      set: (...args) => didManager.set(...args),
+      unlock: (...args) => didManager.unlock(...args),
     };
   }
 
@@ -58,13 +130,43 @@ export class Web5Did {
     return this.#web5;
   }
 
+  /**
+   * Adds a DID method to this instance, replacing any method already registered under the same name.
+   *
+   * @param {string} name Method name, as it appears in DIDs (e.g., 'example' for `did:example:123`)
+   * @param {DidMethodApi} api Method implementation. Only `resolve` is required.
+   */
+  registerMethod(name, api) {
+    if (typeof name !== 'string' || !/^[a-z0-9]+$/.test(name)) throw new Error(`Invalid DID method name: ${name}`);
+    if (typeof api?.resolve !== 'function') throw new Error(`DID method ${name} must implement resolve()`);
+    for (const operation of ['create', 'sign', 'verify', 'update', 'recover', 'deactivate', 'publish', 'anchoringStatus', 'rotateKey']) {
+      if (api[operation] !== undefined && typeof api[operation] !== 'function') {
+        throw new Error(`DID method ${name} has an invalid ${operation}() implementation`);
+      }
+    }
+    this.#methods[name] = api;
+  }
+
+  /**
+   * Removes a DID method from this instance.
+   *
+   * @param {string} name Method name
+   * @returns {boolean} Whether a method was registered under the name
+   */
+  unregisterMethod(name) {
+    if (!Object.hasOwn(this.#methods, name)) return false;
+    delete this.#methods[name];
+    return true;
+  }
+
   async create(method, options = { }) {
-    const api = await this.#getMethodAPI(method);
+    const api = await this.#getMethodAPI(method, 'create');
     return api.create(options);
   }
 
   /**
-   * @typedef {X25519Xsalsa20Poly1305Result} Web5EncryptionResult
+   * @typedef {X25519Xsalsa20Poly1305Result | string | object} Web5EncryptionResult The output of the
+   *   'x25519-xsalsa20-poly1305' cipher, or a compact or general JSON JWE
    */
 
   /**
@@ -83,8 +185,11 @@ export class Web5Did {
    * @returns {Promise<Uint8Array>} A Promise that fulfills with a Uint8Array containing the plaintext.
    */
   async decrypt(options = { }) {
-    // Decode the header to determine which algorithm to use
-    const { alg } = Encoder.base64UrlToObject(options.payload.header);
+    // Decode the header to determine which algorithm to use. JWE key management algorithms (e.g., 'ECDH-ES+A256KW')
+    // are named in kebab case (e.g., 'ecdh-es-a256kw').
+    const alg = isJwe(options.payload)
+      ? parseJwe(options.payload).recipients[0].header.alg?.toLowerCase().replace(/\+/g, '-')
+      : Encoder.base64UrlToObject(options.payload.header).alg;
     const api = this.#getCryptoCipherAPI(alg);
     return api.decrypt(options);
   }
@@ -94,8 +199,11 @@ export class Web5Did {
    * @param {object} options Object containing the encryption parameters
    * @param {string} options.did DID of the recipient, whose public key is used to encrypt the data
    * @param {string} options.keyId Key identifier to use from the recipient's DID document
+   * @param {{ did: string, keyId?: string }[]} [options.recipients] Recipients to encrypt for, instead of `did` and
+   *   `keyId`. The payload is encrypted once, and its key is encrypted for each recipient.
    * @param {ArrayBuffer | Uint8Array} options.payload The data to be encrypted (also know as the plaintext)
-   * @param {object} options.algorithm An object specifying the algorithm to be used and any extra parameters, if required
+   * @param {string} [options.algorithm] Name of the cipher: 'x25519-xsalsa20-poly1305' (the default) or
+   *   'ecdh-es-a256kw' for JWE. Other options, such as `serialization` for JWE, are passed to the cipher.
    * @returns {Promise<Web5EncryptionResult>} A Promise that fulfills with the output of the encryption algorithm
    */
   async encrypt(options = { }) {
@@ -105,46 +213,283 @@ export class Web5Did {
     return api.encrypt(options);
   }
 
+  /**
+   * Encrypts a stream in chunks, for payloads too large to hold in memory.
+   *
+   * @param {object} options Object containing the encryption parameters, as for `encrypt()`
+   * @param {ReadableStream | Readable} options.stream The data to be encrypted
+   * @param {number} [options.chunkSize] Size of the plaintext chunks in bytes
+   * @param {string} [options.algorithm] Name of the cipher. Defaults to 'x25519-xsalsa20-poly1305'.
+   * @returns {Promise<ReadableStream | Readable>} The encrypted stream, of the same kind as `options.stream`
+   */
+  async encryptStream(options = { }) {
+    const algorithmName = options?.algorithm || 'x25519-xsalsa20-poly1305';
+    return this.#getStreamCipherAPI(algorithmName).encryptStream(options);
+  }
+
+  /**
+   * Decrypts a stream produced by `encryptStream()`, with a key held by the DID manager.
+   *
+   * @param {object} options Object containing the decryption parameters
+   * @param {string} options.did DID of the recipient, whose private key is used to decrypt the data
+   * @param {ReadableStream | Readable} options.stream The encrypted stream
+   * @param {string} [options.algorithm] Name of the cipher. Defaults to 'x25519-xsalsa20-poly1305'.
+   * @returns {Promise<ReadableStream | Readable>} The decrypted stream, of the same kind as `options.stream`
+   */
+  async decryptStream(options = { }) {
+    const algorithmName = options?.algorithm || 'x25519-xsalsa20-poly1305';
+    return this.#getStreamCipherAPI(algorithmName).decryptStream(options);
+  }
+
+  /**
+   * Updates the keys or services of a managed DID, using the update key held in its DID manager record.
+   * The record is replaced with the updated one once the operation takes effect (for 'ion', once it is
+   * submitted to a `node`). Otherwise, the updated record is returned as `pendingRecord`. See the DID
+   * method for the supported options.
+   *
+   * @param {string} method DID method (e.g., 'ion')
+   * @param {object} options Method-specific options, including the managed `did` to update
+   * @returns {Promise<{ request: object, response?: object, pendingRecord?: object }>} The signed operation and, if
+   *   submitted, the node response
+   */
+  async update(method, options = { }) {
+    return this.#applyOperation(method, 'update', options);
+  }
+
+  /**
+   * Recovers a managed DID, using the recovery key held in its DID manager record.
+   *
+   * @param {string} method DID method (e.g., 'ion')
+   * @param {object} options Method-specific options, including the managed `did` to recover
+   * @returns {Promise<{ request: object, response?: object, pendingRecord?: object }>} As for `update()`
+   */
+  async recover(method, options = { }) {
+    return this.#applyOperation(method, 'recover', options);
+  }
+
+  /**
+   * Deactivates a managed DID, using the recovery key held in its DID manager record.
+   *
+   * @param {string} method DID method (e.g., 'ion')
+   * @param {object} options Method-specific options, including the managed `did` to deactivate
+   * @returns {Promise<{ request: object, response?: object, pendingRecord?: object }>} As for `update()`
+   */
+  async deactivate(method, options = { }) {
+    return this.#applyOperation(method, 'deactivate', options);
+  }
+
+  /**
+   * Publishes a managed DID to a node of its network (e.g., an ION node), to be anchored.
+   *
+   * @param {string} method DID method (e.g., 'ion')
+   * @param {object} options Method-specific options, including the managed `did` to publish and the `node`
+   * @returns {Promise<{ request: object, response: object }>} The submitted operation and the node response
+   */
+  async publish(method, options = { }) {
+    return this.#applyOperation(method, 'publish', options);
+  }
+
+  /**
+   * Checks whether a published DID has been anchored, and records the result in its DID manager record.
+   *
+   * @param {string} method DID method (e.g., 'ion')
+   * @param {object} options Method-specific options, including the managed `did` to check
+   * @returns {Promise<{ status: string }>} Anchoring state, with a `status` of 'pending' or 'anchored'
+   */
+  async anchoringStatus(method, options = { }) {
+    return this.#applyOperation(method, 'anchoringStatus', options);
+  }
+
+  /**
+   * Rotates the signing key of a managed DID. A new key replaces the active keys with the given purpose,
+   * which are marked as retired: they are no longer used to sign, but stay in the DID document so that
+   * messages they signed keep verifying. Only methods whose DID documents can be updated support rotation.
+   *
+   * @param {string} did Managed DID
+   * @param {object} [options] Method-specific options (e.g., `node` for 'ion')
+   * @param {string} [options.purpose] Verification relationship of the key to rotate. Defaults to 'authentication'.
+   * @returns {Promise<{ keyId: string, request?: object, response?: object, pendingRecord?: object }>} ID of the new
+   *   key, and the operation that added it to the DID document. As for `update()`, the managed record only changes
+   *   once the operation takes effect.
+   */
+  async rotateKey(did, options = { }) {
+    return this.#applyOperation(did, 'rotateKey', { purpose: 'authentication', ...options, did });
+  }
+
+  /**
+   * Signs a payload as a JSON Web Signature, with a key of a managed DID. The `kid` of the protected
+   * header is the full DID URL of the key, so that verifiers can resolve it from the DID document.
+   *
+   * @param {object} options Object containing the signing parameters
+   * @param {string} options.did Managed DID to sign as
+   * @param {string} [options.keyId] Key to sign with. Defaults to the DID's active signing key.
+   * @param {Uint8Array | string | object} options.payload Payload to sign. Strings are UTF-8 encoded and objects JSON encoded.
+   * @param {boolean} [options.detached] Whether to leave the payload out of the JWS
+   * @param {'compact' | 'general'} [options.serialization] Defaults to 'compact'
+   * @returns {Promise<string | object>} Compact JWS string, or general JSON serialization object
+   */
+  async signJws(options = { }) {
+    const { did, keyId } = options;
+    const key = await this.manager.getSigningKey(did, keyId);
+    if (!key) throw new Error(keyId ? `Key ${keyId} is not an active signing key of ${did}` : `No active signing key available for ${did}`);
+
+    return createJws({
+      ...options,
+      kid: `${did}#${key.id.split('#').pop()}`,
+      privateKeyJwk: key.keyPair.privateKeyJwk ?? key.keyPair.privateJwk,
+    });
+  }
+
+  /**
+   * Verifies a JSON Web Signature, resolving the public key of each signature from the DID URL in its `kid`.
+   * Signatures whose key cannot be resolved, or does not match the `alg` of the header, are invalid.
+   *
+   * @param {string | object} jws Compact JWS, or general or flattened JSON serialization object
+   * @param {object} [options] Options passed to `resolve()` (e.g., `cache`), plus `payload` for detached JWS
+   * @returns {Promise<JwsVerificationResult>}
+   */
+  async verifyJws(jws, options = { }) {
+    const { payload, ...resolveOptions } = options;
+    const resolveKey = async (kid) => {
+      // A `kid` that is not the DID URL of a key references no key, so its signature is invalid.
+      if (!DidUtils.parseDidUrl(kid)?.fragment) return undefined;
+      try {
+        // Keys are always taken from the DID document, including for managed DIDs.
+        const [verificationMethod] = await this.getKeys(kid, { ...resolveOptions, managed: false }) ?? [];
+        return verificationMethod && await DidUtils.verificationMethodToPublicKeyJwk(verificationMethod);
+      } catch {
+        return undefined;
+      }
+    };
+    return verifyJws(jws, { payload, resolveKey });
+  }
+
   async sign(method, options = { }) {
-    const api = await this.#getMethodAPI(method);
+    const api = await this.#getMethodAPI(method, 'sign');
     return api.sign(options);
   }
 
   async verify(method, options = { }) {
-    const api = await this.#getMethodAPI(method);
+    const api = await this.#getMethodAPI(method, 'verify');
     return api.verify(options);
   }
 
+  /**
+   * Resolves a DID. Managed DIDs resolve to their DID manager record. Other DIDs resolve to a DID
+   * resolution result that has been checked against DID Core, with failures reported in
+   * `didResolutionMetadata.error` as a standard error code (`invalidDid`, `notFound`,
+   * `methodNotSupported`, `invalidDidDocument` or `internalError`) rather than thrown.
+   *
+   * @param {string} did DID to resolve
+   * @param {object} [options] Options passed to the DID method, plus `cache` to use the resolution cache, and
+   *   `managed: false` to resolve managed DIDs with their DID method too
+   * @returns {Promise<object>} DID resolution result, or the managed DID record
+   */
   async resolve(did, options = { }) {
-    const managed = await this.manager.get(did);
+    const managed = (options.managed !== false) && await this.manager.get(did);
     if (managed) {
       return managed;
     }
 
-    const resolved = await this.#resolvedDids.get(did);
+    const resolved = await this.#resolverCache.get(did);
     if (resolved) {
       return resolved;
     }
 
-    const api = await this.#getMethodAPI(did);
-    const result = await api.resolve(did);
+    const result = await this.#resolveWithMethod(did, options);
 
     if (options.cache) {
       // store separately in case the DID is `managed` after `resolve` was called.
-      await this.#resolvedDids.set(did, result, {
-        timeout: 1000 * 60 * 60, // 1hr
-      });
+      await this.#resolverCache.set(did, result);
     }
 
     return result;
   }
 
+  /**
+   * @typedef {Object} DidDereferencingResult
+   * @property {object} dereferencingMetadata Includes `contentType` on success, or `error` (e.g., 'invalidDidUrl', 'notFound')
+   * @property {object | string | string[] | null} contentStream The DID document, verification method, service or service URL(s)
+   * @property {object} contentMetadata For DID documents, the `didDocumentMetadata` of the resolution result
+   */
+
+  /**
+   * Dereferences a DID URL, following the DID Core dereferencing rules.
+   *
+   * - A bare DID dereferences to its DID document.
+   * - A fragment (`did:example:123#key-1`) selects the verification method or service with that ID.
+   * - A `service` query parameter (`did:example:123?service=dwn`) selects the endpoint of that service, which a
+   *   `relativeRef` parameter (`&relativeRef=/records`) is resolved against to construct a URL. Services with several
+   *   endpoints, such as `DecentralizedWebNode` services with `nodes`, yield one URL per endpoint.
+   *
+   * @param {string} didUrl DID URL to dereference
+   * @param {object} [options] Options passed to `resolve()` (e.g., `cache`)
+   * @returns {Promise<DidDereferencingResult>}
+   */
+  async dereference(didUrl, options = { }) {
+    const parsed = DidUtils.parseDidUrl(didUrl);
+    if (!parsed) return dereferencingError('invalidDidUrl');
+
+    const { didDocument, didDocumentMetadata, didResolutionMetadata } = await this.resolve(parsed.did, options);
+    if (!didDocument) return dereferencingError(didResolutionMetadata?.error ?? 'notFound');
+
+    const isSameResource = (id, fragment) => id === `#${fragment}` || id === `${parsed.did}#${fragment}`;
+
+    const serviceId = parsed.params.get('service');
+    if (serviceId !== null) {
+      const service = didDocument.service?.find(service => isSameResource(service.id, serviceId));
+      if (!service) return dereferencingError('notFound');
+
+      let urls;
+      try {
+        urls = serviceEndpointUrls(service.serviceEndpoint).map(url => {
+          const relativeRef = parsed.params.get('relativeRef');
+          const constructed = new URL(relativeRef ?? '', url);
+          if (parsed.fragment) constructed.hash = parsed.fragment;
+          return constructed.href;
+        });
+      } catch {
+        return dereferencingError('notFound');
+      }
+      if (urls.length === 0) return dereferencingError('notFound');
+
+      return dereferencingResult((typeof service.serviceEndpoint === 'string') ? urls[0] : urls, 'text/uri-list');
+    }
+
+    // Paths and other query parameters are method-specific, and no built-in method defines them.
+    if (parsed.path || parsed.query) return dereferencingError('notFound');
+
+    if (!parsed.fragment) {
+      return dereferencingResult(didDocument, 'application/did+json', didDocumentMetadata);
+    }
+
+    const resources = [
+      ...(didDocument.verificationMethod ?? []),
+      ...DidUtils.DID_VERIFICATION_RELATIONSHIPS.flatMap(purpose => didDocument[purpose] ?? []).filter(method => typeof method === 'object'),
+      ...(didDocument.service ?? []),
+    ];
+    const resource = resources.find(resource => isSameResource(resource.id, parsed.fragment));
+    if (!resource) return dereferencingError('notFound');
+
+    return dereferencingResult(resource, 'application/did+json');
+  }
+
   async getDidDocument(did, options = { }) {
     const { didDocument } = await this.resolve(did, options);
     return didDocument;
   }
 
+  /**
+   * @param {string} did DID, or a DID URL with a fragment identifying a single service (e.g., `did:example:123#dwn`)
+   * @param {object} [options] Filters (`id`, `type`), plus options passed to `resolve()`
+   * @returns {Promise<object[]>}
+   */
   async getServices(did, options = { }) {
+    if (DidUtils.parseDidUrl(did)?.fragment) {
+      const { contentStream: service } = await this.dereference(did, options);
+      return (service?.serviceEndpoint) ? [service] : [ ];
+    }
+
     const didDocument = await this.getDidDocument(did, options);
     return didDocument?.service?.filter(service => {
       if (options?.id && service.id !== options.id) return false;
@@ -153,7 +498,17 @@ export class Web5Did {
     }) ?? [ ];
   }
 
+  /**
+   * @param {string} did DID, or a full key reference identifying a single verification method (e.g., `did:example:123#key-1`)
+   * @param {object} [options] Either `methodId` or `purpose` to filter by, plus options passed to `resolve()`
+   * @returns {Promise<object[] | null>}
+   */
   async getKeys(did, options = { }) {
+    if (DidUtils.parseDidUrl(did)?.fragment) {
+      const { contentStream: verificationMethod } = await this.dereference(did, options);
+      return (verificationMethod?.type && !verificationMethod.serviceEndpoint) ? [verificationMethod] : null;
+    }
+
     const didDocument = await this.getDidDocument(did, options);
     return DidUtils.findVerificationMethods({
       didDocument: didDocument,
@@ -162,10 +517,51 @@ export class Web5Did {
     });
   }
 
-  async #getMethodAPI(name) {
+  async #resolveWithMethod(did, options) {
+    const parsed = DidUtils.parseDidUrl(did);
+    if (!parsed || parsed.did !== did) return resolutionError('invalidDid');
+
+    if (!this.#hasMethod(did) && !this.#universalResolver) {
+      return resolutionError('methodNotSupported', `Unsupported DID method: ${did.split(':')[1]}`);
+    }
+
+    try {
+      const resolver = this.#hasMethod(did) ? await this.#getMethodAPI(did) : this.#universalResolver;
+      return validateResolutionResult(did, await resolver.resolve(did, options));
+    } catch (error) {
+      return resolutionError('internalError', error?.message ?? String(error));
+    }
+  }
+
+  async #applyOperation(method, operation, options) {
+    const api = await this.#getMethodAPI(method, operation);
+    const { did } = options;
+    const record = await this.manager.get(did);
+    if (!record) throw new Error(`DID is not managed: ${did}`);
+
+    const { record: updatedRecord, ...result } = await api[operation]({ ...options, record });
+    // Methods return no record for operations that have not taken effect (e.g., ION operations that were not submitted).
+    if (!updatedRecord) return result;
+
+    await this.manager.set(did, updatedRecord);
+
+    // Cached resolutions of either form of the DID are now out of date.
+    for (const id of new Set([did, record.id, record.internalId])) {
+      if (id) await this.#resolverCache.invalidate(id);
+    }
+
+    return result;
+  }
+
+  #hasMethod(name) {
+    return Object.hasOwn(this.#methods, name.split(':')[1] || name);
+  }
+
+  async #getMethodAPI(name, operation) {
     name = name.split(':')[1] || name;
-    const api = Methods[name];
+    const api = this.#hasMethod(name) ? this.#methods[name] : undefined;
     if (!api) throw `Unsupported DID method: ${name}`;
+    if (operation && typeof api[operation] !== 'function') throw `DID method ${name} does not support ${operation}()`;
     return api;
   }
 
@@ -174,4 +570,40 @@ export class Web5Did {
     if (!api) throw `Unsupported cryptographic cipher: ${name}`;
     return api;
   }
+
+  #getStreamCipherAPI(name) {
+    const api = this.#getCryptoCipherAPI(name);
+    if (typeof api.encryptStream !== 'function') throw new Error(`Cryptographic cipher ${name} does not support streams`);
+    return api;
+  }
+}
+
+function dereferencingResult(contentStream, contentType, contentMetadata = { }) {
+  return {
+    '@context': 'https://w3id.org/did-resolution/v1',
+    dereferencingMetadata: { contentType },
+    contentStream,
+    contentMetadata,
+  };
+}
+
+function dereferencingError(error) {
+  return {
+    '@context': 'https://w3id.org/did-resolution/v1',
+    dereferencingMetadata: { error },
+    contentStream: null,
+    contentMetadata: {},
+  };
+}
+
+/**
+ * Returns the URLs of a service endpoint, which may be a URL, a list of URLs, or, for
+ * `DecentralizedWebNode` services, an object listing the URLs as `nodes`.
+ */
+function serviceEndpointUrls(serviceEndpoint) {
+  if (typeof serviceEndpoint === 'string') return [serviceEndpoint];
+  if (Array.isArray(serviceEndpoint)) return serviceEndpoint.flatMap(serviceEndpointUrls);
+  if (Array.isArray(serviceEndpoint?.nodes)) return serviceEndpoint.nodes.filter(node => typeof node === 'string');
+  if (typeof serviceEndpoint?.uri === 'string') return [serviceEndpoint.uri];
+  return [];
 }
@@ -1,7 +1,96 @@
+import { DataStream, Encoder } from '@tbd54566975/dwn-sdk-js';
+
+import { isJwe } from '../did/crypto/jwe.js';
+import { base64UrlToString, parseJson, streamChunks, streamFromChunks } from '../utils.js';
+
+export { isReadableWebStream } from '../utils.js';
+
 /**
- * Uses duck typing to determine whether the stream is a web browser ReadableStream
- * or a Node.js Readable stream.
+ * Encrypted record data is a general JSON serialization JWE, whose protected header has this `typ`
+ * and the `dataFormat` of the plaintext as `cty`.
  */
-export function isReadableWebStream(stream) {
-  return typeof stream._read !== 'function';
+export const ENCRYPTED_RECORD_TYPE = 'web5-record+jwe';
+
+/**
+ * Message `dataFormat` of records whose data is encrypted, so that the encryption is recorded with the
+ * record itself.
+ */
+export const ENCRYPTED_RECORD_DATA_FORMAT = `application/${ENCRYPTED_RECORD_TYPE}`;
+
+// Encrypted record data always starts with the protected header member.
+const ENCRYPTED_RECORD_PREFIX = Encoder.stringToBytes('{"protected":"');
+
+/**
+ * Encrypts record data for each recipient's keyAgreement key.
+ *
+ * @param {Web5} web5
+ * @param {object} options
+ * @param {Uint8Array} options.data Record data
+ * @param {string} options.dataFormat Record data format
+ * @param {{ did: string, keyId?: string }[]} options.recipients
+ * @returns {Promise<Uint8Array>} Encrypted record data
+ */
+export async function encryptRecordData(web5, { data, dataFormat, recipients }) {
+  const jwe = await web5.did.encrypt({
+    algorithm: 'ecdh-es-a256kw',
+    recipients,
+    payload: data,
+    protectedHeader: { typ: ENCRYPTED_RECORD_TYPE, cty: dataFormat },
+    serialization: 'general',
+  });
+  return Encoder.objectToBytes(jwe);
+}
+
+/**
+ * Decrypts record data with a key of `did` held by the DID manager. Data that was not encrypted with
+ * `encryptRecordData()` is returned unchanged.
+ *
+ * @param {Web5} web5
+ * @param {string} did DID whose managed key is a recipient of the record data
+ * @param {Uint8Array} data Record data
+ * @returns {Promise<Uint8Array>} Decrypted record data
+ */
+export async function decryptRecordData(web5, did, data) {
+  if (!startsWith(data, ENCRYPTED_RECORD_PREFIX)) return data;
+
+  const jwe = parseJson(Encoder.bytesToString(data));
+  if (!isJwe(jwe) || typeof jwe.protected !== 'string' || parseJson(base64UrlToString(jwe.protected))?.typ !== ENCRYPTED_RECORD_TYPE) return data;
+
+  return web5.did.decrypt({ did, payload: jwe });
+}
+
+/**
+ * Decrypts a stream of record data, as `decryptRecordData()`. Streams of data that was not encrypted
+ * are passed through without being read ahead of the consumer.
+ *
+ * @param {Web5} web5
+ * @param {string} did DID whose managed key is a recipient of the record data
+ * @param {ReadableStream | Readable} stream Record data
+ * @returns {Promise<ReadableStream | Readable>} Decrypted record data
+ */
+export async function decryptRecordDataStream(web5, did, stream) {
+  const chunks = streamChunks(stream);
+  const head = [];
+  let headLength = 0;
+  while (headLength < ENCRYPTED_RECORD_PREFIX.length) {
+    const { value, done } = await chunks.next();
+    if (done) break;
+    head.push(value);
+    headLength += value.length;
+  }
+
+  if (!startsWith(DataStream.concatenateArrayOfBytes(head), ENCRYPTED_RECORD_PREFIX)) {
+    return streamFromChunks((async function* () {
+      yield* head;
+      yield* chunks;
+    })(), stream);
+  }
+
+  // A JWE cannot be decrypted until it has been read entirely.
+  for await (const chunk of chunks) head.push(chunk);
+  return DataStream.fromBytes(await decryptRecordData(web5, did, DataStream.concatenateArrayOfBytes(head)));
+}
+
+function startsWith(bytes, prefix) {
+  return bytes.length >= prefix.length && prefix.every((byte, index) => bytes[index] === byte);
 }
@@ -2,6 +2,7 @@ import { DwnConstant } from '@tbd54566975/dwn-sdk-js';
 
 import { Interface } from './interface.js';
 import { Record } from '../models/record.js';
+import { ENCRYPTED_RECORD_DATA_FORMAT, encryptRecordData } from '../dwn-utils.js';
 import { dataToBytes, isEmptyObject } from '../../utils.js';
 
 export class Records extends Interface {
@@ -42,6 +43,8 @@ export class Records extends Interface {
     return this.write(target, {
       author: request.author || inheritedAuthor,
       data: request.data,
+      encryption: request.encryption,
+      keyId: request.keyId,
       message: {
         ...inheritedProperties,
         ...request.message,
@@ -73,17 +76,32 @@ export class Records extends Interface {
   }
 
   async write(target, request) {
+    const { encryption, ...writeRequest } = request;
+
+    // The `dataFormat` of an encrypted record names the JWE rather than the format of the data it encrypts.
+    const isEncryptedRecord = (request.message?.dataFormat === ENCRYPTED_RECORD_DATA_FORMAT);
+
     let dataBytes, dataFormat;
     if (request?.data) {
       // If `data` is specified, convert string/object data to bytes before further processing.
-      ({ dataBytes, dataFormat } = dataToBytes(request.data, request.message?.dataFormat));
+      ({ dataBytes, dataFormat } = dataToBytes(request.data, isEncryptedRecord ? undefined : request.message?.dataFormat));
     } else {
       // If not, `dataFormat` must be specified in the request message.
       dataFormat = request.message.dataFormat;
     }
 
+    if (dataBytes && isEncryptedRecord && !encryption) {
+      throw new Error('Data of encrypted records can only be written with the `encryption` option');
+    }
+
+    // Encrypt the data before it leaves the client, so that the DWN only ever stores the ciphertext.
+    if (encryption && dataBytes) {
+      dataBytes = await encryptRecordData(this.dwn.web5, { data: dataBytes, dataFormat, recipients: encryptionRecipients(request) });
+      dataFormat = ENCRYPTED_RECORD_DATA_FORMAT;
+    }
+
     const response = await this.send('Write', target, {
-      ...request,
+      ...writeRequest,
       data: dataBytes,
       message: {
         ...request.message,
@@ -96,9 +114,22 @@ export class Records extends Interface {
       // Include data if `dataSize` is less than DWN 'max data size allowed to be encoded'.
       const encodedData = (response.message?.descriptor?.dataSize <= DwnConstant.maxDataSizeAllowedToBeEncoded) ? dataBytes : null;
       
-      record = new Record(this.dwn, { ...response.message, encodedData, target, author: request.author });
+      record = new Record(this.dwn, { ...response.message, encodedData, encryptionOptions: encryption, target, author: request.author });
     }
 
     return { ...response, record };
   }
 }
+
+/**
+ * The data of encrypted records is encrypted for the author, the record `recipient` (if any), and any additional
+ * `encryption.recipients`, each given as a DID or `{ did, keyId }`.
+ */
+function encryptionRecipients({ author, encryption, message }) {
+  const recipients = [author, message?.recipient, ...(encryption.recipients ?? [])]
+    .filter(Boolean)
+    .map(recipient => (typeof recipient === 'string') ? { did: recipient } : recipient);
+
+  // Encrypt once for every distinct key, even if a DID is both the author and the recipient.
+  return recipients.filter((recipient, index) => index === recipients.findIndex(other => other.did === recipient.did && other.keyId === recipient.keyId));
+}
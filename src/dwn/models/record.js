@@ -1,7 +1,7 @@
 import { DataStream, DwnConstant, Encoder } from '@tbd54566975/dwn-sdk-js';
 import { ReadableWebToNodeStream } from 'readable-web-to-node-stream';
 
-import { isReadableWebStream } from '../dwn-utils.js';
+import { ENCRYPTED_RECORD_DATA_FORMAT, decryptRecordData, decryptRecordDataStream, isReadableWebStream } from '../dwn-utils.js';
 
 export class Record {
   #dwn;
@@ -13,6 +13,7 @@ export class Record {
   #target;
 
   #encodedData = null;
+  #encryption = null;
   #isDeleted = false;
   #readableStream = null;
 
@@ -34,6 +35,12 @@ export class Record {
     // then an `encodedData` property will be present.
     this.#encodedData = options?.encodedData ?? null;
 
+    // If the record was written with the `encryption` option, data updates are encrypted the same way. Records that
+    // were read or queried only tell that their data is encrypted, so updates are encrypted for the author and the
+    // recipient.
+    const isEncrypted = (this.#descriptor.dataFormat === ENCRYPTED_RECORD_DATA_FORMAT);
+    this.#encryption = options?.encryptionOptions ?? (isEncrypted ? true : null);
+
     // If the record was created from a RecordsRead reply then it will have a `data` property.
     if (options?.data) {
       this.#readableStream = isReadableWebStream(options.data) ? new ReadableWebToNodeStream(options.data) : options.data;
@@ -89,6 +96,7 @@ export class Record {
       this.#encodedData = Encoder.base64UrlToBytes(this.#encodedData);
     }
 
+    // Encrypted data is decrypted with the keys of the author, which is the DID the record was read as.
     const self = this; // Capture the context of the `Record` instance.
     const dataObj = {
       async json() {
@@ -97,13 +105,13 @@ export class Record {
         return null;
       },
       async text() {
-        if (self.#encodedData) return Encoder.bytesToString(self.#encodedData);
+        if (self.#encodedData) return Encoder.bytesToString(await decryptRecordData(self.#dwn?.web5, self.#author, self.#encodedData));
         if (self.#readableStream) return this.stream().then(DataStream.toBytes).then(Encoder.bytesToString);
         return null;
       },
       async stream() {
-        if (self.#encodedData) return DataStream.fromBytes(self.#encodedData);
-        if (self.#readableStream) return self.#readableStream;
+        if (self.#encodedData) return DataStream.fromBytes(await decryptRecordData(self.#dwn?.web5, self.#author, self.#encodedData));
+        if (self.#readableStream) return self.#readableStream = decryptRecordDataStream(self.#dwn?.web5, self.#author, await self.#readableStream);
         return null;
       },
       then(...callbacks) {
@@ -149,6 +157,11 @@ export class Record {
       data = options.data;
       delete options.data;
     }
+
+    // `encryption` is an option of the write rather than a property of the record.
+    const encryption = options.encryption ?? this.#encryption;
+    delete updateMessage.encryption;
+    delete options.encryption;
     
     // Throw an error if an attempt is made to modify immutable properties. `data` has already been handled.
     const mutableDescriptorProperties = ['dataCid', 'dataSize', 'dateModified', 'datePublished', 'published'];
@@ -175,6 +188,7 @@ export class Record {
     const { message = null, record = null, status } = await this.#dwn.records.write(this.#target, {
       author: this.#author,
       data,
+      encryption,
       message: {
         ...updateMessage,
       },
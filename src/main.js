@@ -1 +1,9 @@
 export { Web5 } from './web5.js';
+export { FileStorage } from './storage/file-storage.js';
+export { IndexedDbStorage } from './storage/indexed-db-storage.js';
+export { LocalStorage } from './storage/local-storage.js';
+export { MemoryStorage } from './storage/memory-storage.js';
+export { AppTransport } from './transport/app-transport.js';
+export { HttpTransport } from './transport/http-transport.js';
+export { Transport } from './transport/transport.js';
+export { WebSocketTransport } from './transport/websocket-transport.js';
@@ -0,0 +1,11 @@
+import { Storage } from './storage.js';
+
+/**
+ * Browser builds replace `FileStorage`, which needs the Node.js file system, with this stub.
+ */
+export class FileStorage extends Storage {
+  constructor() {
+    super();
+    throw new Error('FileStorage is only available in Node.js. Use IndexedDbStorage or LocalStorage in browsers.');
+  }
+}
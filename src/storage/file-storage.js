@@ -0,0 +1,153 @@
+import { createHash } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Encoder } from '@tbd54566975/dwn-sdk-js';
+
+import { Storage } from './storage.js';
+
+// Per-file operation queues shared by every FileStorage instance in the process, so that two
+// instances pointed at the same directory never interleave a read-modify-write on one entry.
+const fileLocks = new Map();
+
+let tempFileCounter = 0;
+
+/**
+ * Node.js storage that keeps each entry as a JSON file in a configurable directory.
+ *
+ * Writes go to a temporary file that is then renamed over the entry, so readers never observe a
+ * partially written value. `Uint8Array` values are preserved. Entries written with a `timeout`
+ * carry an absolute expiry time and are dropped the first time they are read after expiring.
+ * A non-empty `namespace` is kept in its own subdirectory of `directory`.
+ */
+export class FileStorage extends Storage {
+  #directory;
+
+  /**
+   * @param {object} [options] - Optional configuration options.
+   * @param {string} [options.directory] - Directory that holds the entry files. Defaults to `'web5-data'`.
+   * @param {string} [options.namespace] - Namespace that scopes this instance's entries. Defaults to `''`.
+   */
+  constructor(options = { }) {
+    super(options);
+    const directory = path.resolve(options?.directory ?? 'web5-data');
+    this.#directory = this.namespace ? path.join(directory, Encoder.stringToBase64Url(this.namespace)) : directory;
+  }
+
+  get directory() {
+    return this.#directory;
+  }
+
+  async get(key) {
+    const file = this.#fileForKey(key);
+    return FileStorage.#withLock(file, async () => {
+      const entry = await FileStorage.#readEntry(file);
+      if (entry === undefined) return undefined;
+
+      if (entry.expires !== null && entry.expires <= Date.now()) {
+        await FileStorage.#unlink(file);
+        return undefined;
+      }
+
+      return entry.value;
+    });
+  }
+
+  async set(key, value, options = { }) {
+    const file = this.#fileForKey(key);
+    const expires = Number.isFinite(options?.timeout) ? Date.now() + options.timeout : null;
+    const contents = JSON.stringify({ key, value, expires }, FileStorage.#replacer);
+
+    await FileStorage.#withLock(file, async () => {
+      await fs.promises.mkdir(this.#directory, { recursive: true });
+      const tempFile = `${file}.${process.pid}.${++tempFileCounter}.tmp`;
+      try {
+        await fs.promises.writeFile(tempFile, contents);
+        await fs.promises.rename(tempFile, file);
+      } catch (error) {
+        await FileStorage.#unlink(tempFile);
+        throw error;
+      }
+    });
+  }
+
+  async delete(key) {
+    const file = this.#fileForKey(key);
+    await FileStorage.#withLock(file, () => FileStorage.#unlink(file));
+  }
+
+  async clear() {
+    const files = await this.#entryFiles();
+    await Promise.all(files.map(file => FileStorage.#withLock(file, () => FileStorage.#unlink(file))));
+  }
+
+  async * keys() {
+    for (const file of await this.#entryFiles()) {
+      const entry = await FileStorage.#withLock(file, () => FileStorage.#readEntry(file));
+      if (entry === undefined) continue;
+      if (entry.expires !== null && entry.expires <= Date.now()) continue;
+      yield entry.key;
+    }
+  }
+
+  async #entryFiles() {
+    let fileNames;
+    try {
+      fileNames = await fs.promises.readdir(this.#directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    // Temporary files of in-flight writes and namespace subdirectories are not entries.
+    return fileNames
+      .filter(fileName => fileName.endsWith('.json'))
+      .map(fileName => path.join(this.#directory, fileName));
+  }
+
+  #fileForKey(key) {
+    // Keys such as DIDs contain characters that are not valid in file names on every platform, and
+    // can exceed the file name length limit (e.g., long-form did:ion DIDs). The key itself is kept
+    // in the entry.
+    return path.join(this.#directory, `${createHash('sha256').update(String(key)).digest('hex')}.json`);
+  }
+
+  static async #readEntry(file) {
+    let contents;
+    try {
+      contents = await fs.promises.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return undefined;
+      throw error;
+    }
+    return JSON.parse(contents, FileStorage.#reviver);
+  }
+
+  static async #unlink(file) {
+    try {
+      await fs.promises.unlink(file);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  static #withLock(file, operation) {
+    const previous = fileLocks.get(file) ?? Promise.resolve();
+    const current = previous.then(operation, operation);
+    const settled = current.catch(() => { });
+    fileLocks.set(file, settled);
+    settled.then(() => {
+      if (fileLocks.get(file) === settled) fileLocks.delete(file);
+    });
+    return current;
+  }
+
+  static #replacer(_key, value) {
+    if (value instanceof Uint8Array) return { $bytes: Encoder.bytesToBase64Url(value) };
+    return value;
+  }
+
+  static #reviver(_key, value) {
+    if (typeof value?.$bytes === 'string' && Object.keys(value).length === 1) return Encoder.base64UrlToBytes(value.$bytes);
+    return value;
+  }
+}
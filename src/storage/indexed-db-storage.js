@@ -0,0 +1,165 @@
+import { Storage } from './storage.js';
+
+/**
+ * Browser storage backed by IndexedDB.
+ *
+ * Values are stored using the structured clone algorithm, so `Uint8Array` key bytes, `Blob`s and
+ * plain objects round-trip without JSON serialization. Entries written with a `timeout` carry an
+ * absolute expiry time and are dropped the first time they are read after expiring, which keeps
+ * TTLs meaningful across page reloads.
+ *
+ * Instances with different namespaces can share one database. Records are keyed by
+ * `[namespace, key]` and indexed by namespace, so `keys()` and `clear()` only visit their own.
+ * Instances with different object stores can share one database too, which is upgraded to a new
+ * version whenever an instance needs an object store that it lacks.
+ */
+export class IndexedDbStorage extends Storage {
+  #db = null;
+  #dbName;
+  #indexedDB;
+  #storeName;
+
+  /**
+   * @param {object} [options] - Optional configuration options.
+   * @param {string} [options.dbName] - Name of the IndexedDB database. Defaults to `'web5'`.
+   * @param {string} [options.storeName] - Name of the object store within the database. Defaults to `'storage'`.
+   * @param {IDBFactory} [options.indexedDB] - IndexedDB implementation to use. Defaults to `globalThis.indexedDB`.
+   * @param {string} [options.namespace] - Namespace that scopes this instance's entries. Defaults to `''`.
+   */
+  constructor(options = { }) {
+    super(options);
+    this.#dbName = options?.dbName ?? 'web5';
+    this.#storeName = options?.storeName ?? 'storage';
+    this.#indexedDB = options?.indexedDB ?? globalThis.indexedDB;
+  }
+
+  async get(key) {
+    const record = await this.#request('readonly', store => store.get(this.#recordKey(key)));
+    if (record === undefined) return undefined;
+
+    if (IndexedDbStorage.#isExpired(record)) {
+      await this.delete(key);
+      return undefined;
+    }
+
+    return record.value;
+  }
+
+  async set(key, value, options = { }) {
+    await this.setMany([[key, value]], options);
+  }
+
+  async delete(key) {
+    await this.deleteMany([key]);
+  }
+
+  async clear() {
+    await this.#request('readwrite', store => {
+      const request = store.index('namespace').getAllKeys(this.namespace);
+      request.onsuccess = () => request.result.forEach(recordKey => store.delete(recordKey));
+      return request;
+    });
+  }
+
+  async * keys() {
+    const records = await this.#request('readonly', store => store.index('namespace').getAll(this.namespace));
+    yield * records.filter(record => !IndexedDbStorage.#isExpired(record)).map(record => record.key);
+  }
+
+  /**
+   * Writes all entries in a single transaction, so either every entry is stored or none is.
+   */
+  async setMany(entries, options = { }) {
+    const pairs = (typeof entries?.[Symbol.iterator] === 'function') ? [...entries] : Object.entries(entries);
+    const expires = Number.isFinite(options?.timeout) ? Date.now() + options.timeout : null;
+    await this.#request('readwrite', store => {
+      let request;
+      for (const [key, value] of pairs) {
+        request = store.put({ namespace: this.namespace, key, value, expires }, this.#recordKey(key));
+      }
+      return request;
+    });
+  }
+
+  /**
+   * Deletes all keys in a single transaction.
+   */
+  async deleteMany(keys) {
+    await this.#request('readwrite', store => {
+      let request;
+      for (const key of keys) {
+        request = store.delete(this.#recordKey(key));
+      }
+      return request;
+    });
+  }
+
+  /**
+   * Closes the underlying database connection. It is reopened on the next operation.
+   */
+  async close() {
+    const db = await this.#db;
+    db?.close();
+    this.#db = null;
+  }
+
+  #open() {
+    if (!this.#indexedDB) throw new Error('IndexedDB is not available in this environment');
+
+    this.#db ??= this.#openDatabase().catch((error) => {
+      // The next operation tries to open the database again.
+      this.#db = null;
+      throw error;
+    });
+
+    return this.#db;
+  }
+
+  /**
+   * Opens the database, and upgrades it to the next version if it lacks the object store of this instance (e.g.,
+   * because another instance created the database with a different `storeName`).
+   */
+  async #openDatabase(version) {
+    const db = await new Promise((resolve, reject) => {
+      const request = this.#indexedDB.open(this.#dbName, version);
+      request.onupgradeneeded = () => {
+        if (request.result.objectStoreNames.contains(this.#storeName)) return;
+        const store = request.result.createObjectStore(this.#storeName);
+        store.createIndex('namespace', 'namespace');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    if (!db.objectStoreNames.contains(this.#storeName)) {
+      db.close();
+      return this.#openDatabase(db.version + 1);
+    }
+
+    // Connections must close for another instance to upgrade the database. They are reopened on the next operation.
+    db.onversionchange = () => {
+      db.close();
+      this.#db = null;
+    };
+    return db;
+  }
+
+  async #request(mode, operation) {
+    const db = await this.#open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.#storeName, mode);
+      const request = operation(transaction.objectStore(this.#storeName));
+      transaction.oncomplete = () => resolve(request?.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  #recordKey(key) {
+    return [this.namespace, key];
+  }
+
+  static #isExpired(record) {
+    return record.expires !== null && record.expires <= Date.now();
+  }
+}
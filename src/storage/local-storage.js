@@ -1,19 +1,65 @@
 import { Storage } from './storage.js';
 
+/**
+ * Browser storage backed by `window.localStorage`.
+ *
+ * Entries are stored under `<namespace>:<key>` so that `keys()` and `clear()` never touch
+ * localStorage items that belong to other libraries on the same origin.
+ *
+ * Earlier versions stored entries under their key, without a namespace. Instances with the default
+ * namespace still read such an item when their own entry is missing, and move it into the namespace.
+ */
 export class LocalStorage extends Storage {
+  #migratesLegacyItems;
+
+  /**
+   * @param {object} [options] - Optional configuration options.
+   * @param {string} [options.namespace] - Prefix for this instance's localStorage items. Defaults to `'web5'`.
+   */
+  constructor(options = { }) {
+    super({ ...options, namespace: options?.namespace ?? 'web5' });
+    this.#migratesLegacyItems = (options?.namespace === undefined);
+  }
+
   async get(key) {
-    return JSON.parse(localStorage.getItem(key));
+    let value = localStorage.getItem(this.#itemKey(key));
+    if (value === null && this.#migratesLegacyItems) {
+      value = localStorage.getItem(key);
+      if (value !== null) {
+        localStorage.setItem(this.#itemKey(key), value);
+        localStorage.removeItem(key);
+      }
+    }
+    return (value === null) ? undefined : JSON.parse(value);
   }
 
   async set(key, value) {
-    localStorage.setItem(key, JSON.stringify(value));
+    localStorage.setItem(this.#itemKey(key), JSON.stringify(value));
   }
 
   async delete(key) {
-    localStorage.removeItem(key);
+    localStorage.removeItem(this.#itemKey(key));
+    // A legacy item that was never read would otherwise be read again after the entry is deleted.
+    if (this.#migratesLegacyItems) localStorage.removeItem(key);
   }
 
   async clear() {
-    localStorage.clear();
+    for await (const key of this.keys()) {
+      localStorage.removeItem(this.#itemKey(key));
+    }
+  }
+
+  async * keys() {
+    const prefix = this.#itemKey('');
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const itemKey = localStorage.key(i);
+      if (itemKey?.startsWith(prefix)) keys.push(itemKey.slice(prefix.length));
+    }
+    yield * keys;
+  }
+
+  #itemKey(key) {
+    return `${this.namespace}:${key}`;
   }
 }
@@ -11,6 +11,9 @@ export class MemoryStorage extends Storage {
   async set(key, value, options = { }) {
     this.#dataForKey.set(key, value);
 
+    clearTimeout(this.#timeoutForKey.get(key));
+    this.#timeoutForKey.delete(key);
+
     if (Number.isFinite(options?.timeout)) {
       const timeout = setTimeout(() => {
         this.delete(key);
@@ -34,4 +37,9 @@ export class MemoryStorage extends Storage {
     }
     this.#timeoutForKey.clear();
   }
+
+  async * keys() {
+    // Copy the keys so that entries can be deleted while iterating.
+    yield * [...this.#dataForKey.keys()];
+  }
 }
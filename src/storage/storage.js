@@ -1,9 +1,30 @@
+/**
+ * Base class for key/value storage backends.
+ *
+ * Subclasses must implement `get`, `set`, `delete`, `clear` and `keys`. Every operation, including
+ * `clear()`, is scoped to the instance's `namespace`, so several instances can share one backend
+ * without seeing or removing each other's entries. Keys are yielded without the namespace.
+ */
 export class Storage {
+  #namespace;
+
+  /**
+   * @param {object} [options] - Optional configuration options.
+   * @param {string} [options.namespace] - Namespace that scopes this instance's entries. Defaults to `''`.
+   */
+  constructor(options = { }) {
+    this.#namespace = options?.namespace ?? '';
+  }
+
+  get namespace() {
+    return this.#namespace;
+  }
+
   async get(_key) {
     throw 'subclass must override';
   }
 
-  async set(_key, _value) {
+  async set(_key, _value, _options) {
     throw 'subclass must override';
   }
 
@@ -14,4 +35,50 @@ export class Storage {
   async clear() {
     throw 'subclass must override';
   }
+
+  /**
+   * @returns {AsyncGenerator<string>} Keys of the entries in this namespace.
+   */
+  keys() {
+    throw 'subclass must override';
+  }
+
+  async has(key) {
+    return (await this.get(key)) !== undefined;
+  }
+
+  /**
+   * @returns {AsyncGenerator<[string, *]>} `[key, value]` pairs of the entries in this namespace.
+   */
+  async * entries() {
+    for await (const key of this.keys()) {
+      const value = await this.get(key);
+      // An entry may have expired or been deleted since its key was listed.
+      if (value !== undefined) yield [key, value];
+    }
+  }
+
+  [Symbol.asyncIterator]() {
+    return this.entries();
+  }
+
+  /**
+   * @param {Iterable<[string, *]> | Object<string, *>} entries - `[key, value]` pairs (e.g., a `Map`) or a plain object.
+   * @param {object} [options] - Options applied to every entry (e.g., `timeout`).
+   */
+  async setMany(entries, options) {
+    const pairs = (typeof entries?.[Symbol.iterator] === 'function') ? entries : Object.entries(entries);
+    for (const [key, value] of pairs) {
+      await this.set(key, value, options);
+    }
+  }
+
+  /**
+   * @param {Iterable<string>} keys
+   */
+  async deleteMany(keys) {
+    for (const key of keys) {
+      await this.delete(key);
+    }
+  }
 }
@@ -20,6 +20,20 @@ export class HttpTransport extends Transport {
   ENCODED_MESSAGE_HEADER = 'DWN-MESSAGE';
   ENCODED_RESPONSE_HEADER = 'WEB5-RESPONSE';
 
+  #headers;
+
+  /**
+   * @param {Web5} web5
+   * @param {object} [options]
+   * @param {Object<string, string> | function(string, object): Promise<Object<string, string>>} [options.headers]
+   *   Additional request headers (e.g., `Authorization`), or a function called with the endpoint and request that
+   *   returns them.
+   */
+  constructor(web5, options = { }) {
+    super(web5);
+    this.#headers = options.headers;
+  }
+
   async encodeMessage(message) {
     return Encoder.stringToBase64Url(JSON.stringify(message));
   }
@@ -28,12 +42,14 @@ export class HttpTransport extends Transport {
     return Encoder.base64UrlToObject(base64urlString);
   }
 
-  async send(endpoint, request) { // override
+  async send(endpoint, request, options = { }) { // override
+    const headers = (typeof this.#headers === 'function') ? await this.#headers(endpoint, request) : this.#headers;
     const response = await fetch(endpoint, {
       method: 'POST',
       mode: 'cors',
       cache: 'no-cache',
       headers: {
+        ...headers,
         [this.ENCODED_MESSAGE_HEADER]: await this.encodeMessage({
           ...request.message,
           author: request.author,
@@ -42,10 +58,11 @@ export class HttpTransport extends Transport {
         'Content-Type': 'application/octet-stream',
       },
       body: request.data,
+      signal: options.signal,
     });
 
     if (!response.ok) {
-      throw new Error(`Fetch failed with status ${response.status}`);
+      throw Object.assign(new Error(`Fetch failed with status ${response.status}`), { status: response.status });
     }
 
     const web5ResponseHeader = response.headers.get(this.ENCODED_RESPONSE_HEADER);
@@ -1,3 +1,13 @@
+/**
+ * Sends DWN requests to endpoints whose URL scheme the transport is registered for, with
+ * `web5.registerTransport(scheme, transport)`.
+ *
+ * Subclasses must implement `send()`, and can implement the `open()` and `close()` lifecycle hooks to
+ * set up and tear down resources such as connections. `open()` is called before the first request is
+ * sent with the transport, and again before the next request if it failed or the transport was closed.
+ * Once opened, `close()` is called by `web5.close()`, and when the transport is no longer registered for
+ * any scheme.
+ */
 export class Transport {
   #web5;
 
@@ -9,7 +19,35 @@ export class Transport {
     return this.#web5;
   }
 
-  async send(_endpoint, _request) {
-    throw 'subclass must override';
+  /**
+   * Prepares the transport to send requests.
+   *
+   * @returns {Promise<void>}
+   */
+  async open() { }
+
+  /**
+   * Releases the resources of the transport. Requests in flight may be rejected.
+   *
+   * @returns {Promise<void>}
+   */
+  async close() { }
+
+  /**
+   * Sends a request to a DWN endpoint.
+   *
+   * @param {string} _endpoint URL of the endpoint
+   * @param {object} _request
+   * @param {string} _request.author DID of the author of the message
+   * @param {*} [_request.data] Message data, if any
+   * @param {object} _request.message DWeb message
+   * @param {string} _request.target DID of the DWN owner
+   * @param {object} [_options]
+   * @param {AbortSignal} [_options.signal] Aborts the request, when it times out
+   * @returns {Promise<Web5SendResponse>} DWN response. Requests that fail are rejected with an error, whose `status`
+   *   is the HTTP status code, or its equivalent, if the endpoint responded. Network errors and errors with a 5xx `status` are retried.
+   */
+  async send(_endpoint, _request, _options) {
+    throw new Error(`${this.constructor.name} must implement send()`);
   }
 }
@@ -0,0 +1,237 @@
+import { Encoder } from '@tbd54566975/dwn-sdk-js';
+
+import { Transport } from './transport.js';
+import { parseJson, streamChunks } from '../utils.js';
+
+const JSON_RPC_VERSION = '2.0';
+const JSON_RPC_INTERNAL_ERROR = -32603;
+const WEBSOCKET_OPEN = 1;
+
+/**
+ * Sends DWN messages over WebSockets, as JSON-RPC 2.0 requests multiplexed over a single connection
+ * per endpoint.
+ *
+ * A request is a `dwn.processMessage` call whose `params` are the `target`, `author` and `message`.
+ * If the request has data, `params.data` is `true` and the data follows in `dwn.data` notifications,
+ * each with the request `id` and a base64url encoded chunk of `data`, the last of which has
+ * `done: true`. Responses are correlated with requests by `id`. A response whose `result.data` is
+ * `true` (e.g., to a RecordsRead) streams the record data back in the same way.
+ *
+ * JSON-RPC error responses reject the request with an error whose `status` is 500 for internal errors, and 400
+ * otherwise.
+ *
+ * Connections are opened on first use. When an open connection drops, requests in flight are
+ * rejected and the connection is reopened with exponential backoff.
+ */
+export class WebSocketTransport extends Transport {
+  #connections = new Map();
+  #options;
+
+  /**
+   * @param {Web5} web5
+   * @param {object} [options]
+   * @param {typeof WebSocket} [options.WebSocket] WebSocket implementation. Defaults to `globalThis.WebSocket`. In
+   *   Node.js versions without a global WebSocket, pass the `WebSocket` class of the `ws` package.
+   * @param {number} [options.chunkSize] Size of the data chunks sent, in bytes. Defaults to 64 KiB.
+   * @param {number} [options.reconnectDelay] Delay before the first attempt to reopen a dropped connection, in
+   *   milliseconds. Doubles after each failed attempt. Defaults to 1000.
+   * @param {number} [options.maxReconnectDelay] Maximum delay between attempts to reopen a dropped connection, in
+   *   milliseconds. Defaults to 30000.
+   */
+  constructor(web5, options = { }) {
+    super(web5);
+    this.#options = { chunkSize: 64 * 1024, reconnectDelay: 1000, maxReconnectDelay: 30_000, ...options };
+  }
+
+  async send(endpoint, request, options = { }) { // override
+    const { author, data, message, target } = request;
+    return this.#connection(endpoint).request({ target, author, message }, data, options.signal);
+  }
+
+  /**
+   * Closes the connection to every endpoint, and stops reopening them. Requests in flight are rejected.
+   * Connections are opened again by the next request sent to their endpoint.
+   */
+  async close() {
+    for (const connection of this.#connections.values()) {
+      connection.close();
+    }
+    this.#connections.clear();
+  }
+
+  #connection(endpoint) {
+    let connection = this.#connections.get(endpoint);
+    if (!connection) {
+      connection = new Connection(endpoint, this.#options);
+      this.#connections.set(endpoint, connection);
+    }
+    return connection;
+  }
+}
+
+/**
+ * A WebSocket connection to one endpoint, and the requests in flight on it.
+ */
+class Connection {
+  #endpoint;
+  #options;
+
+  #closed = false;
+  #nextId = 0;
+  #opening = null;
+  #pending = new Map();
+  #reconnectAttempts = 0;
+  #reconnectTimer = null;
+  #socket = null;
+  #wasOpen = false;
+
+  constructor(endpoint, options) {
+    this.#endpoint = endpoint;
+    this.#options = options;
+  }
+
+  async request(params, data, signal) {
+    signal?.throwIfAborted();
+    const socket = await this.#open();
+
+    const hasData = data !== undefined && data !== null;
+    const id = ++this.#nextId;
+    const response = new Promise((resolve, reject) => this.#pending.set(id, { resolve, reject }));
+
+    // An aborted request is forgotten, so a late response to it is ignored.
+    signal?.addEventListener('abort', () => {
+      const request = this.#pending.get(id);
+      if (!request || request.controller) return;
+      this.#pending.delete(id);
+      request.reject(signal.reason);
+    }, { once: true });
+
+    try {
+      send(socket, { jsonrpc: JSON_RPC_VERSION, id, method: 'dwn.processMessage', params: { ...params, data: hasData } });
+      if (hasData) {
+        for await (const chunk of dataChunks(data, this.#options.chunkSize)) {
+          send(socket, { jsonrpc: JSON_RPC_VERSION, method: 'dwn.data', params: { id, data: Encoder.bytesToBase64Url(chunk) } });
+        }
+        send(socket, { jsonrpc: JSON_RPC_VERSION, method: 'dwn.data', params: { id, done: true } });
+      }
+    } catch (error) {
+      this.#pending.delete(id);
+      throw error;
+    }
+
+    return response;
+  }
+
+  close() {
+    this.#closed = true;
+    clearTimeout(this.#reconnectTimer);
+    this.#socket?.close();
+    this.#failPending(new Error(`WebSocket connection to ${this.#endpoint} was closed`));
+  }
+
+  async #open() {
+    if (this.#closed) throw new Error(`WebSocket connection to ${this.#endpoint} was closed`);
+    if (this.#socket?.readyState === WEBSOCKET_OPEN) return this.#socket;
+    return this.#opening ??= this.#connect().finally(() => { this.#opening = null; });
+  }
+
+  async #connect() {
+    const WebSocketImplementation = this.#options.WebSocket ?? globalThis.WebSocket;
+    if (!WebSocketImplementation) {
+      throw new Error('WebSocket is not available. Pass a WebSocket implementation, such as the one of the `ws` package, to WebSocketTransport.');
+    }
+
+    return new Promise((resolve, reject) => {
+      const socket = this.#socket = new WebSocketImplementation(this.#endpoint);
+
+      socket.onopen = () => {
+        this.#reconnectAttempts = 0;
+        this.#wasOpen = true;
+        resolve(socket);
+      };
+
+      socket.onmessage = (event) => this.#receive(event.data);
+
+      // Errors are always followed by a close event, which is handled below.
+      socket.onerror = () => { };
+
+      socket.onclose = () => {
+        if (this.#socket === socket) this.#socket = null;
+        reject(new Error(`WebSocket connection to ${this.#endpoint} failed`));
+        this.#failPending(new Error(`WebSocket connection to ${this.#endpoint} closed`));
+        if (this.#wasOpen) this.#reconnect();
+      };
+    });
+  }
+
+  #reconnect() {
+    if (this.#closed || this.#reconnectTimer) return;
+
+    const { reconnectDelay, maxReconnectDelay } = this.#options;
+    const delay = Math.min(reconnectDelay * (2 ** this.#reconnectAttempts++), maxReconnectDelay);
+    this.#reconnectTimer = setTimeout(() => {
+      this.#reconnectTimer = null;
+      // A failed attempt closes the socket, which schedules the next attempt.
+      this.#open().catch(() => { });
+    }, delay);
+
+    // Reconnecting in the background must not keep Node.js processes running.
+    this.#reconnectTimer.unref?.();
+  }
+
+  #receive(text) {
+    const message = parseJson(text);
+    const id = message?.id ?? message?.params?.id;
+    const request = this.#pending.get(id);
+    if (!request) return;
+
+    if (message.method === 'dwn.data') {
+      const { data, done, error } = message.params;
+      if (!request.controller) return;
+      if (data) request.controller.enqueue(Encoder.base64UrlToBytes(data));
+      if (error) request.controller.error(new Error(error.message ?? error));
+      if (done || error) {
+        if (!error) request.controller.close();
+        this.#pending.delete(id);
+      }
+
+    } else if (message.error) {
+      this.#pending.delete(id);
+      const error = new Error(`DWN request to ${this.#endpoint} failed: ${message.error.message}`);
+      // Like HTTP errors, only internal errors of the endpoint are retried.
+      request.reject(Object.assign(error, { status: (message.error.code === JSON_RPC_INTERNAL_ERROR) ? 500 : 400 }));
+
+    } else if (message.result?.data) {
+      // Record data follows in `dwn.data` notifications.
+      const { data: _, entries = null, message: responseMessage, record, status } = message.result;
+      const data = new ReadableStream({ start: (controller) => { request.controller = controller; } });
+      request.resolve({ entries, message: responseMessage, record: { ...record, data }, status });
+
+    } else {
+      const { data: _, ...result } = message.result ?? { };
+      this.#pending.delete(id);
+      request.resolve(result);
+    }
+  }
+
+  #failPending(error) {
+    for (const { controller, reject } of this.#pending.values()) {
+      if (controller) controller.error(error);
+      else reject(error);
+    }
+    this.#pending.clear();
+  }
+}
+
+function send(socket, message) {
+  socket.send(JSON.stringify(message));
+}
+
+async function* dataChunks(data, chunkSize) {
+  const chunks = (data instanceof Uint8Array) ? [data] : streamChunks(data);
+  for await (const chunk of chunks) {
+    for (let offset = 0; offset < chunk.length; offset += chunkSize) {
+      yield chunk.subarray(offset, offset + chunkSize);
+    }
+  }
+}
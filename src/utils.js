@@ -1,4 +1,5 @@
 import { Encoder } from '@tbd54566975/dwn-sdk-js';
+import { Readable } from 'readable-stream';
 
 const textDecoder = new TextDecoder();
 
@@ -100,6 +101,71 @@ export function objectValuesBase64UrlToBytes(obj) {
   return Object.fromEntries(Object.entries(obj).map(([key, value]) => [key, Encoder.base64UrlToBytes(value)]));
 }
 
+/**
+ * Uses duck typing to determine whether the stream is a web browser ReadableStream
+ * or a Node.js Readable stream.
+ */
+export function isReadableWebStream(stream) {
+  return typeof stream._read !== 'function';
+}
+
+/**
+ * Iterates over the chunks of a web `ReadableStream` or Node.js `Readable` as bytes.
+ *
+ * @param {ReadableStream | Readable} stream
+ * @returns {AsyncGenerator<Uint8Array>}
+ */
+export async function* streamChunks(stream) {
+  if (isReadableWebStream(stream)) {
+    const reader = stream.getReader();
+    try {
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) return;
+        yield toBytes(value);
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  }
+
+  for await (const chunk of stream) {
+    yield toBytes(chunk);
+  }
+}
+
+/**
+ * Creates a stream of the given chunks, of the same kind as another stream: a web `ReadableStream` or a Node.js
+ * `Readable`. Chunks are only produced as the stream is read.
+ *
+ * @param {AsyncIterable<Uint8Array>} chunks
+ * @param {ReadableStream | Readable} like Stream whose kind to create
+ * @returns {ReadableStream | Readable}
+ */
+export function streamFromChunks(chunks, like) {
+  if (!isReadableWebStream(like)) return Readable.from(chunks, { objectMode: false });
+
+  const iterator = chunks[Symbol.asyncIterator]();
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const { value, done } = await iterator.next();
+        if (done) controller.close();
+        else controller.enqueue(value);
+      } catch (error) {
+        controller.error(error);
+      }
+    },
+    async cancel() {
+      await iterator.return?.();
+    },
+  });
+}
+
+function toBytes(chunk) {
+  return (typeof chunk === 'string') ? Encoder.stringToBytes(chunk) : new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+}
+
 /**
  * Credit for toType() function:
  *   Angus Croll
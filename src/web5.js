@@ -1,9 +1,20 @@
+import { Encoder } from '@tbd54566975/dwn-sdk-js';
+
 import { Web5Did } from './did/web5-did.js';
 import { Web5Dwn } from './dwn/web5-dwn.js';
 import { AppTransport } from './transport/app-transport.js';
 import { HttpTransport } from './transport/http-transport.js';
+import { WebSocketTransport } from './transport/websocket-transport.js';
 import { isUnsignedMessage, parseUrl } from './utils.js';
 
+const DEFAULT_SEND_POLICY = {
+  timeout: 30_000,
+  retries: 2,
+  retryDelay: 250,
+  maxRetryDelay: 5_000,
+  deadline: 120_000,
+};
+
 /**
  * Provides a high-level interface for working with decentralized
  * web nodes (DWNs), decentralized identifiers (DIDs), and
@@ -12,22 +23,57 @@ import { isUnsignedMessage, parseUrl } from './utils.js';
 export class Web5 extends EventTarget {
   #dwn;
   #did;
-  #transports;
+  #openTransports = new Map();
+  #sendPolicy;
+  #transports = { };
 
   /**
    * Constructs a new Web5 instance with the provided options.
    * @param {Object} [options] - Optional configuration options.
+   * @param {Object} [options.did] - Options passed to `Web5Did` (e.g., `keystore`, `methods`).
+   * @param {Object} [options.dwn] - Options passed to `Web5Dwn` (e.g., `node`).
+   * @param {Object<string, Transport | function(Web5): Transport | null>} [options.transports] - Transports to
+   *   register on this instance, by URL scheme. These are added to, or replace, the built-in transports (`app`,
+   *   `http`, `https`, `ws` and `wss`). A function is called with the Web5 instance to create the transport, and
+   *   `null` removes a built-in transport.
+   * @param {typeof WebSocket} [options.WebSocket] - WebSocket implementation of the built-in `ws` and `wss`
+   *   transports (e.g., the `WebSocket` class of the `ws` package). Defaults to `globalThis.WebSocket`. Without one,
+   *   the `ws` and `wss` transports are not registered.
+   * @param {Object} [options.sendPolicy] - How requests are sent to DWN endpoints.
+   * @param {number} [options.sendPolicy.timeout] - Milliseconds to wait for each attempt to send a request to an
+   *   endpoint. Defaults to 30 seconds.
+   * @param {number} [options.sendPolicy.retries] - Number of times a request is sent again to an endpoint after a
+   *   network error, timeout or error with a 5xx HTTP status. DWN replies are never retried. Defaults to 2.
+   * @param {number} [options.sendPolicy.retryDelay] - Milliseconds of the first backoff between attempts, which
+   *   doubles after each one. Each delay is randomized between 0 and the backoff (full jitter). Defaults to 250.
+   * @param {number} [options.sendPolicy.maxRetryDelay] - Maximum backoff between attempts. Defaults to 5 seconds.
+   * @param {number} [options.sendPolicy.deadline] - Milliseconds after which no more attempts are made, across all
+   *   endpoints and retries. Defaults to 2 minutes.
    */
   constructor(options = { }) {
     super();
 
+    this.#sendPolicy = { ...DEFAULT_SEND_POLICY, ...options?.sendPolicy };
+
     this.#dwn = new Web5Dwn(this, options?.dwn);
-    this.#did = new Web5Did(this);
-    this.#transports = {
+    this.#did = new Web5Did(this, options?.did);
+
+    // A single WebSocket transport keeps one connection per endpoint, for both `ws:` and `wss:` URLs. Node.js versions
+    // without a global WebSocket have no implementation for it unless one is passed.
+    const WebSocket = options?.WebSocket ?? globalThis.WebSocket;
+    const webSocketTransport = WebSocket && new WebSocketTransport(this, { WebSocket });
+    const transports = {
       app: new AppTransport(this),
       http: new HttpTransport(this),
       https: new HttpTransport(this),
+      ...(webSocketTransport && { ws: webSocketTransport, wss: webSocketTransport }),
+      ...options?.transports,
     };
+    for (const [scheme, transport] of Object.entries(transports)) {
+      if (transport !== null) {
+        this.registerTransport(scheme, (typeof transport === 'function') ? transport(this) : transport);
+      }
+    }
   }
 
   get dwn() {
@@ -38,8 +84,61 @@ export class Web5 extends EventTarget {
     return this.#did;
   }
 
+  /**
+   * Transports registered on this instance, by URL scheme.
+   *
+   * @returns {Object<string, Transport>}
+   */
   get transports() {
-    return this.#transports;
+    return { ...this.#transports };
+  }
+
+  /**
+   * Adds a transport to this instance, replacing any transport already registered for the same URL scheme.
+   * A replaced transport that is no longer registered for any scheme is closed.
+   *
+   * @param {string} scheme URL scheme of the endpoints to send requests to with the transport, without the
+   *   trailing colon (e.g., 'https')
+   * @param {Transport} transport Transport implementation. Only `send` is required.
+   * @returns {Promise<void>} Resolves once the replaced transport is closed, or rejects with the error it failed to
+   *   close with
+   */
+  registerTransport(scheme, transport) {
+    if (typeof scheme !== 'string' || !/^[a-z][a-z0-9+.-]*$/.test(scheme)) throw new Error(`Invalid transport URL scheme: ${scheme}`);
+    if (typeof transport?.send !== 'function') throw new Error(`Transport for ${scheme} must implement send()`);
+    for (const hook of ['open', 'close']) {
+      if (transport[hook] !== undefined && typeof transport[hook] !== 'function') {
+        throw new Error(`Transport for ${scheme} has an invalid ${hook}() implementation`);
+      }
+    }
+
+    const replaced = this.#transports[scheme];
+    this.#transports[scheme] = transport;
+    return (replaced && replaced !== transport) ? this.#releaseTransport(replaced) : Promise.resolve();
+  }
+
+  /**
+   * Removes the transport registered for a URL scheme from this instance. The transport is closed if it is not
+   * registered for any other scheme.
+   *
+   * @param {string} scheme URL scheme
+   * @returns {Promise<boolean>} Whether a transport was registered for the scheme
+   */
+  async unregisterTransport(scheme) {
+    if (!Object.hasOwn(this.#transports, scheme)) return false;
+    const transport = this.#transports[scheme];
+    delete this.#transports[scheme];
+    await this.#releaseTransport(transport);
+    return true;
+  }
+
+  /**
+   * Closes every transport that was opened. Transports are opened again by the next request sent with them.
+   */
+  async close() {
+    const transports = [...this.#openTransports.keys()];
+    this.#openTransports.clear();
+    await Promise.all(transports.map(transport => transport.close?.()));
   }
 
   /**
@@ -49,11 +148,13 @@ export class Web5 extends EventTarget {
    * @param {object} request - Object containing the request parameters.
    * @param {string} request.author - The DID of the author of the message.
    * @param {*} request.data - The message data (if any).
+   * @param {string} [request.keyId] - The author's key to sign the message with. Defaults to the author's active
+   *   signing key.
    * @param {object} request.message - The DWeb message.
    * @returns {Promise<Web5SendResponse>} - A promise that resolves to the response object.
    */
   async send(target, request) {
-    let { author, data, message } = request;
+    let { author, data, keyId, message } = request;
 
     if (isUnsignedMessage(message)) {
       const resolvedAuthor = await this.#did.resolve(author);
@@ -68,7 +169,13 @@ export class Web5 extends EventTarget {
         return { status: { code: 401, detail: 'Local keys not available and remote agent not connected' } };
       }
       
-      message = await this.#createSignedMessage(author, resolvedAuthor, message, data);
+      const signingKey = await this.#did.manager.getSigningKey(author, keyId);
+      if (!signingKey) {
+        const detail = keyId ? `Key ${keyId} is not an active signing key of ${author}` : `No active signing key available for ${author}`;
+        return { status: { code: 401, detail } };
+      }
+
+      message = await this.#createSignedMessage(author, signingKey, message, data);
     }
 
     const resolvedTarget = await this.#did.resolve(target);
@@ -88,11 +195,14 @@ export class Web5 extends EventTarget {
     return { status: { code: 400, detail: 'Target DID could not be resolved' } };
   }
 
-  async #createSignedMessage(author, resolvedAuthor, message, data) {
-    const keyId = '#dwn';
+  async #createSignedMessage(author, signingKey, message, data) {
+    const { keyPair } = signingKey;
     const authorizationSignatureInput = this.#dwn.sdk.Jws.createSignatureInput({
-      keyId: author + keyId,
-      keyPair: resolvedAuthor.keys[keyId].keyPair,
+      keyId: `${author}#${signingKey.id.split('#').pop()}`,
+      keyPair: {
+        publicJwk: keyPair.publicJwk ?? keyPair.publicKeyJwk,
+        privateJwk: toDwnPrivateJwk(keyPair.privateJwk ?? keyPair.privateKeyJwk),
+      },
     });
     const signedMessage = await this.#dwn.sdk[message.interface + message.method].create({
       ...message,
@@ -109,7 +219,15 @@ export class Web5 extends EventTarget {
    */
 
   /**
-   * @typedef {MessageReplyOptions | Web5SendResponseMessage} Web5SendResponse
+   * @typedef {Object} Web5SendFailure
+   * @property {string} endpoint The endpoint the request could not be sent to
+   * @property {number} attempts Number of times the request was sent to the endpoint
+   * @property {string} error Why the last attempt failed
+   * @property {number} [status] HTTP status code of the last attempt, if the endpoint responded
+   */
+
+  /**
+   * @typedef {(MessageReplyOptions | Web5SendResponseMessage) & { failures?: Web5SendFailure[] }} Web5SendResponse
    */
 
   /**
@@ -122,6 +240,9 @@ export class Web5 extends EventTarget {
    * multiple endpoints in parallel until the first one completes. Instead, we only try the next DWN if
    * there is a failure.  Additionally, per the DWN Specification, implementers SHOULD select from the
    * Service Endpoint URIs in the nodes array in index order, so this function makes that approach easy.
+   *
+   * Each endpoint is retried with backoff, as configured by the `sendPolicy` option, before moving on to
+   * the next one. The endpoints that failed are reported in the `failures` of the response.
    * 
    * @param {string[]} endpoints - An array of one or more endpoints to send the message to.
    * @param {object} request - Object containing the request parameters.
@@ -132,16 +253,27 @@ export class Web5 extends EventTarget {
    * @returns {Promise<Web5SendResponse>}
    */
   async #send(endpoints, request) {
+    const deadline = Date.now() + this.#sendPolicy.deadline;
+
     let response;
-    for (let endpoint of endpoints) {
-      try {
-        const url = parseUrl(endpoint);
-        response = await this.#transports[url?.protocol?.slice(0, -1)]?.send(url.href, request);
-      } catch (error) {
-        console.error(error);
-        // Intentionally ignore exception and try the next endpoint.
+    let deadlineReached = false;
+    const failures = [];
+    for (const endpoint of endpoints) {
+      if (Date.now() >= deadline) {
+        deadlineReached = true;
+        failures.push({ endpoint, attempts: 0, error: 'Deadline exceeded' });
+        continue;
+      }
+
+      const result = await this.#sendToEndpoint(endpoint, request, deadline);
+      if (result.failure) {
+        deadlineReached ||= result.deadlineReached;
+        failures.push(result.failure);
+        continue;
       }
-      if (response) break; // Stop looping and return after the first endpoint successfully responds.
+
+      response = result.response;
+      break; // Stop looping and return after the first endpoint successfully responds.
     }
 
     if (response && !isUnsignedMessage(request.message)) {
@@ -150,8 +282,106 @@ export class Web5 extends EventTarget {
       response.message = { recordId, descriptor };
     }
 
-    response ??= { status: { code: 503, detail: 'Service Unavailable' } };
+    if (!response) {
+      const status = deadlineReached ? { code: 504, detail: 'Gateway Timeout' } : { code: 503, detail: 'Service Unavailable' };
+      return { status, failures };
+    }
 
+    if (failures.length) response.failures = failures;
     return response;
   }
+
+  /**
+   * Sends the request to an endpoint, retrying after network errors, timeouts and errors with a 5xx HTTP status.
+   * DWN replies, whatever their status, are returned as is.
+   *
+   * @returns {Promise<{ response: Web5SendResponse } | { failure: Web5SendFailure, deadlineReached: boolean }>}
+   *   `deadlineReached` is whether the endpoint was not sent the request again because the next attempt would start
+   *   after the deadline
+   */
+  async #sendToEndpoint(endpoint, request, deadline) {
+    const url = parseUrl(endpoint);
+    const transport = this.#transports[url?.protocol?.slice(0, -1)];
+    if (!transport) {
+      const error = url ? `No transport is registered for ${url.protocol} endpoints` : 'Invalid endpoint URL';
+      return { failure: { endpoint, attempts: 0, error }, deadlineReached: false };
+    }
+
+    const { maxRetryDelay, retries, retryDelay, timeout } = this.#sendPolicy;
+    // A data stream is consumed by the first attempt, so it cannot be sent again.
+    const maxAttempts = isStream(request.data) ? 1 : retries + 1;
+
+    for (let attempt = 1; ; attempt++) {
+      let failure;
+      try {
+        await this.#openTransport(transport);
+        const response = await sendWithTimeout(transport, url.href, request, Math.min(timeout, deadline - Date.now()));
+        if (!response) {
+          return { failure: { endpoint, attempts: attempt, error: 'Transport returned no response' }, deadlineReached: false };
+        }
+        return { response };
+      } catch (error) {
+        failure = { endpoint, attempts: attempt, error: error?.message ?? String(error) };
+        if (error?.status) failure.status = error.status;
+        // Network errors and timeouts have no status.
+        if (error?.status < 500 || attempt === maxAttempts) return { failure, deadlineReached: false };
+      }
+
+      const delay = Math.random() * Math.min(maxRetryDelay, retryDelay * (2 ** (attempt - 1)));
+      if (Date.now() + delay >= deadline) return { failure, deadlineReached: true };
+      await sleep(delay);
+    }
+  }
+
+  async #openTransport(transport) {
+    let opening = this.#openTransports.get(transport);
+    if (!opening) {
+      opening = Promise.resolve(transport.open?.());
+      this.#openTransports.set(transport, opening);
+      // A transport that failed to open is opened again by the next request.
+      opening.catch(() => this.#openTransports.delete(transport));
+    }
+    await opening;
+  }
+
+  async #releaseTransport(transport) {
+    if (Object.values(this.#transports).includes(transport) || !this.#openTransports.has(transport)) return;
+    this.#openTransports.delete(transport);
+    await transport.close?.();
+  }
+}
+
+/**
+ * Ed25519 keys created with TweetNaCl (e.g., by did:key and did:peer) hold the 64 byte secret key, which is the
+ * 32 byte seed followed by the public key. The DWN SDK signs with the seed.
+ */
+function toDwnPrivateJwk(privateJwk) {
+  if (privateJwk?.crv !== 'Ed25519') return privateJwk;
+  const privateKey = Encoder.base64UrlToBytes(privateJwk.d);
+  return (privateKey.length === 64) ? { ...privateJwk, d: Encoder.bytesToBase64Url(privateKey.slice(0, 32)) } : privateJwk;
+}
+
+function isStream(data) {
+  return typeof data?.getReader === 'function' || typeof data?.pipe === 'function';
+}
+
+function sleep(milliseconds) {
+  return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
+
+/**
+ * Sends a request with a transport, aborting it after `timeout` milliseconds. Transports that ignore the abort
+ * signal are timed out as well.
+ */
+async function sendWithTimeout(transport, endpoint, request, timeout) {
+  const controller = new AbortController();
+  const timedOut = new Promise((_, reject) => {
+    controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+  });
+  const timer = setTimeout(() => controller.abort(new Error(`Request to ${endpoint} timed out after ${timeout} ms`)), Math.max(timeout, 0));
+  try {
+    return await Promise.race([transport.send(endpoint, request, { signal: controller.signal }), timedOut]);
+  } finally {
+    clearTimeout(timer);
+  }
 }
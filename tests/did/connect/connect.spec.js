@@ -0,0 +1,65 @@
+import chaiAsPromised from 'chai-as-promised';
+import chai, { expect } from 'chai';
+
+import { MemoryStorage } from '../../../src/storage/memory-storage.js';
+import { Web5 } from '../../../src/web5.js';
+
+chai.use(chaiAsPromised);
+
+describe('DidConnect', async () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = new MemoryStorage();
+  });
+
+  // Connecting to a `did:` host is not implemented, but the app DID is loaded or created first.
+  const connect = async (web5) => {
+    await expect(web5.did.connect({ host: 'did:example:agent', storage })).to.be.rejectedWith('DIDConnect protocol not implemented: did:');
+  };
+
+  describe('app DID', () => {
+    it('should keep the DID record in storage and reuse it when no keystore is configured', async () => {
+      const web5 = new Web5();
+      await connect(web5);
+
+      const record = await storage.get('web5-dids');
+      expect(record.id).to.be.a('string');
+      expect(record.keys).to.not.be.empty;
+      expect(await web5.did.manager.get(record.id)).to.deep.equal(record);
+
+      const reloaded = new Web5();
+      await connect(reloaded);
+      expect(await storage.get('web5-dids')).to.deep.equal(record);
+      expect(await reloaded.did.manager.get(record.id)).to.deep.equal(record);
+    });
+
+    it('should only keep the DID in storage once a keystore is configured', async () => {
+      const keystore = { store: new MemoryStorage(), iterations: 1000 };
+      const web5 = new Web5({ did: { keystore } });
+      await web5.did.manager.unlock('correct horse battery staple');
+      await connect(web5);
+
+      const did = await storage.get('web5-dids');
+      expect(did).to.be.a('string');
+
+      const reloaded = new Web5({ did: { keystore } });
+      await reloaded.did.manager.unlock('correct horse battery staple');
+      await connect(reloaded);
+      expect(await storage.get('web5-dids')).to.equal(did);
+      expect((await reloaded.did.manager.get(did)).keys).to.not.be.empty;
+    });
+
+    it('should move DID records stored by earlier versions into the keystore', async () => {
+      const record = await new Web5().did.create('key');
+      await storage.set('web5-dids', record);
+
+      const web5 = new Web5({ did: { keystore: { store: new MemoryStorage(), iterations: 1000 } } });
+      await web5.did.manager.unlock('correct horse battery staple');
+      await connect(web5);
+
+      expect(await storage.get('web5-dids')).to.equal(record.id);
+      expect(await web5.did.manager.get(record.id)).to.deep.equal(record);
+    });
+  });
+});
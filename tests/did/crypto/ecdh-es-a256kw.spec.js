@@ -0,0 +1,130 @@
+import chaiAsPromised from 'chai-as-promised';
+import chai, { expect } from 'chai';
+import { Encoder } from '@tbd54566975/dwn-sdk-js';
+
+import { Web5 } from '../../../src/web5.js';
+
+chai.use(chaiAsPromised);
+
+describe('EcdhEsA256kw', async () => {
+  let web5;
+
+  beforeEach(function () {
+    web5 = new Web5();
+  });
+
+  const createDid = async (method, options) => {
+    const did = await web5.did.create(method, options);
+    await web5.did.manager.set(did.id, did);
+    return did;
+  };
+
+  const payload = Encoder.stringToBytes('Hello, world!');
+
+  for (const [method, options, crv] of [['peer', { }, 'X25519'], ['jwk', { curve: 'P-256', use: 'enc' }, 'P-256'], ['jwk', { curve: 'secp256k1', use: 'enc' }, 'secp256k1']]) {
+    it(`should encrypt to the ${crv} keyAgreement key of did:${method} DIDs as compact JWE`, async () => {
+      const did = await createDid(method, options);
+
+      const jwe = await web5.did.encrypt({ did: did.id, algorithm: 'ecdh-es-a256kw', payload });
+      const [protectedHeader, encryptedKey, iv, , tag] = jwe.split('.');
+
+      const header = Encoder.base64UrlToObject(protectedHeader);
+      expect(header).to.include({ alg: 'ECDH-ES+A256KW', enc: 'A256GCM' });
+      expect(header.kid).to.equal((await web5.did.getKeys(did.id, { purpose: 'keyAgreement', managed: false }))[0].id);
+      expect(header.epk).to.have.property('crv', crv);
+      expect(header.epk).to.not.have.property('d');
+      expect(Encoder.base64UrlToBytes(encryptedKey)).to.have.lengthOf(40);
+      expect(Encoder.base64UrlToBytes(iv)).to.have.lengthOf(12);
+      expect(Encoder.base64UrlToBytes(tag)).to.have.lengthOf(16);
+
+      expect(await web5.did.decrypt({ did: did.id, payload: jwe })).to.deep.equal(payload);
+    });
+  }
+
+  it('should encrypt as general JSON JWE', async () => {
+    const did = await createDid('peer');
+
+    const jwe = await web5.did.encrypt({ did: did.id, algorithm: 'ecdh-es-a256kw', payload, serialization: 'general' });
+
+    expect(Encoder.base64UrlToObject(jwe.protected)).to.deep.equal({ enc: 'A256GCM' });
+    expect(jwe.recipients).to.have.lengthOf(1);
+    expect(jwe.recipients[0].header).to.include({ alg: 'ECDH-ES+A256KW', kid: `${did.id}#key-2` });
+    expect(await web5.did.decrypt({ did: did.id, payload: jwe })).to.deep.equal(payload);
+  });
+
+  it('should decrypt flattened JSON JWE', async () => {
+    const did = await createDid('peer');
+    const { recipients: [recipient], ...jwe } = await web5.did.encrypt({ did: did.id, algorithm: 'ecdh-es-a256kw', payload, serialization: 'general' });
+
+    expect(await web5.did.decrypt({ did: did.id, payload: { ...jwe, ...recipient } })).to.deep.equal(payload);
+  });
+
+  it('should decrypt JWE produced by other JOSE implementations', async () => {
+    // Encrypted with the `jose` library to the X25519 key below.
+    const privateKeyJwk = { crv: 'X25519', kty: 'OKP', x: 'E1T_6hM_OMbsVZrIh3Y_BsCsCFTPEGGPPtkCoWx5aFA', d: 'UBHI6kAyjHBbtYgUf12xrlklqgu7INYIE60tPAazoWY' };
+    const jwe = 'eyJhbGciOiJFQ0RILUVTK0EyNTZLVyIsImVuYyI6IkEyNTZHQ00iLCJraWQiOiJkaWQ6andrOmV5SmpjbllpT2lKWU1qVTFNVGtpTENKcmRIa2lPaUpQUzFBaUxDSjRJam9pUlRGVVh6Wm9UVjlQVFdKelZscHlTV2d6V1Y5Q2MwTnpRMFpVVUVWSFIxQlFkR3REYjFkNE5XRkdRU0o5IzAiLCJlcGsiOnsieCI6ImNuUHRPTVBobXJYOUx3Z21HVUFlSUN2bzNSdm5GcWdMdHBqNXo3VHpMa3ciLCJjcnYiOiJYMjU1MTkiLCJrdHkiOiJPS1AifX0'
+      + '.MFLbzK7WUTCyTkl1z8aEFrc_bUAilGTrHBscqTCPFnsl4OJWA4IJaw.g9bxSGkz-HOZG5-H.uHc7HLPM1-lDsUERH9Ew1fakNqjbWb_r8HqSuWx7ag.8ORQ7xEI729J0s8M2uNXXA';
+    const { d, ...publicKeyJwk } = privateKeyJwk;
+    const did = await createDid('jwk', { publicKeyJwk, privateKeyJwk: { ...publicKeyJwk, d } });
+
+    const plaintext = await web5.did.decrypt({ did: did.id, payload: jwe });
+
+    expect(Encoder.bytesToString(plaintext)).to.equal('Hello from another JOSE library');
+  });
+
+  it('should encrypt for several recipients as general JSON JWE', async () => {
+    const alice = await createDid('peer');
+    const bob = await createDid('jwk', { curve: 'P-256', use: 'enc' });
+    const eve = await createDid('peer');
+
+    const jwe = await web5.did.encrypt({ recipients: [{ did: alice.id }, { did: bob.id }], algorithm: 'ecdh-es-a256kw', payload });
+
+    expect(jwe.recipients.map(recipient => recipient.header.epk.crv)).to.deep.equal(['X25519', 'P-256']);
+    expect(await web5.did.decrypt({ did: alice.id, payload: jwe })).to.deep.equal(payload);
+    expect(await web5.did.decrypt({ did: bob.id, payload: jwe })).to.deep.equal(payload);
+    await expect(web5.did.decrypt({ did: eve.id, payload: jwe })).to.be.rejectedWith(`JWE has no recipient whose key is held in the DID manager for ${eve.id}`);
+    await expect(web5.did.encrypt({ recipients: [{ did: alice.id }, { did: bob.id }], algorithm: 'ecdh-es-a256kw', payload, serialization: 'compact' }))
+      .to.be.rejectedWith('Compact JWE serialization supports a single recipient');
+  });
+
+  it('should encrypt to the key selected by keyId', async () => {
+    const did = await createDid('peer', { keys: [
+      { purpose: 'keyAgreement', keyPair: (await web5.did.create('jwk', { curve: 'X25519' })).keys[0].keyPair },
+      { purpose: 'keyAgreement', keyPair: (await web5.did.create('jwk', { curve: 'X25519' })).keys[0].keyPair },
+    ] });
+
+    await expect(web5.did.encrypt({ did: did.id, algorithm: 'ecdh-es-a256kw', payload })).to.be.rejectedWith('Multiple keyAgreement entries');
+    const jwe = await web5.did.encrypt({ did: did.id, keyId: '#key-2', algorithm: 'ecdh-es-a256kw', payload });
+
+    expect(Encoder.base64UrlToObject(jwe.split('.')[0]).kid).to.equal(`${did.id}#key-2`);
+  });
+
+  it('should throw if the recipient has no keyAgreement key', async () => {
+    const did = await createDid('jwk', { curve: 'Ed25519' });
+
+    await expect(web5.did.encrypt({ did: did.id, algorithm: 'ecdh-es-a256kw', payload })).to.be.rejectedWith('keyAgreement verification method not found');
+  });
+
+  it('should throw for unsupported content encryption algorithms', async () => {
+    const did = await createDid('peer');
+
+    await expect(web5.did.encrypt({ did: did.id, algorithm: 'ecdh-es-a256kw', payload, enc: 'A128CBC-HS256' })).to.be.rejectedWith('Unsupported JWE content encryption algorithm: A128CBC-HS256');
+  });
+
+  it('should throw if the ciphertext was tampered with', async () => {
+    const did = await createDid('peer');
+    const jwe = await web5.did.encrypt({ did: did.id, algorithm: 'ecdh-es-a256kw', payload, serialization: 'general' });
+
+    const tampered = { ...jwe, ciphertext: Encoder.bytesToBase64Url(Encoder.stringToBytes('Goodbye, world')) };
+
+    await expect(web5.did.decrypt({ did: did.id, payload: tampered })).to.be.rejectedWith('JWE decryption failed');
+  });
+
+  it('should throw if no recipient key is held by the DID manager', async () => {
+    const recipient = await createDid('peer');
+    const other = await createDid('peer');
+    const jwe = await web5.did.encrypt({ did: recipient.id, algorithm: 'ecdh-es-a256kw', payload });
+
+    await expect(web5.did.decrypt({ did: other.id, payload: jwe })).to.be.rejectedWith(`JWE has no recipient whose key is held in the DID manager for ${other.id}`);
+  });
+});
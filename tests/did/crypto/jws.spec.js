@@ -0,0 +1,161 @@
+import chaiAsPromised from 'chai-as-promised';
+import chai, { expect } from 'chai';
+import { Encoder } from '@tbd54566975/dwn-sdk-js';
+
+import { Web5Did } from '../../../src/did/web5-did.js';
+
+chai.use(chaiAsPromised);
+
+describe('JWS', async () => {
+  let web5did;
+
+  beforeEach(function () {
+    web5did = new Web5Did();
+  });
+
+  const createDid = async (method, options) => {
+    const did = await web5did.create(method, options);
+    await web5did.manager.set(did.id, did);
+    return did;
+  };
+
+  for (const [method, curve, alg] of [['key', 'Ed25519', 'EdDSA'], ['key', 'secp256k1', 'ES256K'], ['jwk', 'P-256', 'ES256']]) {
+    it(`should sign and verify with ${curve} keys of did:${method} DIDs`, async () => {
+      const did = await createDid(method, { curve });
+
+      const jws = await web5did.signJws({ did: did.id, payload: { hello: 'world' } });
+      const [protectedHeader] = jws.split('.');
+
+      expect(Encoder.base64UrlToObject(protectedHeader)).to.deep.equal({ alg, kid: did.keys[0].id });
+      const result = await web5did.verifyJws(jws);
+      expect(result.valid).to.be.true;
+      expect(result.signatures).to.deep.equal([{ kid: did.keys[0].id, protectedHeader: { alg, kid: did.keys[0].id }, valid: true }]);
+      expect(Encoder.bytesToString(result.payload)).to.equal('{"hello":"world"}');
+    });
+  }
+
+  it('should produce general JSON serialization', async () => {
+    const did = await createDid('key');
+
+    const jws = await web5did.signJws({ did: did.id, payload: 'Hello, world!', serialization: 'general' });
+
+    expect(Encoder.base64UrlToBytes(jws.payload)).to.deep.equal(Encoder.stringToBytes('Hello, world!'));
+    expect(jws.signatures).to.have.lengthOf(1);
+    expect((await web5did.verifyJws(jws)).valid).to.be.true;
+  });
+
+  it('should verify flattened JSON serialization', async () => {
+    const did = await createDid('key');
+    const { payload, signatures: [signature] } = await web5did.signJws({ did: did.id, payload: 'Hello, world!', serialization: 'general' });
+
+    expect((await web5did.verifyJws({ payload, ...signature })).valid).to.be.true;
+  });
+
+  it('should verify general JSON serialization with signatures of several DIDs', async () => {
+    const alice = await createDid('key');
+    const bob = await createDid('key', { curve: 'secp256k1' });
+    const payload = new Uint8Array([1, 2, 3]);
+
+    const aliceJws = await web5did.signJws({ did: alice.id, payload, serialization: 'general' });
+    const bobJws = await web5did.signJws({ did: bob.id, payload, serialization: 'general' });
+    const jws = { payload: aliceJws.payload, signatures: [...aliceJws.signatures, ...bobJws.signatures] };
+
+    const result = await web5did.verifyJws(jws);
+
+    expect(result.valid).to.be.true;
+    expect(result.signatures.map(signature => signature.kid)).to.deep.equal([alice.keys[0].id, bob.keys[0].id]);
+  });
+
+  it('should leave out and require the payload of detached JWS', async () => {
+    const did = await createDid('key');
+
+    const compact = await web5did.signJws({ did: did.id, payload: 'detached', detached: true });
+    const general = await web5did.signJws({ did: did.id, payload: 'detached', detached: true, serialization: 'general' });
+
+    expect(compact.split('.')[1]).to.equal('');
+    expect(general).to.not.have.property('payload');
+    expect((await web5did.verifyJws(compact, { payload: 'detached' })).valid).to.be.true;
+    expect((await web5did.verifyJws(general, { payload: 'detached' })).valid).to.be.true;
+    expect((await web5did.verifyJws(compact, { payload: 'tampered' })).valid).to.be.false;
+    await expect(web5did.verifyJws(compact)).to.be.rejectedWith('JWS payload is detached and must be provided');
+  });
+
+  it('should sign with the requested key', async () => {
+    const did = await createDid('jwk', { curve: 'secp256k1' });
+
+    const jws = await web5did.signJws({ did: did.id, keyId: '#0', payload: 'Hello, world!' });
+
+    expect(Encoder.base64UrlToObject(jws.split('.')[0]).kid).to.equal(`${did.id}#0`);
+  });
+
+  it('should not verify tampered payloads', async () => {
+    const did = await createDid('key');
+    const [protectedHeader, , signature] = (await web5did.signJws({ did: did.id, payload: 'Hello, world!' })).split('.');
+
+    const result = await web5did.verifyJws(`${protectedHeader}.${Encoder.stringToBase64Url('Goodbye, world!')}.${signature}`);
+
+    expect(result.valid).to.be.false;
+  });
+
+  it('should not verify truncated signatures', async () => {
+    for (const curve of ['Ed25519', 'secp256k1']) {
+      const did = await createDid('key', { curve });
+      const [protectedHeader, payload, signature] = (await web5did.signJws({ did: did.id, payload: 'Hello, world!' })).split('.');
+
+      const result = await web5did.verifyJws(`${protectedHeader}.${payload}.${signature.slice(0, 20)}`);
+
+      expect(result.valid).to.be.false;
+    }
+  });
+
+  it('should not verify signatures whose kid does not match the signing key', async () => {
+    const alice = await createDid('key');
+    const mallory = await createDid('key');
+    const jws = await web5did.signJws({ did: mallory.id, payload: 'Hello, world!' });
+    const [, payload, signature] = jws.split('.');
+    const forgedHeader = Encoder.stringToBase64Url(JSON.stringify({ alg: 'EdDSA', kid: alice.keys[0].id }));
+
+    expect((await web5did.verifyJws(`${forgedHeader}.${payload}.${signature}`)).valid).to.be.false;
+  });
+
+  it('should not verify signatures whose alg does not match the key', async () => {
+    const did = await createDid('key', { curve: 'secp256k1' });
+    const [, payload, signature] = (await web5did.signJws({ did: did.id, payload: 'Hello, world!' })).split('.');
+    const header = Encoder.stringToBase64Url(JSON.stringify({ alg: 'ES256', kid: did.keys[0].id }));
+
+    expect((await web5did.verifyJws(`${header}.${payload}.${signature}`)).valid).to.be.false;
+  });
+
+  it('should not verify signatures whose key cannot be resolved', async () => {
+    const did = await createDid('key');
+    const [, payload, signature] = (await web5did.signJws({ did: did.id, payload: 'Hello, world!' })).split('.');
+    const header = Encoder.stringToBase64Url(JSON.stringify({ alg: 'EdDSA', kid: `${did.id}#missing` }));
+
+    expect((await web5did.verifyJws(`${header}.${payload}.${signature}`)).valid).to.be.false;
+  });
+
+  it('should not verify signatures whose kid is not a DID URL of a key', async () => {
+    const did = await createDid('key');
+    const [, payload, signature] = (await web5did.signJws({ did: did.id, payload: 'Hello, world!' })).split('.');
+
+    for (const kid of ['foo', did.id, 'did:example:unresolvable#0']) {
+      const header = Encoder.stringToBase64Url(JSON.stringify({ alg: 'EdDSA', kid }));
+      expect((await web5did.verifyJws(`${header}.${payload}.${signature}`)).valid).to.be.false;
+    }
+  });
+
+  it('should throw for DIDs without an active signing key', async () => {
+    await expect(web5did.signJws({ did: 'did:key:unknown', payload: 'Hello, world!' })).to.be.rejectedWith('No active signing key available for did:key:unknown');
+  });
+
+  it('should throw for keys that cannot sign', async () => {
+    const did = await createDid('jwk', { curve: 'X25519' });
+
+    await expect(web5did.signJws({ did: did.id, keyId: '#0', payload: 'Hello, world!' })).to.be.rejectedWith('Unsupported JWS signing curve: X25519');
+  });
+
+  it('should throw for malformed JWS', async () => {
+    await expect(web5did.verifyJws('not.a-jws')).to.be.rejectedWith('Malformed JWS');
+    await expect(web5did.verifyJws({ payload: 'e30', signatures: [] })).to.be.rejectedWith('Malformed JWS');
+  });
+});
@@ -0,0 +1,157 @@
+import chaiAsPromised from 'chai-as-promised';
+import chai, { expect } from 'chai';
+import { DataStream } from '@tbd54566975/dwn-sdk-js';
+
+import { Record } from '../../../src/dwn/models/record.js';
+import { Web5 } from '../../../src/web5.js';
+
+import { TestDataGenerator } from '../../test-utils/test-data-generator.js';
+
+chai.use(chaiAsPromised);
+
+describe('X25519Xsalsa20Poly1305', async () => {
+  let web5;
+
+  beforeEach(function () {
+    web5 = new Web5();
+  });
+
+  const createDid = async () => {
+    const did = await web5.did.create('key');
+    await web5.did.manager.set(did.id, did);
+    return did;
+  };
+
+  const webStreamFromBytes = (bytes, size) => new ReadableStream({
+    start(controller) {
+      for (let offset = 0; offset < bytes.length; offset += size) controller.enqueue(bytes.slice(offset, offset + size));
+      controller.close();
+    },
+  });
+
+  const webStreamToBytes = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return DataStream.concatenateArrayOfBytes(chunks);
+  };
+
+  describe('encryptStream() / decryptStream()', () => {
+    for (const length of [0, 1, 1000, 2000, 250_000]) {
+      it(`should round trip ${length} bytes through Node.js streams`, async () => {
+        const did = await createDid();
+        const payload = TestDataGenerator.randomBytes(length);
+
+        const encrypted = await web5.did.encryptStream({ did: did.id, stream: DataStream.fromBytes(payload), chunkSize: 1000 });
+        const ciphertext = await DataStream.toBytes(encrypted);
+        const decrypted = await web5.did.decryptStream({ did: did.id, stream: DataStream.fromBytes(ciphertext) });
+
+        expect(await DataStream.toBytes(decrypted)).to.deep.equal(payload);
+      });
+    }
+
+    it('should return web ReadableStreams for web ReadableStream input', async () => {
+      const did = await createDid();
+      const payload = TestDataGenerator.randomBytes(10_000);
+
+      const encrypted = await web5.did.encryptStream({ did: did.id, stream: webStreamFromBytes(payload, 777), chunkSize: 1024 });
+      expect(encrypted).to.be.instanceOf(ReadableStream);
+
+      const decrypted = await web5.did.decryptStream({ did: did.id, stream: webStreamFromBytes(await webStreamToBytes(encrypted), 333) });
+      expect(decrypted).to.be.instanceOf(ReadableStream);
+      expect(await webStreamToBytes(decrypted)).to.deep.equal(payload);
+    });
+
+    it('should encrypt the data of a Record', async () => {
+      const did = await createDid();
+      const record = new Record(undefined, { encodedData: 'SGVsbG8sIHdvcmxkIQ', descriptor: { dataFormat: 'text/plain' } });
+
+      const encrypted = await web5.did.encryptStream({ did: did.id, stream: await record.data.stream() });
+      const decrypted = await web5.did.decryptStream({ did: did.id, stream: encrypted });
+
+      expect(new TextDecoder().decode(await DataStream.toBytes(decrypted))).to.equal('Hello, world!');
+    });
+
+    it('should let every recipient decrypt a stream encrypted for several recipients', async () => {
+      const alice = await createDid();
+      const bob = await createDid();
+      const payload = TestDataGenerator.randomBytes(5000);
+
+      const encrypted = await web5.did.encryptStream({ recipients: [{ did: alice.id }, { did: bob.id }], stream: DataStream.fromBytes(payload), chunkSize: 1000 });
+      const ciphertext = await DataStream.toBytes(encrypted);
+
+      for (const did of [alice, bob]) {
+        const decrypted = await web5.did.decryptStream({ did: did.id, stream: DataStream.fromBytes(ciphertext) });
+        expect(await DataStream.toBytes(decrypted)).to.deep.equal(payload);
+      }
+    });
+
+    it('should throw before reading the chunks if no recipient key is held by the DID manager', async () => {
+      const recipient = await createDid();
+      const other = await createDid();
+
+      const encrypted = await web5.did.encryptStream({ did: recipient.id, stream: DataStream.fromBytes(TestDataGenerator.randomBytes(100)) });
+
+      await expect(web5.did.decryptStream({ did: other.id, stream: encrypted }))
+        .to.be.rejectedWith(`Encrypted payload has no recipient whose key is held in the DID manager for ${other.id}`);
+    });
+
+    it('should fail if a chunk was tampered with, reordered or dropped, or the stream was truncated', async () => {
+      const did = await createDid();
+      const encrypted = await web5.did.encryptStream({ did: did.id, stream: DataStream.fromBytes(TestDataGenerator.randomBytes(3000)), chunkSize: 1000 });
+      const ciphertext = await DataStream.toBytes(encrypted);
+
+      // Chunks of 1000 bytes are 1016 bytes encrypted, after the header.
+      const chunksStart = ciphertext.length - (3 * 1016);
+      const header = ciphertext.slice(0, chunksStart);
+      const chunks = [0, 1, 2].map(index => ciphertext.slice(chunksStart + (index * 1016), chunksStart + ((index + 1) * 1016)));
+
+      const tampered = ciphertext.slice();
+      tampered[chunksStart + 1500] ^= 1;
+
+      for (const bytes of [
+        tampered,
+        DataStream.concatenateArrayOfBytes([header, chunks[1], chunks[0], chunks[2]]),
+        DataStream.concatenateArrayOfBytes([header, chunks[0], chunks[2]]),
+        DataStream.concatenateArrayOfBytes([header, chunks[0], chunks[1]]),
+      ]) {
+        const decrypted = await web5.did.decryptStream({ did: did.id, stream: DataStream.fromBytes(bytes) });
+        await expect(DataStream.toBytes(decrypted)).to.be.rejectedWith('Decryption failed: the encrypted stream was tampered with or truncated');
+      }
+    });
+
+    it('should throw for streams whose header has an invalid chunk size', async () => {
+      const did = await createDid();
+      const encrypted = await web5.did.encryptStream({ did: did.id, stream: DataStream.fromBytes(TestDataGenerator.randomBytes(100)) });
+      const ciphertext = await DataStream.toBytes(encrypted);
+
+      // The header is a 4 byte length followed by JSON.
+      const headerLength = new DataView(ciphertext.buffer, ciphertext.byteOffset).getUint32(0);
+      const header = JSON.parse(new TextDecoder().decode(ciphertext.subarray(4, 4 + headerLength)));
+      const chunks = ciphertext.subarray(4 + headerLength);
+
+      for (const chunkSize of [0, -1, 1.5, '1000', 2 ** 32, undefined]) {
+        const tamperedHeader = new TextEncoder().encode(JSON.stringify({ ...header, chunkSize }));
+        const length = new Uint8Array(4);
+        new DataView(length.buffer).setUint32(0, tamperedHeader.length);
+        const bytes = DataStream.concatenateArrayOfBytes([length, tamperedHeader, chunks]);
+
+        await expect(web5.did.decryptStream({ did: did.id, stream: DataStream.fromBytes(bytes) }))
+          .to.be.rejectedWith('Malformed encrypted stream: invalid chunk size');
+      }
+    });
+
+    it('should throw for streams that are not encrypted', async () => {
+      const did = await createDid();
+
+      await expect(web5.did.decryptStream({ did: did.id, stream: DataStream.fromBytes(new TextEncoder().encode('Hello, world!')) }))
+        .to.be.rejectedWith('Malformed encrypted stream');
+    });
+
+    it('should throw for ciphers that do not support streams', async () => {
+      const did = await createDid();
+
+      await expect(web5.did.encryptStream({ did: did.id, algorithm: 'ecdh-es-a256kw', stream: DataStream.fromBytes(new Uint8Array(1)) }))
+        .to.be.rejectedWith('Cryptographic cipher ecdh-es-a256kw does not support streams');
+    });
+  });
+});
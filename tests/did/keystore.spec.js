@@ -0,0 +1,80 @@
+import chaiAsPromised from 'chai-as-promised';
+import chai, { expect } from 'chai';
+
+import { Keystore } from '../../src/did/keystore.js';
+import { MemoryStorage } from '../../src/storage/memory-storage.js';
+
+chai.use(chaiAsPromised);
+
+describe('Keystore', async () => {
+  let keystore, store;
+
+  beforeEach(async () => {
+    store = new MemoryStorage();
+    keystore = new Keystore({ store, iterations: 1000 });
+  });
+
+  it('should be locked until unlocked with a passphrase', async () => {
+    expect(keystore.locked).to.be.true;
+    await expect(keystore.set('did:key:abcd1234', { id: 'did:key:abcd1234' })).to.be.rejectedWith('Keystore is locked');
+
+    await keystore.unlock('correct horse battery staple');
+    expect(keystore.locked).to.be.false;
+  });
+
+  it('should store entries encrypted in the storage backend', async () => {
+    await keystore.unlock('correct horse battery staple');
+    await keystore.set('did:key:abcd1234', { keys: [{ keyPair: { privateKeyJwk: { d: 'secret' } } }] });
+
+    const sealed = await store.get('did:key:abcd1234');
+    expect(sealed).to.have.all.keys('ciphertext', 'nonce');
+    expect(JSON.stringify(sealed)).to.not.include('secret');
+
+    const value = await keystore.get('did:key:abcd1234');
+    expect(value.keys[0].keyPair.privateKeyJwk.d).to.equal('secret');
+  });
+
+  it('should return undefined for missing entries', async () => {
+    await keystore.unlock('correct horse battery staple');
+    expect(await keystore.get('did:key:missing')).to.be.undefined;
+  });
+
+  it('should refuse reads after `lock()`', async () => {
+    await keystore.unlock('correct horse battery staple');
+    await keystore.set('did:key:abcd1234', { id: 'did:key:abcd1234' });
+
+    keystore.lock();
+
+    expect(keystore.locked).to.be.true;
+    await expect(keystore.get('did:key:abcd1234')).to.be.rejectedWith('Keystore is locked');
+  });
+
+  it('should reopen an existing store with the same passphrase', async () => {
+    await keystore.unlock('correct horse battery staple');
+    await keystore.set('did:key:abcd1234', { id: 'did:key:abcd1234' });
+
+    const reopened = new Keystore({ store });
+    await reopened.unlock('correct horse battery staple');
+
+    expect(await reopened.get('did:key:abcd1234')).to.deep.equal({ id: 'did:key:abcd1234' });
+  });
+
+  it('should reject an incorrect passphrase', async () => {
+    await keystore.unlock('correct horse battery staple');
+
+    const reopened = new Keystore({ store });
+    await expect(reopened.unlock('wrong passphrase')).to.be.rejectedWith('incorrect passphrase');
+    expect(reopened.locked).to.be.true;
+  });
+
+  it('should keep the passphrase valid after `clear()`', async () => {
+    await keystore.unlock('correct horse battery staple');
+    await keystore.set('did:key:abcd1234', { id: 'did:key:abcd1234' });
+
+    await keystore.clear();
+
+    expect(await keystore.get('did:key:abcd1234')).to.be.undefined;
+    const reopened = new Keystore({ store });
+    await expect(reopened.unlock('correct horse battery staple')).to.be.fulfilled;
+  });
+});
@@ -1,8 +1,11 @@
-import { expect } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import chai, { expect } from 'chai';
 import sinon from 'sinon';
 
 import { Web5Did } from '../../src/did/web5-did.js';
 
+chai.use(chaiAsPromised);
+
 describe('DidManager', async () => {
   let web5did;
 
@@ -51,4 +54,132 @@ describe('DidManager', async () => {
     const resolved = await web5did.resolve(did);
     expect(resolved.keys).to.be.undefined;
   });
+
+  it('should list managed DIDs', async () => {
+    await web5did.manager.set('did:ion:abcd1234', { connected: true });
+    await web5did.manager.set('did:ion:efgh5678', { connected: false });
+
+    const dids = [];
+    for await (const did of web5did.manager.keys()) dids.push(did);
+
+    expect(dids).to.have.members(['did:ion:abcd1234', 'did:ion:efgh5678']);
+  });
+
+  describe('exportKey()', () => {
+    it('should export keys from records created by `did.create()`', async () => {
+      const did = await web5did.create('key');
+      await web5did.manager.set(did.id, did);
+
+      const keyPair = await web5did.manager.exportKey(did.id, did.keys[0].id);
+
+      expect(keyPair.privateKeyJwk).to.deep.equal(did.keys[0].keyPair.privateKeyJwk);
+    });
+
+    it('should export keys from records that hold keys by fragment', async () => {
+      const did = 'did:ion:abcd1234';
+      const keyPair = { publicJwk: { x: 'x' }, privateJwk: { x: 'x', d: 'd' } };
+      await web5did.manager.set(did, { keys: { '#dwn': { keyPair } } });
+
+      expect(await web5did.manager.exportKey(did, `${did}#dwn`)).to.deep.equal(keyPair);
+      expect(await web5did.manager.exportKey(did, 'dwn')).to.deep.equal(keyPair);
+    });
+
+    it('should not export keys referenced with the DID URL of another DID', async () => {
+      const keyPair = { publicJwk: { x: 'x' }, privateJwk: { x: 'x', d: 'd' } };
+      await web5did.manager.set('did:ion:abcd1234', { keys: { '#dwn': { keyPair } } });
+
+      await expect(web5did.manager.exportKey('did:ion:abcd1234', 'did:ion:efgh5678#dwn')).to.be.rejectedWith('Key not found');
+    });
+
+    it('should throw if the key is not held by the DID manager', async () => {
+      await expect(web5did.manager.exportKey('did:ion:abcd1234', '#dwn')).to.be.rejectedWith('Key not found');
+    });
+  });
+
+  describe('getSigningKey()', async () => {
+    const did = 'did:ion:abcd1234';
+    const keyPair = (name) => ({ publicJwk: { x: name }, privateJwk: { x: name, d: name } });
+
+    it('should return the first active authentication key by default', async () => {
+      await web5did.manager.set(did, { keys: [
+        { id: 'encryption', keyPair: keyPair('encryption'), purposes: ['keyAgreement'] },
+        { id: 'dwn', keyPair: keyPair('dwn'), purposes: ['authentication'], state: 'retired' },
+        { id: 'dwn-2', keyPair: keyPair('dwn-2'), purposes: ['authentication'], state: 'active' },
+      ] });
+
+      const signingKey = await web5did.manager.getSigningKey(did);
+
+      expect(signingKey.id).to.equal('dwn-2');
+    });
+
+    it('should return the requested key, unless it is retired', async () => {
+      await web5did.manager.set(did, { keys: [
+        { id: 'dwn', keyPair: keyPair('dwn'), purposes: ['authentication'], state: 'retired' },
+        { id: 'dwn-2', keyPair: keyPair('dwn-2'), purposes: ['authentication'] },
+        { id: 'assertion', keyPair: keyPair('assertion'), purposes: ['assertionMethod'] },
+      ] });
+
+      expect((await web5did.manager.getSigningKey(did, `${did}#assertion`)).id).to.equal('assertion');
+      expect(await web5did.manager.getSigningKey(did, '#dwn')).to.be.undefined;
+    });
+
+    it('should not return keys without a private key', async () => {
+      await web5did.manager.set(did, { keys: { '#dwn': { keyPair: { publicJwk: { x: 'dwn' } } } } });
+
+      expect(await web5did.manager.getSigningKey(did)).to.be.undefined;
+    });
+
+    it('should return keys held by fragment', async () => {
+      await web5did.manager.set(did, { keys: { '#dwn': { keyPair: keyPair('dwn') } } });
+
+      expect(await web5did.manager.getSigningKey(did)).to.deep.equal({ id: '#dwn', keyPair: keyPair('dwn') });
+    });
+  });
+});
+
+describe('DidManager with an encrypted keystore', async () => {
+  let web5did;
+
+  beforeEach(function () {
+    web5did = new Web5Did(undefined, { keystore: { iterations: 1000 } });
+  });
+
+  it('should require `unlock()` before managed DIDs can be read or written', async () => {
+    expect(web5did.manager.locked).to.be.true;
+    await expect(web5did.manager.set('did:ion:abcd1234', { connected: true })).to.be.rejectedWith('Keystore is locked');
+
+    await web5did.manager.unlock('passphrase');
+    await web5did.manager.set('did:ion:abcd1234', { connected: true });
+
+    expect(await web5did.resolve('did:ion:abcd1234')).to.deep.equal({ connected: true });
+  });
+
+  it('should refuse to resolve managed DIDs after `lock()`', async () => {
+    await web5did.manager.unlock('passphrase');
+    await web5did.manager.set('did:ion:abcd1234', { connected: true });
+
+    await web5did.manager.lock();
+
+    await expect(web5did.resolve('did:ion:abcd1234')).to.be.rejectedWith('Keystore is locked');
+  });
+
+  it('should list managed DIDs without exposing keystore metadata', async () => {
+    await web5did.manager.unlock('passphrase');
+    await web5did.manager.set('did:ion:abcd1234', { connected: true });
+
+    const entries = [];
+    for await (const entry of web5did.manager.entries()) entries.push(entry);
+
+    expect(entries).to.deep.equal([['did:ion:abcd1234', { connected: true }]]);
+  });
+
+  it('should throw on `unlock()` when not backed by a keystore', async () => {
+    const unencrypted = new Web5Did();
+    await expect(unencrypted.manager.unlock('passphrase')).to.be.rejectedWith('not backed by an encrypted keystore');
+  });
+
+  it('should report whether it is backed by a keystore', async () => {
+    expect(web5did.manager.hasKeystore).to.be.true;
+    expect(new Web5Did().manager.hasKeystore).to.be.false;
+  });
 });
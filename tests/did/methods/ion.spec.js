@@ -1,4 +1,6 @@
 import { expect } from 'chai';
+import { verify as verifyJws } from '@decentralized-identity/ion-tools';
+import { argon2id } from 'hash-wasm';
 import sinon from 'sinon';
 
 import { Web5Did } from '../../../src/did/web5-did.js';
@@ -111,7 +113,324 @@ describe('did:ion method', async () => {
       const resolved = await web5did.resolve(did);
       
       expect(resolved.didDocument).to.be.null;
-      expect(resolved.didResolutionMetadata.error).to.equal(`unable to resolve ${did}, got http status 404`);
+      expect(resolved.didResolutionMetadata.error).to.equal('notFound');
+      expect(resolved.didResolutionMetadata.errorMessage).to.equal(`unable to resolve ${did}, got http status 404`);
+    });
+  });
+
+  // Accepts every operation, so that it takes effect.
+  const node = { operationsEndpoint: 'https://ion.example.com/operations', fetch: async () => new Response('', { status: 200 }) };
+
+  describe('update() / recover() / deactivate()', async () => {
+    const dwnService = (node) => ({ id: 'dwn', type: 'DecentralizedWebNode', serviceEndpoint: { nodes: [node] } });
+    let did;
+
+    beforeEach(async () => {
+      did = await web5did.create('ion', { services: [dwnService('https://dwn1.example.com')] });
+      await web5did.manager.set(did.id, did);
+    });
+
+    it('should sign updates with the current update key and rotate it', async () => {
+      const [create] = did.methodData;
+
+      const { request } = await web5did.update('ion', { did: did.id, addServices: [dwnService('https://dwn2.example.com')], node });
+
+      expect(request.type).to.equal('update');
+      expect(request.delta.patches).to.deep.equal([{ action: 'add-services', services: [dwnService('https://dwn2.example.com')] }]);
+      expect(await verifyJws({ jws: request.signedData, publicJwk: create.update.publicJwk })).to.be.true;
+
+      const record = await web5did.manager.get(did.id);
+      expect(record.methodData).to.have.lengthOf(2);
+      expect(record.methodData[1].update.publicJwk).to.not.deep.equal(create.update.publicJwk);
+      expect(record.services).to.deep.equal([dwnService('https://dwn2.example.com')]);
+    });
+
+    it('should add and remove keys, keeping private keys in the managed record', async () => {
+      const firstUpdate = await web5did.update('ion', { did: did.id, removeServices: ['dwn'], node });
+      const newKey = { id: 'dwn-2', type: 'JsonWebKey2020', keyPair: (await web5did.create('ion')).keys[0].keyPair, purposes: ['authentication'] };
+
+      const { request } = await web5did.update('ion', { did: did.id, addPublicKeys: [newKey], removePublicKeys: ['dwn'], node });
+
+      expect(firstUpdate.request.delta.patches).to.deep.equal([{ action: 'remove-services', ids: ['dwn'] }]);
+      const [addPatch] = request.delta.patches;
+      expect(addPatch.publicKeys[0]).to.not.have.property('keyPair');
+      expect(addPatch.publicKeys[0].publicKeyJwk).to.deep.equal(newKey.keyPair.publicJwk);
+
+      const record = await web5did.manager.get(did.id);
+      expect(record.keys.map(key => key.id)).to.deep.equal(['dwn-2']);
+      expect(record.keys[0].keyPair).to.have.property('privateJwk');
+      expect(record.services).to.deep.equal([]);
+    });
+
+    it('should sign recoveries with the current recovery key and rotate both keys', async () => {
+      const [create] = did.methodData;
+
+      const { request } = await web5did.recover('ion', { did: did.id, services: [dwnService('https://dwn3.example.com')], node });
+
+      expect(request.type).to.equal('recover');
+      expect(await verifyJws({ jws: request.signedData, publicJwk: create.recovery.publicJwk })).to.be.true;
+      expect(request.delta.patches[0].action).to.equal('replace');
+      expect(request.delta.patches[0].document.services).to.deep.equal([dwnService('https://dwn3.example.com')]);
+
+      const { methodData: [, recovery] } = await web5did.manager.get(did.id);
+      expect(recovery.recovery.publicJwk).to.not.deep.equal(create.recovery.publicJwk);
+      expect(recovery.update.publicJwk).to.not.deep.equal(create.update.publicJwk);
+    });
+
+    it('should deactivate the DID and refuse further operations', async () => {
+      const { request } = await web5did.deactivate('ion', { did: did.id, node });
+
+      expect(request.type).to.equal('deactivate');
+      expect((await web5did.manager.get(did.id)).deactivated).to.be.true;
+      await expect(web5did.update('ion', { did: did.id, removeServices: ['dwn'], node })).to.be.rejectedWith('Cannot perform further operations on a deactivated DID');
+    });
+
+    it('should return the updated record without changing the managed record if the request is not submitted', async () => {
+      const { request, pendingRecord } = await web5did.update('ion', { did: did.id, removeServices: ['dwn'] });
+
+      expect(request.type).to.equal('update');
+      expect(pendingRecord.methodData).to.have.lengthOf(2);
+      expect(pendingRecord.services).to.deep.equal([]);
+      expect(await web5did.manager.get(did.id)).to.deep.equal(did);
+    });
+
+    it('should submit the signed request to the configured ION node', async () => {
+      const fetch = sinon.fake.resolves(new Response(JSON.stringify({ accepted: true }), { status: 200 }));
+
+      const { request, response } = await web5did.update('ion', {
+        did: did.id,
+        removeServices: ['dwn'],
+        node: { operationsEndpoint: 'https://ion.example.com/operations', fetch },
+      });
+
+      const [url, init] = fetch.firstCall.args;
+      expect(url).to.equal('https://ion.example.com/operations');
+      expect(init.method).to.equal('POST');
+      expect(JSON.parse(init.body)).to.deep.equal(request);
+      expect(response).to.deep.equal({ status: 200, body: { accepted: true } });
+    });
+
+    it('should throw when the ION node rejects the request, without changing the managed record', async () => {
+      const fetch = sinon.fake.resolves(new Response('invalid signature', { status: 400 }));
+
+      await expect(web5did.update('ion', {
+        did: did.id,
+        removeServices: ['dwn'],
+        node: { operationsEndpoint: 'https://ion.example.com/operations', fetch },
+      })).to.be.rejectedWith('ION node rejected the operation, got http status 400: invalid signature');
+
+      expect((await web5did.manager.get(did.id)).methodData).to.have.lengthOf(1);
+    });
+
+    it('should throw for DIDs that are not managed', async () => {
+      await expect(web5did.update('ion', { did: 'did:ion:unknown', removeServices: ['dwn'] })).to.be.rejectedWith('DID is not managed: did:ion:unknown');
+    });
+
+    it('should not be supported by methods without lifecycle operations', async () => {
+      const keyDid = await web5did.create('key');
+      await web5did.manager.set(keyDid.id, keyDid);
+
+      await expect(web5did.update('key', { did: keyDid.id })).to.be.rejectedWith('DID method key does not support update()');
+    });
+  });
+
+  describe('publish() / anchoringStatus()', async () => {
+    const dwnService = { id: 'dwn', type: 'DecentralizedWebNode', serviceEndpoint: { nodes: ['https://dwn.example.com'] } };
+
+    /**
+     * Stub ION node that checks proof-of-work answers, and resolves the DIDs in `anchored` plus any long-form DID.
+     * Like ION nodes, it resolves the long form of anchored DIDs to their anchored state.
+     */
+    function stubIonNode() {
+      const stub = {
+        anchored: new Map(),
+        operations: [],
+        node: {
+          operationsEndpoint: 'https://ion.example.com/operations',
+          challengeEndpoint: 'https://ion.example.com/proof-of-work-challenge',
+          resolutionEndpoint: 'https://ion.example.com/identifiers',
+        },
+      };
+      const challenge = { challengeNonce: 'a1b2c3d4e5f60718', largestAllowedHash: '7'.padEnd(64, 'f'), validDurationInMinutes: 10 };
+
+      stub.node.fetch = sinon.fake(async (url, init = { }) => {
+        if (url === stub.node.challengeEndpoint) return new Response(JSON.stringify(challenge));
+
+        if (url === stub.node.operationsEndpoint) {
+          const hash = await argon2id({
+            password: Buffer.from(init.headers['Answer-Nonce'], 'hex').toString() + init.body,
+            salt: Buffer.from(init.headers['Challenge-Nonce'], 'hex'),
+            parallelism: 1, iterations: 1, memorySize: 1000, hashLength: 32, outputType: 'hex',
+          });
+          if (hash > challenge.largestAllowedHash) return new Response('invalid proof of work', { status: 400 });
+          stub.operations.push(JSON.parse(init.body));
+          return new Response('', { status: 200 });
+        }
+
+        const did = url.slice(`${stub.node.resolutionEndpoint}/`.length);
+        const shortForm = did.split(':').slice(0, 3).join(':');
+        if (stub.anchored.has(shortForm)) {
+          const { didDocument, didDocumentMetadata } = stub.anchored.get(shortForm);
+          return new Response(JSON.stringify({ didDocument: { ...didDocument, id: did }, didDocumentMetadata }));
+        }
+        if (did !== shortForm) {
+          return new Response(JSON.stringify({ didDocument: { id: did }, didDocumentMetadata: { method: { published: false } } }));
+        }
+        return new Response('not found', { status: 404 });
+      });
+
+      stub.anchor = (record) => stub.anchored.set(record.internalId, {
+        didDocument: { id: record.internalId, service: [{ ...dwnService, id: '#dwn' }] },
+        didDocumentMetadata: { method: { published: true } },
+      });
+
+      return stub;
+    }
+
+    let did;
+    let stub;
+
+    beforeEach(async () => {
+      stub = stubIonNode();
+      did = await web5did.create('ion', { services: [dwnService] });
+      await web5did.manager.set(did.id, did);
+    });
+
+    it('should submit the create operation with a solved proof-of-work challenge', async () => {
+      const { request, response } = await web5did.publish('ion', { did: did.id, node: stub.node });
+
+      expect(request.type).to.equal('create');
+      expect(request.delta.patches[0].document.services).to.deep.equal([dwnService]);
+      expect(stub.operations).to.deep.equal([request]);
+      expect(response.status).to.equal(200);
+
+      const { anchoring } = await web5did.manager.get(did.id);
+      expect(anchoring.status).to.equal('pending');
+      expect(anchoring.submittedAt).to.be.a('string');
+    });
+
+    it('should submit without a challenge to nodes that do not require proof of work', async () => {
+      const fetch = sinon.fake.resolves(new Response('', { status: 200 }));
+
+      await web5did.publish('ion', { did: did.id, node: { operationsEndpoint: 'https://ion.example.com/operations', fetch } });
+
+      expect(fetch.calledOnce).to.be.true;
+      expect(fetch.firstCall.args[1].headers).to.deep.equal({ 'Content-Type': 'application/json' });
+    });
+
+    it('should throw if the proof-of-work challenge is malformed', async () => {
+      const fetch = sinon.fake(async () => new Response(JSON.stringify({ challengeNonce: 'a1b2c3d4e5f60718', largestAllowedHash: '7'.padEnd(64, 'f') })));
+      const node = { ...stub.node, fetch };
+
+      await expect(web5did.publish('ion', { did: did.id, node })).to.be.rejectedWith('ION node proof-of-work challenge is malformed');
+      expect(fetch.calledOnce).to.be.true;
+    });
+
+    it('should publish when created with the publish option', async () => {
+      const record = await web5did.create('ion', { publish: true, node: stub.node });
+
+      expect(record.anchoring.status).to.equal('pending');
+      expect(stub.operations).to.have.lengthOf(1);
+      expect(stub.operations[0].type).to.equal('create');
+      expect(record.internalId).to.equal(`did:ion:${record.id.split(':')[2]}`);
+    });
+
+    it('should report anchoring once the short-form DID resolves on the node', async () => {
+      await web5did.publish('ion', { did: did.id, node: stub.node });
+
+      expect(await web5did.anchoringStatus('ion', { did: did.id, node: stub.node })).to.include({ status: 'pending' });
+
+      stub.anchor(did);
+      const anchoring = await web5did.anchoringStatus('ion', { did: did.id, node: stub.node });
+
+      expect(anchoring.status).to.equal('anchored');
+      expect(anchoring.anchoredAt).to.be.a('string');
+      expect((await web5did.manager.get(did.id)).anchoring).to.deep.equal(anchoring);
+    });
+
+    it('should throw when checking the anchoring of a DID that was not published', async () => {
+      await expect(web5did.anchoringStatus('ion', { did: did.id, node: stub.node })).to.be.rejectedWith(`DID has not been published: ${did.id}`);
+    });
+
+    it('should resolve long-form DIDs to their anchored state once anchored', async () => {
+      const resolver = new Web5Did();
+
+      const initial = await resolver.resolve(did.id, { node: stub.node });
+      expect(initial.didDocumentMetadata.method.published).to.be.false;
+
+      stub.anchor(did);
+      const anchored = await resolver.resolve(did.id, { node: stub.node });
+
+      expect(anchored.didDocument.id).to.equal(did.id);
+      expect(anchored.didDocument.service).to.deep.equal([{ ...dwnService, id: '#dwn' }]);
+      expect(anchored.didDocumentMetadata).to.deep.include({ canonicalId: did.internalId, equivalentId: [did.internalId] });
+      expect(anchored.didDocumentMetadata.method.published).to.be.true;
+    });
+
+    it('should resolve long-form DIDs with a single request to the node', async () => {
+      stub.anchor(did);
+      await new Web5Did().resolve(did.id, { node: stub.node });
+
+      expect(stub.node.fetch.calledOnceWith(`${stub.node.resolutionEndpoint}/${did.id}`)).to.be.true;
+    });
+  });
+
+  describe('rotateKey()', async () => {
+    let did;
+
+    beforeEach(async () => {
+      did = await web5did.create('ion');
+      await web5did.manager.set(did.id, did);
+    });
+
+    it('should add a new active key to the DID document and retire the current key', async () => {
+      const { keyId, request } = await web5did.rotateKey(did.id, { purpose: 'authentication', node });
+
+      expect(keyId).to.equal('dwn-2');
+      const [addPatch] = request.delta.patches;
+      expect(addPatch.action).to.equal('add-public-keys');
+      expect(addPatch.publicKeys[0]).to.include({ id: 'dwn-2', type: 'JsonWebKey2020' });
+      expect(addPatch.publicKeys[0].purposes).to.deep.equal(['authentication']);
+
+      const { keys } = await web5did.manager.get(did.id);
+      expect(keys.map(({ id, state }) => ({ id, state }))).to.deep.equal([
+        { id: 'dwn', state: 'retired' },
+        { id: 'dwn-2', state: 'active' },
+      ]);
+      expect(keys[0].keyPair).to.deep.equal(did.keys[0].keyPair);
+      expect(keys[0].retiredAt).to.be.a('string');
+      expect((await web5did.manager.getSigningKey(did.id)).id).to.equal('dwn-2');
+    });
+
+    it('should number keys after the key they replace', async () => {
+      await web5did.rotateKey(did.id, { node });
+      const { keyId } = await web5did.rotateKey(did.id, { node });
+
+      expect(keyId).to.equal('dwn-3');
+      const { keys } = await web5did.manager.get(did.id);
+      expect(keys.filter(key => key.state === 'retired').map(key => key.id)).to.deep.equal(['dwn', 'dwn-2']);
+    });
+
+    it('should only publish the Sidetree fields of retired keys when recovering', async () => {
+      await web5did.rotateKey(did.id, { node });
+      const { request } = await web5did.recover('ion', { did: did.id, node });
+
+      const [replacePatch] = request.delta.patches;
+      expect(replacePatch.document.publicKeys.map(key => Object.keys(key).sort())).to.deep.equal([
+        ['id', 'publicKeyJwk', 'purposes', 'type'],
+        ['id', 'publicKeyJwk', 'purposes', 'type'],
+      ]);
+    });
+
+    it('should throw if the DID has no active key with the purpose', async () => {
+      await expect(web5did.rotateKey(did.id, { purpose: 'keyAgreement' })).to.be.rejectedWith(`DID has no active keyAgreement key: ${did.id}`);
+    });
+
+    it('should not be supported by methods whose DID documents cannot be updated', async () => {
+      const keyDid = await web5did.create('key');
+      await web5did.manager.set(keyDid.id, keyDid);
+
+      await expect(web5did.rotateKey(keyDid.id)).to.be.rejectedWith('DID method key does not support rotateKey()');
     });
   });
 });
@@ -0,0 +1,128 @@
+import { expect } from 'chai';
+import { Encoder } from '@tbd54566975/dwn-sdk-js';
+
+import { Web5Did } from '../../../src/did/web5-did.js';
+
+describe('did:jwk method', async () => {
+  let web5did;
+
+  beforeEach(function () {
+    web5did = new Web5Did();
+  });
+
+  describe('create()', async () => {
+    it('should create an Ed25519 DID by default', async () => {
+      const did = await web5did.create('jwk');
+
+      expect(did.id).to.match(/^did:jwk:[A-Za-z0-9_-]+$/);
+      expect(did.keys).to.have.lengthOf(1);
+      expect(did.keys[0].id).to.equal(`${did.id}#0`);
+      expect(did.keys[0].keyPair.publicKeyJwk).to.include({ kty: 'OKP', crv: 'Ed25519' });
+      expect(did.keys[0].keyPair.privateKeyJwk).to.have.property('d');
+    });
+
+    for (const curve of ['X25519', 'secp256k1', 'P-256']) {
+      it(`should create a ${curve} DID`, async () => {
+        const did = await web5did.create('jwk', { curve });
+
+        expect(did.keys[0].keyPair.publicKeyJwk).to.have.property('crv', curve);
+      });
+    }
+
+    it('should encode the public JWK with lexicographically ordered members', async () => {
+      const did = await web5did.create('jwk', { curve: 'P-256' });
+
+      const encoded = Encoder.base64UrlToBytes(did.id.split(':')[2]);
+      const json = Encoder.bytesToString(encoded);
+      const { crv, kty, x, y } = did.keys[0].keyPair.publicKeyJwk;
+      expect(json).to.equal(JSON.stringify({ crv, kty, x, y }));
+    });
+
+    it('should import an existing private key and derive the same DID each time', async () => {
+      const { keys: [key] } = await web5did.create('jwk', { curve: 'secp256k1' });
+      const privateKeyJwk = { ...key.keyPair.privateKeyJwk, kid: 'ignored', alg: 'ES256K' };
+
+      const first = await web5did.create('jwk', { privateKeyJwk });
+      const second = await web5did.create('jwk', { privateKeyJwk });
+
+      expect(first.id).to.equal(second.id);
+      expect(first.keys[0].keyPair.privateKeyJwk.d).to.equal(key.keyPair.privateKeyJwk.d);
+      expect(first.keys[0].keyPair.publicKeyJwk).to.not.have.property('kid');
+    });
+
+    it('should create a DID from a public key alone', async () => {
+      const { keys: [key] } = await web5did.create('jwk');
+
+      const did = await web5did.create('jwk', { publicKeyJwk: key.keyPair.publicKeyJwk });
+
+      expect(did.keys[0].keyPair).to.not.have.property('privateKeyJwk');
+    });
+
+    it('should throw for unsupported curves', async () => {
+      await expect(web5did.create('jwk', { curve: 'Ed448' })).to.be.rejectedWith('Unsupported cryptographic curve');
+    });
+  });
+
+  describe('resolve()', async () => {
+    it('should resolve an Ed25519 DID with signing relationships only', async () => {
+      const did = await web5did.create('jwk');
+
+      const { didDocument } = await web5did.resolve(did.id);
+
+      expect(didDocument.id).to.equal(did.id);
+      expect(didDocument.verificationMethod[0]).to.deep.include({
+        id: `${did.id}#0`,
+        type: 'JsonWebKey2020',
+        controller: did.id,
+        publicKeyJwk: did.keys[0].keyPair.publicKeyJwk,
+      });
+      expect(didDocument.authentication).to.deep.equal([`${did.id}#0`]);
+      expect(didDocument.assertionMethod).to.deep.equal([`${did.id}#0`]);
+      expect(didDocument).to.not.have.property('keyAgreement');
+    });
+
+    it('should resolve an X25519 DID with key agreement only', async () => {
+      const did = await web5did.create('jwk', { curve: 'X25519' });
+
+      const { didDocument } = await web5did.resolve(did.id);
+
+      expect(didDocument.keyAgreement).to.deep.equal([`${did.id}#0`]);
+      expect(didDocument).to.not.have.property('authentication');
+    });
+
+    it('should resolve an EC DID with both relationships unless restricted by use', async () => {
+      const both = await web5did.create('jwk', { curve: 'P-256' });
+      const signingOnly = await web5did.create('jwk', { curve: 'P-256', use: 'sig' });
+
+      const { didDocument: bothDocument } = await web5did.resolve(both.id);
+      const { didDocument: signingDocument } = await web5did.resolve(signingOnly.id);
+
+      expect(bothDocument).to.include.keys('authentication', 'keyAgreement');
+      expect(signingDocument).to.include.keys('authentication');
+      expect(signingDocument).to.not.have.property('keyAgreement');
+    });
+
+    it('should return invalidDid for identifiers that do not decode to a public JWK', async () => {
+      const result = await web5did.resolve('did:jwk:not-a-jwk');
+
+      expect(result.didDocument).to.be.null;
+      expect(result.didResolutionMetadata.error).to.equal('invalidDid');
+    });
+  });
+
+  describe('sign() / verify()', async () => {
+    for (const curve of ['Ed25519', 'secp256k1', 'P-256']) {
+      it(`should verify ${curve} signatures with the resolved key`, async () => {
+        const did = await web5did.create('jwk', { curve });
+        const data = Encoder.stringToBytes('hello did:jwk');
+
+        const signature = await web5did.sign('jwk', { data, privateKeyJwk: did.keys[0].keyPair.privateKeyJwk });
+        const { didDocument } = await web5did.resolve(did.id);
+        const { publicKeyJwk } = didDocument.verificationMethod[0];
+
+        expect(await web5did.verify('jwk', { data, signature, publicKeyJwk })).to.be.true;
+        expect(await web5did.verify('jwk', { data: Encoder.stringToBytes('tampered'), signature, publicKeyJwk })).to.be.false;
+      });
+    }
+  });
+});
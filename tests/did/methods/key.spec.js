@@ -1,5 +1,9 @@
 import { expect } from 'chai';
 import sinon from 'sinon';
+import { p256 } from '@noble/curves/p256';
+import { secp256k1 } from '@noble/curves/secp256k1';
+import { sha256 } from '@noble/hashes/sha256';
+import { Encoder } from '@tbd54566975/dwn-sdk-js';
 
 import { Web5Did } from '../../../src/did/web5-did.js';
 import * as didDocuments from '../../fixtures/did-documents.js';
@@ -42,6 +46,25 @@ describe('did:key method', async () => {
       const did = await web5did.create('key');
       expect(did.keys[1].keyPair.publicKeyJwk.crv).to.equal('X25519');
     });
+
+    it('should return a single secp256k1 key with the secp256k1-pub multicodec prefix', async () => {
+      const did = await web5did.create('key', { curve: 'secp256k1' });
+      expect(did.id).to.match(/^did:key:zQ3s/);
+      expect(did.keys).to.have.lengthOf(1);
+      expect(did.keys[0].id).to.equal(`${did.id}#${did.id.split(':')[2]}`);
+      expect(did.keys[0].keyPair.privateKeyJwk).to.include({ kty: 'EC', crv: 'secp256k1' });
+    });
+
+    it('should return a single P-256 key with the p256-pub multicodec prefix', async () => {
+      const did = await web5did.create('key', { curve: 'P-256' });
+      expect(did.id).to.match(/^did:key:zDna/);
+      expect(did.keys).to.have.lengthOf(1);
+      expect(did.keys[0].keyPair.privateKeyJwk).to.include({ kty: 'EC', crv: 'P-256' });
+    });
+
+    it('should throw for unsupported curves', async () => {
+      await expect(web5did.create('key', { curve: 'Ed448' })).to.be.rejectedWith('Unsupported cryptographic curve: Ed448');
+    });
   });
 
   describe('getDidDocument()', async () => {
@@ -73,13 +96,81 @@ describe('did:key method', async () => {
       expect(resolved.didDocument).to.have.property('id', did);
     });
 
-    it('should return undefined didDocument for an invalid DID', async () => {
+    for (const [curve, did] of [
+      ['secp256k1', 'did:key:zQ3shokFTS3brHcDQrn82RUDfCZESWL1ZdCEJwekUDPQiYBme'],
+      ['P-256', 'did:key:zDnaerDaTF5BXEavCrfRZEk316dpbLsfPDZ3WJ5hRTPFU2169'],
+    ]) {
+      it(`should resolve a ${curve} DID to a JsonWebKey2020 verification method`, async () => {
+        const resolved = await web5did.resolve(did);
+
+        const [verificationMethod] = resolved.didDocument.verificationMethod;
+        expect(verificationMethod.id).to.equal(`${did}#${did.split(':')[2]}`);
+        expect(verificationMethod.publicKeyJwk).to.include({ kty: 'EC', crv: curve });
+        expect(verificationMethod.publicKeyJwk).to.have.keys('kty', 'crv', 'x', 'y');
+        expect(resolved.didDocument.authentication).to.deep.equal([verificationMethod.id]);
+      });
+    }
+
+    it('should resolve created EC DIDs to the generated public key', async () => {
+      const did = await web5did.create('key', { curve: 'P-256' });
+      web5did = new Web5Did();
+
+      const [{ publicKeyJwk }] = (await web5did.resolve(did.id)).didDocument.verificationMethod;
+
+      expect(publicKeyJwk.x).to.equal(did.keys[0].keyPair.publicKeyJwk.x);
+      expect(publicKeyJwk.y).to.equal(did.keys[0].keyPair.publicKeyJwk.y);
+    });
+
+    it('should return null didDocument for an invalid DID', async () => {
       const did = 'did:key:invalid';
   
       const resolved = await web5did.resolve(did);
       
-      expect(resolved.didDocument).to.be.undefined;
+      expect(resolved.didDocument).to.be.null;
       expect(resolved.didResolutionMetadata.error).to.equal('invalidDid');
     });
   });
+
+  describe('sign() / verify()', async () => {
+    const data = Encoder.stringToBytes('hello did:key');
+
+    it('should verify Ed25519 signatures', async () => {
+      const did = await web5did.create('key');
+      const signature = await web5did.sign('key', { data, privateKeyJwk: did.keys[0].keyPair.privateKeyJwk });
+
+      expect(await web5did.verify('key', { data, signature, publicKeyJwk: did.keys[0].keyPair.publicKeyJwk })).to.be.true;
+    });
+
+    for (const [curve, noble] of [['secp256k1', secp256k1], ['P-256', p256]]) {
+      it(`should produce low-S ${curve} signatures that verify`, async () => {
+        const did = await web5did.create('key', { curve });
+        const { privateKeyJwk, publicKeyJwk } = did.keys[0].keyPair;
+
+        const signature = await web5did.sign('key', { data, privateKeyJwk });
+
+        expect(signature).to.have.lengthOf(64);
+        expect(noble.Signature.fromCompact(signature).hasHighS()).to.be.false;
+        expect(await web5did.verify('key', { data, signature, publicKeyJwk })).to.be.true;
+        expect(await web5did.verify('key', { data: Encoder.stringToBytes('tampered'), signature, publicKeyJwk })).to.be.false;
+      });
+
+      it(`should verify high-S ${curve} signatures after normalizing them`, async () => {
+        const did = await web5did.create('key', { curve });
+        const { privateKeyJwk, publicKeyJwk } = did.keys[0].keyPair;
+        const lowS = noble.sign(sha256(data), Encoder.base64UrlToBytes(privateKeyJwk.d), { lowS: true });
+        const highS = new noble.Signature(lowS.r, noble.CURVE.n - lowS.s);
+
+        const verified = await web5did.verify('key', { data, signature: highS.toCompactRawBytes(), publicKeyJwk });
+
+        expect(verified).to.be.true;
+      });
+    }
+
+    it('should return false for malformed EC signatures', async () => {
+      const did = await web5did.create('key', { curve: 'P-256' });
+      const signature = new Uint8Array(64);
+
+      expect(await web5did.verify('key', { data, signature, publicKeyJwk: did.keys[0].keyPair.publicKeyJwk })).to.be.false;
+    });
+  });
 });
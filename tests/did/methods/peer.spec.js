@@ -0,0 +1,123 @@
+import { expect } from 'chai';
+import { Encoder } from '@tbd54566975/dwn-sdk-js';
+
+import { Web5Did } from '../../../src/did/web5-did.js';
+import { findVerificationMethods } from '../../../src/did/utils.js';
+
+const dwnService = {
+  id: 'dwn',
+  type: 'DecentralizedWebNode',
+  serviceEndpoint: { nodes: ['https://dwn.example.com'] },
+};
+
+describe('did:peer method', async () => {
+  let web5did;
+
+  beforeEach(function () {
+    web5did = new Web5Did();
+  });
+
+  describe('numalgo 0', async () => {
+    it('should create a DID from a single Ed25519 inception key', async () => {
+      const did = await web5did.create('peer', { numalgo: 0 });
+
+      expect(did.id).to.match(/^did:peer:0z6Mk/);
+      expect(did.keys).to.have.lengthOf(2);
+      expect(did.keys[0].keyPair.privateKeyJwk).to.include({ crv: 'Ed25519' });
+      expect(did.keys[1].keyPair.privateKeyJwk).to.include({ crv: 'X25519' });
+    });
+
+    it('should resolve to a DID document with signing and key agreement keys', async () => {
+      const did = await web5did.create('peer', { numalgo: 0 });
+
+      const { didDocument } = await web5did.resolve(did.id);
+
+      expect(didDocument.id).to.equal(did.id);
+      expect(didDocument.authentication).to.deep.equal([did.keys[0].id]);
+      expect(didDocument.keyAgreement).to.deep.equal([did.keys[1].id]);
+    });
+
+    it('should reject services', async () => {
+      await expect(web5did.create('peer', { numalgo: 0, services: [dwnService] })).to.be.rejectedWith('does not support services');
+    });
+  });
+
+  describe('numalgo 2', async () => {
+    it('should create a DID with authentication, key agreement and service elements', async () => {
+      const did = await web5did.create('peer', { services: [dwnService] });
+
+      const elements = did.id.split(':')[2].split('.');
+      expect(elements[0]).to.equal('2');
+      expect(elements[1]).to.match(/^Vz6Mk/);
+      expect(elements[2]).to.match(/^Ez6LS/);
+      expect(elements[3]).to.match(/^S/);
+      expect(did.keys.map(key => key.id)).to.deep.equal([`${did.id}#key-1`, `${did.id}#key-2`]);
+    });
+
+    it('should abbreviate service members in the identifier', async () => {
+      const did = await web5did.create('peer', { services: [{ type: 'DIDCommMessaging', serviceEndpoint: 'https://example.com/didcomm' }] });
+
+      const encodedService = did.id.split('.').pop().slice(1);
+      expect(Encoder.base64UrlToObject(encodedService)).to.deep.equal({ t: 'dm', s: 'https://example.com/didcomm' });
+
+      const [service] = await web5did.getServices(did.id);
+      expect(service).to.deep.equal({ id: `${did.id}#service`, type: 'DIDCommMessaging', serviceEndpoint: 'https://example.com/didcomm' });
+    });
+
+    it('should resolve DecentralizedWebNode services usable to send messages', async () => {
+      const did = await web5did.create('peer', { services: [dwnService] });
+
+      const [service] = await web5did.getServices(did.id, { type: 'DecentralizedWebNode' });
+
+      expect(service.id).to.equal(`${did.id}#dwn`);
+      expect(service.serviceEndpoint.nodes).to.deep.equal(['https://dwn.example.com']);
+    });
+
+    it('should create a DID from the given keys', async () => {
+      const { keys: [signingKey] } = await web5did.create('jwk');
+
+      const did = await web5did.create('peer', {
+        keys: [
+          { purpose: 'assertionMethod', keyPair: signingKey.keyPair },
+          { purpose: 'capabilityInvocation', keyPair: signingKey.keyPair },
+        ],
+      });
+
+      const { didDocument } = await web5did.resolve(did.id);
+      expect(didDocument.assertionMethod).to.deep.equal([`${did.id}#key-1`]);
+      expect(didDocument.capabilityInvocation).to.deep.equal([`${did.id}#key-2`]);
+      expect(didDocument.verificationMethod[0].publicKeyJwk.x).to.equal(signingKey.keyPair.publicKeyJwk.x);
+    });
+
+    it('should be searchable with findVerificationMethods', async () => {
+      const did = await web5did.create('peer');
+      const { didDocument } = await web5did.resolve(did.id);
+
+      const [authenticationKey] = findVerificationMethods({ didDocument, purpose: 'authentication' });
+      const [keyAgreementKey] = findVerificationMethods({ didDocument, methodId: `${did.id}#key-2` });
+
+      expect(authenticationKey.publicKeyJwk.x).to.equal(did.keys[0].keyPair.publicKeyJwk.x);
+      expect(keyAgreementKey.publicKeyJwk.crv).to.equal('X25519');
+    });
+
+    it('should sign with the created authentication key', async () => {
+      const did = await web5did.create('peer');
+      const data = Encoder.stringToBytes('hello did:peer');
+
+      const signature = await web5did.sign('peer', { data, privateKeyJwk: did.keys[0].keyPair.privateKeyJwk });
+      const [{ publicKeyJwk }] = await web5did.getKeys(did.id, { purpose: 'authentication' });
+
+      expect(await web5did.verify('peer', { data, signature, publicKeyJwk })).to.be.true;
+    });
+  });
+
+  describe('resolve()', async () => {
+    it('should return invalidDid for malformed or unsupported DIDs', async () => {
+      for (const did of ['did:peer:1zQmZ', 'did:peer:2', 'did:peer:2.Xz6Mk', 'did:peer:0notbase58!']) {
+        const result = await web5did.resolve(did);
+        expect(result.didDocument, did).to.be.null;
+        expect(result.didResolutionMetadata.error, did).to.equal('invalidDid');
+      }
+    });
+  });
+});
@@ -0,0 +1,158 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+import { Web5Did } from '../../../src/did/web5-did.js';
+
+/**
+ * Stand-in for an HTTPS server hosting DID documents, keyed by URL.
+ */
+function createFetchStub(documents) {
+  return sinon.fake(async (url) => {
+    const didDocument = documents[url];
+    if (!didDocument) return new Response('Not Found', { status: 404 });
+    return new Response(JSON.stringify(didDocument), { status: 200, headers: { 'Content-Type': 'application/did+json' } });
+  });
+}
+
+describe('did:web method', async () => {
+  let web5did;
+
+  beforeEach(function () {
+    web5did = new Web5Did();
+  });
+
+  describe('create()', async () => {
+    it('should create a DID for the domain root', async () => {
+      const did = await web5did.create('web', { domain: 'example.com' });
+
+      expect(did.id).to.equal('did:web:example.com');
+      expect(did.didDocumentUrl).to.equal('https://example.com/.well-known/did.json');
+      expect(did.didDocument).to.have.property('id', did.id);
+    });
+
+    it('should percent-encode ports and map paths to colon-separated segments', async () => {
+      const did = await web5did.create('web', { domain: 'localhost:8443', path: 'user/alice' });
+
+      expect(did.id).to.equal('did:web:localhost%3A8443:user:alice');
+      expect(did.didDocumentUrl).to.equal('https://localhost:8443/user/alice/did.json');
+    });
+
+    it('should return Ed25519 and X25519 keys with private key material', async () => {
+      const did = await web5did.create('web', { domain: 'example.com' });
+
+      expect(did.keys).to.have.lengthOf(2);
+      expect(did.keys[0].id).to.equal('did:web:example.com#dwn');
+      expect(did.keys[0].keyPair.privateKeyJwk.crv).to.equal('Ed25519');
+      expect(did.keys[1].keyPair.privateKeyJwk.crv).to.equal('X25519');
+    });
+
+    it('should only publish public keys in the DID document', async () => {
+      const did = await web5did.create('web', { domain: 'example.com' });
+
+      expect(did.didDocument.verificationMethod).to.have.lengthOf(2);
+      did.didDocument.verificationMethod.forEach(method => {
+        expect(method.publicKeyJwk).to.not.have.property('d');
+      });
+      expect(did.didDocument.authentication).to.deep.equal([did.keys[0].id]);
+      expect(did.didDocument.keyAgreement).to.deep.equal([did.keys[1].id]);
+    });
+
+    it('should include services with fully qualified IDs', async () => {
+      const did = await web5did.create('web', {
+        domain  : 'example.com',
+        services: [{ id: 'dwn', type: 'DecentralizedWebNode', serviceEndpoint: { nodes: ['https://dwn.example.com'] } }],
+      });
+
+      expect(did.didDocument.service).to.deep.equal([
+        { id: 'did:web:example.com#dwn', type: 'DecentralizedWebNode', serviceEndpoint: { nodes: ['https://dwn.example.com'] } },
+      ]);
+    });
+
+    it('should throw if domain is missing', async () => {
+      try {
+        await web5did.create('web');
+        expect.fail();
+      } catch (error) {
+        expect(error.message).to.equal('did:web requires a domain');
+      }
+    });
+  });
+
+  describe('resolve()', async () => {
+    let created;
+
+    beforeEach(async () => {
+      created = await web5did.create('web', {
+        domain  : 'example.com',
+        path    : 'user/alice',
+        services: [{ id: 'dwn', type: 'DecentralizedWebNode', serviceEndpoint: { nodes: ['https://dwn.example.com'] } }],
+      });
+    });
+
+    it('should fetch the DID document from the path-based URL', async () => {
+      const fetch = createFetchStub({ [created.didDocumentUrl]: created.didDocument });
+
+      const resolved = await web5did.resolve(created.id, { fetch });
+
+      expect(fetch.calledOnceWith('https://example.com/user/alice/did.json')).to.be.true;
+      expect(resolved['@context']).to.equal('https://w3id.org/did-resolution/v1');
+      expect(resolved.didDocument).to.deep.equal(created.didDocument);
+    });
+
+    it('should fetch the DID document from /.well-known for domain-only DIDs', async () => {
+      const rootDid = await web5did.create('web', { domain: 'example.com' });
+      const fetch = createFetchStub({ 'https://example.com/.well-known/did.json': rootDid.didDocument });
+
+      const resolved = await web5did.resolve(rootDid.id, { fetch });
+
+      expect(resolved.didDocument).to.have.property('id', 'did:web:example.com');
+    });
+
+    it('should return notFound when the DID document is not hosted', async () => {
+      const fetch = createFetchStub({ });
+
+      const resolved = await web5did.resolve(created.id, { fetch });
+
+      expect(resolved.didDocument).to.be.null;
+      expect(resolved.didResolutionMetadata.error).to.equal('notFound');
+    });
+
+    it('should return invalidDidDocument when the hosted document is for another DID', async () => {
+      const fetch = createFetchStub({ [created.didDocumentUrl]: { ...created.didDocument, id: 'did:web:attacker.com' } });
+
+      const resolved = await web5did.resolve(created.id, { fetch });
+
+      expect(resolved.didDocument).to.be.null;
+      expect(resolved.didResolutionMetadata.error).to.equal('invalidDidDocument');
+    });
+
+    it('should return invalidDid for malformed DIDs', async () => {
+      const fetch = createFetchStub({ });
+
+      const resolved = await web5did.resolve('did:web:example.com%2Fevil', { fetch });
+
+      expect(fetch.called).to.be.false;
+      expect(resolved.didResolutionMetadata.error).to.equal('invalidDid');
+    });
+
+    it('should expose DecentralizedWebNode services to `getServices()`', async () => {
+      const fetch = createFetchStub({ [created.didDocumentUrl]: created.didDocument });
+
+      const services = await web5did.getServices(created.id, { fetch, type: 'DecentralizedWebNode' });
+
+      expect(services[0].serviceEndpoint.nodes).to.deep.equal(['https://dwn.example.com']);
+    });
+  });
+
+  describe('sign() / verify()', async () => {
+    it('should verify signatures made with the did:web signing key', async () => {
+      const did = await web5did.create('web', { domain: 'example.com' });
+      const data = new TextEncoder().encode('Hello, world!');
+
+      const signature = await web5did.sign('web', { data, privateKeyJwk: did.keys[0].keyPair.privateKeyJwk });
+      const verified = await web5did.verify('web', { data, signature, publicKeyJwk: did.didDocument.verificationMethod[0].publicKeyJwk });
+
+      expect(verified).to.be.true;
+    });
+  });
+});
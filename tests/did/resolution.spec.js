@@ -0,0 +1,157 @@
+import { expect } from 'chai';
+
+import { validateResolutionResult } from '../../src/did/resolution.js';
+import { Web5Did } from '../../src/did/web5-did.js';
+
+const did = 'did:example:123';
+
+function resultFor(didDocument, didDocumentMetadata = { }) {
+  return { didDocument, didDocumentMetadata, didResolutionMetadata: { } };
+}
+
+function validDidDocument() {
+  return {
+    id: did,
+    verificationMethod: [
+      { id: `${did}#key-1`, type: 'JsonWebKey2020', controller: did, publicKeyJwk: { kty: 'OKP', crv: 'Ed25519', x: 'abc' } },
+      { id: '#key-2', type: 'JsonWebKey2020', controller: did, publicKeyJwk: { kty: 'OKP', crv: 'X25519', x: 'def' } },
+    ],
+    authentication: [`${did}#key-1`, { id: '#key-3', type: 'JsonWebKey2020', controller: did, publicKeyJwk: { kty: 'OKP', crv: 'Ed25519', x: 'ghi' } }],
+    keyAgreement: ['#key-2'],
+    capabilityDelegation: ['did:example:456#key-1'],
+    service: [{ id: '#dwn', type: 'DecentralizedWebNode', serviceEndpoint: { nodes: ['https://dwn.example.com'] } }],
+  };
+}
+
+describe('validateResolutionResult()', async () => {
+  it('should accept and normalize a conformant result', async () => {
+    const didDocument = validDidDocument();
+
+    const result = validateResolutionResult(did, resultFor(didDocument, { updated: '2023-01-01T00:00:00Z' }));
+
+    expect(result).to.deep.equal({
+      '@context': 'https://w3id.org/did-resolution/v1',
+      didDocument,
+      didDocumentMetadata: { updated: '2023-01-01T00:00:00Z' },
+      didResolutionMetadata: { },
+    });
+  });
+
+  it('should reject DID documents whose id does not match the DID', async () => {
+    const result = validateResolutionResult(did, resultFor({ ...validDidDocument(), id: 'did:example:456' }));
+
+    expect(result.didDocument).to.be.null;
+    expect(result.didResolutionMetadata.error).to.equal('invalidDidDocument');
+  });
+
+  it('should reject references to undefined verification methods', async () => {
+    const result = validateResolutionResult(did, resultFor({ ...validDidDocument(), assertionMethod: ['#missing'] }));
+
+    expect(result.didResolutionMetadata).to.deep.equal({
+      error: 'invalidDidDocument',
+      errorMessage: 'assertionMethod references an undefined verification method: #missing',
+    });
+  });
+
+  it('should reject duplicate verification method ids, including relative and absolute forms', async () => {
+    const didDocument = validDidDocument();
+    didDocument.verificationMethod.push({ ...didDocument.verificationMethod[0], id: '#key-1' });
+
+    const result = validateResolutionResult(did, resultFor(didDocument));
+
+    expect(result.didResolutionMetadata.error).to.equal('invalidDidDocument');
+    expect(result.didResolutionMetadata.errorMessage).to.equal('Duplicate id in DID document: #key-1');
+  });
+
+  it('should reject duplicate service ids', async () => {
+    const didDocument = validDidDocument();
+    didDocument.service.push({ ...didDocument.service[0] });
+
+    const result = validateResolutionResult(did, resultFor(didDocument));
+
+    expect(result.didResolutionMetadata.error).to.equal('invalidDidDocument');
+  });
+
+  it('should allow a verification method and a service to share an id', async () => {
+    const didDocument = validDidDocument();
+    didDocument.verificationMethod[1].id = '#dwn';
+    didDocument.keyAgreement = ['#dwn'];
+
+    const result = validateResolutionResult(did, resultFor(didDocument));
+
+    expect(result.didDocument).to.equal(didDocument);
+  });
+
+  it('should reject malformed verification methods and services', async () => {
+    const withoutType = validDidDocument();
+    delete withoutType.verificationMethod[0].type;
+    const withoutEndpoint = validDidDocument();
+    delete withoutEndpoint.service[0].serviceEndpoint;
+
+    for (const didDocument of [withoutType, withoutEndpoint, { ...validDidDocument(), verificationMethod: [{ id: 'not a DID URL', type: 'JsonWebKey2020' }] }]) {
+      expect(validateResolutionResult(did, resultFor(didDocument)).didResolutionMetadata.error).to.equal('invalidDidDocument');
+    }
+  });
+
+  it('should keep standard error codes and map other errors', async () => {
+    const errorResult = (error) => ({ didDocument: null, didDocumentMetadata: { }, didResolutionMetadata: { error } });
+
+    expect(validateResolutionResult(did, errorResult('invalidDid')).didResolutionMetadata).to.deep.equal({ error: 'invalidDid' });
+    expect(validateResolutionResult(did, errorResult(`unable to resolve ${did}, got http status 404`)).didResolutionMetadata).to.deep.equal({
+      error: 'notFound',
+      errorMessage: `unable to resolve ${did}, got http status 404`,
+    });
+    expect(validateResolutionResult(did, errorResult('socket hang up')).didResolutionMetadata).to.deep.equal({
+      error: 'internalError',
+      errorMessage: 'socket hang up',
+    });
+  });
+
+  it('should report results without a DID document as notFound', async () => {
+    const result = validateResolutionResult(did, resultFor(undefined));
+
+    expect(result.didResolutionMetadata.error).to.equal('notFound');
+  });
+});
+
+describe('Web5Did resolution errors', async () => {
+  let web5did;
+
+  beforeEach(function () {
+    web5did = new Web5Did();
+  });
+
+  it('should report invalidDid for malformed DIDs without calling the method', async () => {
+    let called = false;
+    web5did.registerMethod('example', { resolve: async () => { called = true; } });
+
+    for (const invalid of ['did:example:', 'did:example:123#key-1', 'example:123']) {
+      const result = await web5did.resolve(invalid);
+      expect(result.didResolutionMetadata.error, invalid).to.equal('invalidDid');
+    }
+    expect(called).to.be.false;
+  });
+
+  it('should report methodNotSupported for unregistered methods', async () => {
+    const result = await web5did.resolve('did:unknown:123');
+
+    expect(result.didDocument).to.be.null;
+    expect(result.didResolutionMetadata.error).to.equal('methodNotSupported');
+  });
+
+  it('should report internalError when a method throws', async () => {
+    web5did.registerMethod('example', { resolve: async () => { throw new Error('boom'); } });
+
+    const result = await web5did.resolve(did);
+
+    expect(result.didResolutionMetadata).to.deep.equal({ error: 'internalError', errorMessage: 'boom' });
+  });
+
+  it('should validate the DID documents returned by methods', async () => {
+    web5did.registerMethod('example', { resolve: async () => resultFor({ ...validDidDocument(), authentication: ['#missing'] }) });
+
+    const result = await web5did.resolve(did);
+
+    expect(result.didResolutionMetadata.error).to.equal('invalidDidDocument');
+  });
+});
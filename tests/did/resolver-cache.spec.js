@@ -0,0 +1,129 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+import { DidResolverCache } from '../../src/did/resolver-cache.js';
+import { Web5Did } from '../../src/did/web5-did.js';
+import { MemoryStorage } from '../../src/storage/memory-storage.js';
+import * as didDocuments from '../fixtures/did-documents.js';
+
+describe('DidResolverCache', async () => {
+  const did = 'did:ion:abcd1234';
+
+  before(function () {
+    this.clock = sinon.useFakeTimers();
+  });
+
+  after(function () {
+    this.clock.restore();
+  });
+
+  it('should cache successful results for the configured TTL', async function () {
+    const cache = new DidResolverCache({ ttl: 100 });
+
+    await cache.set(did, didDocuments.ion.oneService);
+    expect(await cache.get(did)).to.deep.equal(didDocuments.ion.oneService);
+
+    this.clock.tick(100);
+
+    expect(await cache.get(did)).to.be.undefined;
+  });
+
+  it('should cache failed results for the negative TTL', async function () {
+    const cache = new DidResolverCache({ ttl: 1000, negativeTtl: 10 });
+
+    await cache.set(did, didDocuments.ion.notFound);
+    expect(await cache.get(did)).to.deep.equal(didDocuments.ion.notFound);
+
+    this.clock.tick(10);
+
+    expect(await cache.get(did)).to.be.undefined;
+  });
+
+  it('should not cache failed results when the negative TTL is 0', async () => {
+    const cache = new DidResolverCache({ negativeTtl: 0 });
+
+    await cache.set(did, didDocuments.ion.notFound);
+
+    expect(await cache.get(did)).to.be.undefined;
+  });
+
+  it('should expire results at `nextUpdate` when it is sooner than the TTL', async function () {
+    const cache = new DidResolverCache({ ttl: 1000 });
+    const result = {
+      ...didDocuments.ion.oneService,
+      didDocumentMetadata: { nextUpdate: new Date(Date.now() + 50).toISOString() },
+    };
+
+    await cache.set(did, result);
+    this.clock.tick(50);
+
+    expect(await cache.get(did)).to.be.undefined;
+  });
+
+  it('should not cache results whose `nextUpdate` has passed', async () => {
+    const cache = new DidResolverCache();
+    const result = {
+      ...didDocuments.ion.oneService,
+      didDocumentMetadata: { nextUpdate: new Date(Date.now() - 1).toISOString() },
+    };
+
+    await cache.set(did, result);
+
+    expect(await cache.get(did)).to.be.undefined;
+  });
+
+  it('should cache deactivated DIDs for the full TTL', async function () {
+    const cache = new DidResolverCache({ ttl: 1000 });
+    const result = {
+      ...didDocuments.ion.oneService,
+      didDocumentMetadata: { deactivated: true, nextUpdate: new Date(Date.now() + 50).toISOString() },
+    };
+
+    await cache.set(did, result);
+    this.clock.tick(999);
+
+    expect(await cache.get(did)).to.deep.equal(result);
+  });
+
+  it('should expire entries even if the storage backend ignores `timeout`', async function () {
+    const store = new MemoryStorage();
+    sinon.stub(store, 'set').callsFake((key, value) => MemoryStorage.prototype.set.call(store, key, value));
+    const cache = new DidResolverCache({ store, ttl: 100 });
+
+    await cache.set(did, didDocuments.ion.oneService);
+    this.clock.tick(100);
+
+    expect(await cache.get(did)).to.be.undefined;
+  });
+
+  describe('Web5Did', () => {
+    let web5did;
+
+    beforeEach(() => {
+      web5did = new Web5Did(undefined, { cache: { ttl: 1000 } });
+    });
+
+    it('should serve cached results until the DID is invalidated', async () => {
+      const did = 'did:key:z6MkhvthBZDxVvLUswRey729CquxMiaoYXrT5SYbCAATc8V9';
+
+      const resolved = await web5did.resolve(did, { cache: true });
+      const cached = await web5did.resolve(did);
+      expect(cached).to.equal(resolved);
+
+      await web5did.cache.invalidate(did);
+
+      const reresolved = await web5did.resolve(did);
+      expect(reresolved).to.not.equal(resolved);
+      expect(reresolved.didDocument).to.deep.equal(resolved.didDocument);
+    });
+
+    it('should drop all cached results after `cache.clear()`', async () => {
+      const did = 'did:key:z6MkhvthBZDxVvLUswRey729CquxMiaoYXrT5SYbCAATc8V9';
+
+      const resolved = await web5did.resolve(did, { cache: true });
+      await web5did.cache.clear();
+
+      expect(await web5did.resolve(did)).to.not.equal(resolved);
+    });
+  });
+});
@@ -0,0 +1,150 @@
+import { expect } from 'chai';
+import http from 'http';
+import sinon from 'sinon';
+
+import { UniversalResolver } from '../../src/did/universal-resolver.js';
+import { Web5Did } from '../../src/did/web5-did.js';
+
+const did = 'did:example:123';
+const didDocument = { '@context': 'https://www.w3.org/ns/did/v1', id: did };
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/ld+json' } });
+}
+
+describe('UniversalResolver', async () => {
+  describe('resolve()', async () => {
+    it('should request the DID from the identifiers endpoint of the base URL', async () => {
+      const fetch = sinon.fake.resolves(jsonResponse({ didDocument }));
+      const resolver = new UniversalResolver({ url: 'https://resolver.example.com/', fetch });
+
+      await resolver.resolve(did);
+
+      expect(fetch.firstCall.args[0]).to.equal('https://resolver.example.com/1.0/identifiers/did%3Aexample%3A123');
+    });
+
+    it('should normalize a resolution result', async () => {
+      const fetch = sinon.fake.resolves(jsonResponse({
+        didDocument,
+        didDocumentMetadata: { updated: '2023-01-01T00:00:00Z' },
+        didResolutionMetadata: { contentType: 'application/did+ld+json', driverId: 'driver-example' },
+      }));
+      const resolver = new UniversalResolver({ url: 'https://resolver.example.com', fetch });
+
+      const result = await resolver.resolve(did);
+
+      expect(result).to.deep.equal({
+        '@context': 'https://w3id.org/did-resolution/v1',
+        didDocument,
+        didDocumentMetadata: { updated: '2023-01-01T00:00:00Z' },
+        didResolutionMetadata: { contentType: 'application/did+ld+json', driverId: 'driver-example' },
+      });
+    });
+
+    it('should wrap a bare DID document in a resolution result', async () => {
+      const fetch = sinon.fake.resolves(jsonResponse(didDocument));
+      const resolver = new UniversalResolver({ url: 'https://resolver.example.com', fetch });
+
+      const result = await resolver.resolve(did);
+
+      expect(result.didDocument).to.deep.equal(didDocument);
+      expect(result.didDocumentMetadata).to.deep.equal({});
+      expect(result.didResolutionMetadata).to.deep.equal({});
+    });
+
+    it('should return deactivated DIDs', async () => {
+      const fetch = sinon.fake.resolves(jsonResponse({ didDocument, didDocumentMetadata: { deactivated: true } }, 410));
+      const resolver = new UniversalResolver({ url: 'https://resolver.example.com', fetch });
+
+      const result = await resolver.resolve(did);
+
+      expect(result.didDocument).to.deep.equal(didDocument);
+      expect(result.didDocumentMetadata.deactivated).to.be.true;
+    });
+
+    it('should map HTTP status codes to resolution errors', async () => {
+      for (const [status, error] of [[400, 'invalidDid'], [404, 'notFound'], [501, 'methodNotSupported']]) {
+        const fetch = sinon.fake.resolves(new Response('error', { status }));
+        const resolver = new UniversalResolver({ url: 'https://resolver.example.com', fetch });
+
+        const result = await resolver.resolve(did);
+
+        expect(result.didDocument).to.be.null;
+        expect(result.didResolutionMetadata.error).to.equal(error);
+      }
+    });
+
+    it('should prefer the error reported in the resolution result', async () => {
+      const fetch = sinon.fake.resolves(jsonResponse({ didDocument: null, didResolutionMetadata: { error: 'invalidDid' } }, 500));
+      const resolver = new UniversalResolver({ url: 'https://resolver.example.com', fetch });
+
+      const result = await resolver.resolve(did);
+
+      expect(result.didResolutionMetadata.error).to.equal('invalidDid');
+    });
+
+    it('should reject DID documents for a different DID or invalid JSON', async () => {
+      for (const response of [jsonResponse({ didDocument: { id: 'did:example:456' } }), new Response('<html></html>')]) {
+        const resolver = new UniversalResolver({ url: 'https://resolver.example.com', fetch: sinon.fake.resolves(response) });
+
+        const result = await resolver.resolve(did);
+
+        expect(result.didDocument).to.be.null;
+        expect(result.didResolutionMetadata.error).to.equal('invalidDidDocument');
+      }
+    });
+
+    it('should report network failures', async () => {
+      const fetch = sinon.fake.rejects(new Error('connection refused'));
+      const resolver = new UniversalResolver({ url: 'https://resolver.example.com', fetch });
+
+      const result = await resolver.resolve(did);
+
+      expect(result.didResolutionMetadata.error).to.equal(`unable to resolve ${did}: connection refused`);
+    });
+  });
+
+  describe('as the Web5Did fallback', async () => {
+    it('should resolve methods that are not registered', async () => {
+      const fetch = sinon.fake.resolves(jsonResponse({ didDocument }));
+      const web5did = new Web5Did(undefined, { universalResolver: { url: 'https://resolver.example.com', fetch } });
+
+      const resolved = await web5did.getDidDocument(did);
+
+      expect(resolved).to.deep.equal(didDocument);
+    });
+
+    it('should not be used for registered methods', async () => {
+      const fetch = sinon.fake.resolves(jsonResponse({ didDocument }));
+      const web5did = new Web5Did(undefined, { universalResolver: { url: 'https://resolver.example.com', fetch } });
+
+      await web5did.resolve('did:key:z6MkhvthBZDxVvLUswRey729CquxMiaoYXrT5SYbCAATc8V9');
+
+      expect(fetch.called).to.be.false;
+    });
+
+    it('should resolve against a local HTTP server', async function () {
+      if (typeof window !== 'undefined') this.skip();
+
+      const server = http.createServer((request, response) => {
+        const requested = decodeURIComponent(request.url.replace('/1.0/identifiers/', ''));
+        const found = (requested === did);
+        response.writeHead(found ? 200 : 404, { 'Content-Type': 'application/ld+json' });
+        response.end(found ? JSON.stringify({ didDocument, didResolutionMetadata: {}, didDocumentMetadata: {} }) : '');
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+      try {
+        const url = `http://127.0.0.1:${server.address().port}`;
+        const web5did = new Web5Did(undefined, { universalResolver: { url } });
+
+        expect(await web5did.getDidDocument(did)).to.deep.equal(didDocument);
+        expect((await web5did.resolve('did:example:missing')).didResolutionMetadata.error).to.equal('notFound');
+      } finally {
+        // Node.js 18 keeps idle keep-alive connections open, which would hold up closing the server.
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+  });
+});
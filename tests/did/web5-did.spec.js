@@ -1,4 +1,5 @@
-import { expect } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import chai, { expect } from 'chai';
 import { Encoder } from '@tbd54566975/dwn-sdk-js';
 import sinon from 'sinon';
 
@@ -7,6 +8,8 @@ import { Web5 } from '../../src/web5.js';
 import { Web5Did } from '../../src/did/web5-did.js';
 import * as didDocuments from '../fixtures/did-documents.js';
 
+chai.use(chaiAsPromised);
+
 describe('Web5Did', async () => {
   let web5did;
 
@@ -49,6 +52,78 @@ describe('Web5Did', async () => {
       const decryptedString = new TextDecoder().decode(decryptionResult);
       expect(decryptedString).to.equal(inputString);
     });
+
+    it('should decrypt with the private key held by the DID manager when none is passed', async () => {
+      const recipientDid = await web5.did.create('key');
+
+      const payload = new TextEncoder().encode('Hello, world!');
+      const encryptionResult = await web5.did.encrypt({ did: recipientDid.id, payload });
+
+      await web5.did.manager.set(recipientDid.id, recipientDid);
+
+      const decryptionResult = await web5.did.decrypt({ did: recipientDid.id, payload: encryptionResult });
+
+      expect(new TextDecoder().decode(decryptionResult)).to.equal('Hello, world!');
+    });
+
+    it('should throw if the private key is not held by the DID manager', async () => {
+      const recipientDid = await web5.did.create('key');
+
+      const payload = new TextEncoder().encode('Hello, world!');
+      const encryptionResult = await web5.did.encrypt({ did: recipientDid.id, payload });
+      const { kid } = Encoder.base64UrlToObject(encryptionResult.header);
+
+      await expect(web5.did.decrypt({ did: recipientDid.id, payload: encryptionResult }))
+        .to.be.rejectedWith(`Cannot decrypt for ${recipientDid.id}: the private key of ${kid} is not held in the DID manager`);
+
+      await web5.did.manager.set(recipientDid.id, { id: recipientDid.id, keys: [{ id: recipientDid.keys[0].id, keyPair: { publicKeyJwk: recipientDid.keys[0].keyPair.publicKeyJwk } }] });
+      await expect(web5.did.decrypt({ did: recipientDid.id, payload: encryptionResult }))
+        .to.be.rejectedWith('is not held in the DID manager');
+    });
+
+    it('should throw if the ciphertext was tampered with', async () => {
+      const recipientDid = await web5.did.create('key');
+      await web5.did.manager.set(recipientDid.id, recipientDid);
+
+      const payload = new TextEncoder().encode('Hello, world!');
+      const encryptionResult = await web5.did.encrypt({ did: recipientDid.id, payload });
+      const tampered = { ...encryptionResult, ciphertext: Encoder.bytesToBase64Url(new Uint8Array(29)) };
+
+      await expect(web5.did.decrypt({ did: recipientDid.id, payload: tampered }))
+        .to.be.rejectedWith('Decryption failed: the ciphertext or key is invalid');
+    });
+
+    it('should let every recipient decrypt data encrypted for several recipients', async () => {
+      const alice = await web5.did.create('key');
+      const bob = await web5.did.create('key');
+      await web5.did.manager.set(alice.id, alice);
+      await web5.did.manager.set(bob.id, bob);
+
+      const payload = new TextEncoder().encode('Hello, both!');
+      const encryptionResult = await web5.did.encrypt({ recipients: [{ did: alice.id }, { did: bob.id }], payload });
+
+      expect(encryptionResult.recipients).to.have.lengthOf(2);
+      expect(encryptionResult.recipients.map(recipient => Encoder.base64UrlToObject(recipient.header).kid))
+        .to.deep.equal([`${alice.id}#${alice.id.split(':')[2]}`, `${bob.id}#${bob.id.split(':')[2]}`]);
+      expect(encryptionResult.recipients[0].ephemeralPublicKey).to.not.equal(encryptionResult.recipients[1].ephemeralPublicKey);
+
+      for (const did of [alice, bob]) {
+        const decryptionResult = await web5.did.decrypt({ did: did.id, payload: encryptionResult });
+        expect(new TextDecoder().decode(decryptionResult)).to.equal('Hello, both!');
+      }
+    });
+
+    it('should throw if the caller is not one of the recipients', async () => {
+      const alice = await web5.did.create('key');
+      const eve = await web5.did.create('key');
+      await web5.did.manager.set(eve.id, eve);
+
+      const payload = new TextEncoder().encode('Hello, Alice!');
+      const encryptionResult = await web5.did.encrypt({ recipients: [{ did: alice.id }], payload });
+
+      await expect(web5.did.decrypt({ did: eve.id, payload: encryptionResult }))
+        .to.be.rejectedWith(`Encrypted payload has no recipient whose key is held in the DID manager for ${eve.id}`);
+    });
   });
 
   describe('encrypt()', () => {
@@ -118,6 +193,96 @@ describe('Web5Did', async () => {
     });
   });
 
+  describe('dereference()', async () => {
+    const did = 'did:example:123';
+    const didDocument = {
+      id: did,
+      verificationMethod: [{ id: '#signing', type: 'JsonWebKey2020', controller: did, publicKeyJwk: { kty: 'OKP', crv: 'Ed25519', x: 'abc' } }],
+      keyAgreement: [{ id: `${did}#key-agreement`, type: 'JsonWebKey2020', controller: did, publicKeyJwk: { kty: 'OKP', crv: 'X25519', x: 'def' } }],
+      service: [
+        { id: '#dwn', type: 'DecentralizedWebNode', serviceEndpoint: { nodes: ['https://dwn1.example.com', 'https://dwn2.example.com/base/'] } },
+        { id: `${did}#website`, type: 'LinkedDomains', serviceEndpoint: 'https://example.com/home/' },
+      ],
+    };
+
+    beforeEach(function () {
+      web5did.registerMethod('example', {
+        resolve: async (did) => (did === didDocument.id)
+          ? { didDocument, didDocumentMetadata: { updated: '2023-01-01T00:00:00Z' }, didResolutionMetadata: {} }
+          : { didDocument: null, didDocumentMetadata: {}, didResolutionMetadata: { error: 'notFound' } },
+      });
+    });
+
+    it('should dereference a bare DID to its DID document', async () => {
+      const result = await web5did.dereference(did);
+
+      expect(result.contentStream).to.deep.equal(didDocument);
+      expect(result.contentMetadata).to.deep.equal({ updated: '2023-01-01T00:00:00Z' });
+      expect(result.dereferencingMetadata.contentType).to.equal('application/did+json');
+    });
+
+    it('should dereference fragments to verification methods with relative or absolute IDs', async () => {
+      const { contentStream: relative } = await web5did.dereference(`${did}#signing`);
+      const { contentStream: embedded } = await web5did.dereference(`${did}#key-agreement`);
+
+      expect(relative).to.deep.equal(didDocument.verificationMethod[0]);
+      expect(embedded).to.deep.equal(didDocument.keyAgreement[0]);
+    });
+
+    it('should dereference fragments to services', async () => {
+      const { contentStream } = await web5did.dereference(`${did}#website`);
+
+      expect(contentStream).to.deep.equal(didDocument.service[1]);
+    });
+
+    it('should construct service URLs from the service and relativeRef parameters', async () => {
+      const { contentStream: website } = await web5did.dereference(`${did}?service=website&relativeRef=about%3Fx%3D1`);
+      const { contentStream: dwnNodes } = await web5did.dereference(`${did}?service=dwn&relativeRef=/records`);
+      const { contentStream: withFragment } = await web5did.dereference(`${did}?service=website#contact`);
+
+      expect(website).to.equal('https://example.com/home/about?x=1');
+      expect(dwnNodes).to.deep.equal(['https://dwn1.example.com/records', 'https://dwn2.example.com/records']);
+      expect(withFragment).to.equal('https://example.com/home/#contact');
+    });
+
+    it('should return notFound for missing resources and DIDs', async () => {
+      for (const didUrl of [`${did}#missing`, `${did}?service=missing`, `${did}/some/path`, 'did:example:456#dwn']) {
+        const result = await web5did.dereference(didUrl);
+
+        expect(result.contentStream, didUrl).to.be.null;
+        expect(result.dereferencingMetadata.error, didUrl).to.equal('notFound');
+      }
+    });
+
+    it('should return invalidDidUrl for malformed DID URLs', async () => {
+      const result = await web5did.dereference('not-a-did#key-1');
+
+      expect(result.dereferencingMetadata.error).to.equal('invalidDidUrl');
+    });
+
+    it('should let getKeys() and getServices() take full references', async () => {
+      const keys = await web5did.getKeys(`${did}#key-agreement`);
+      const services = await web5did.getServices(`${did}#dwn`);
+
+      expect(keys).to.deep.equal([didDocument.keyAgreement[0]]);
+      expect(services).to.deep.equal([didDocument.service[0]]);
+      expect(await web5did.getKeys(`${did}#website`)).to.be.null;
+    });
+
+    it('should let encrypt() take a full key reference', async () => {
+      const web5 = new Web5();
+      const recipient = 'did:key:z6MkhvthBZDxVvLUswRey729CquxMiaoYXrT5SYbCAATc8V9';
+      const keyId = `${recipient}#z6MkhvthBZDxVvLUswRey729CquxMiaoYXrT5SYbCAATc8V9`;
+      const payload = new TextEncoder().encode('Hello, world!');
+
+      const fromDidUrl = await web5.did.encrypt({ did: keyId, payload });
+      const fromFragment = await web5.did.encrypt({ did: recipient, keyId: '#z6MkhvthBZDxVvLUswRey729CquxMiaoYXrT5SYbCAATc8V9', payload });
+
+      expect(Encoder.base64UrlToObject(fromDidUrl.header).kid).to.equal(keyId);
+      expect(Encoder.base64UrlToObject(fromFragment.header).kid).to.equal(keyId);
+    });
+  });
+
   describe('getKeys()', async () => {
     it('should return one key when one verification method is defined in DID document', async () => {
       sinon.stub(web5did, 'resolve').resolves(didDocuments.ion.oneVerificationMethodJwk);
@@ -145,4 +310,77 @@ describe('Web5Did', async () => {
       expect(didKeys).to.be.null;
     });
   });
+
+  describe('registerMethod()', async () => {
+    const exampleDidDocument = { id: 'did:example:123' };
+    const exampleMethod = {
+      create: async () => ({ id: 'did:example:123', internalId: 'did:example:123', keys: [] }),
+      resolve: async (did) => ({ didDocument: { ...exampleDidDocument, id: did }, didDocumentMetadata: {}, didResolutionMetadata: {} }),
+    };
+
+    it('should create and resolve DIDs with a registered method', async () => {
+      web5did.registerMethod('example', exampleMethod);
+
+      const did = await web5did.create('example');
+      const didDocument = await web5did.getDidDocument(did.id);
+
+      expect(didDocument).to.deep.equal(exampleDidDocument);
+    });
+
+    it('should pass the resolve() options to the method', async () => {
+      const resolve = sinon.fake.resolves({ didDocument: exampleDidDocument });
+      web5did.registerMethod('example', { resolve });
+
+      await web5did.resolve('did:example:123', { custom: true });
+
+      expect(resolve.calledOnceWith('did:example:123', sinon.match({ custom: true }))).to.be.true;
+    });
+
+    it('should override a built-in method', async () => {
+      web5did.registerMethod('key', exampleMethod);
+
+      const { didDocument } = await web5did.resolve('did:key:z6MkhvthBZDxVvLUswRey729CquxMiaoYXrT5SYbCAATc8V9');
+
+      expect(didDocument.id).to.equal('did:key:z6MkhvthBZDxVvLUswRey729CquxMiaoYXrT5SYbCAATc8V9');
+      expect(didDocument).to.not.have.property('verificationMethod');
+    });
+
+    it('should only affect the instance it is registered on', async () => {
+      web5did.registerMethod('example', exampleMethod);
+
+      const result = await new Web5Did().resolve('did:example:123');
+
+      expect(result.didResolutionMetadata.error).to.equal('methodNotSupported');
+    });
+
+    it('should accept methods from the Web5 constructor', async () => {
+      const web5 = new Web5({ did: { methods: { example: exampleMethod } } });
+
+      const didDocument = await web5.did.getDidDocument('did:example:123');
+
+      expect(didDocument).to.deep.equal(exampleDidDocument);
+    });
+
+    it('should throw when an optional operation is not implemented', async () => {
+      web5did.registerMethod('example', { resolve: exampleMethod.resolve });
+
+      await expect(web5did.create('example')).to.be.rejectedWith('DID method example does not support create()');
+      await expect(web5did.sign('example', {})).to.be.rejectedWith('DID method example does not support sign()');
+    });
+
+    it('should reject invalid method names and implementations', async () => {
+      expect(() => web5did.registerMethod('Not Valid', exampleMethod)).to.throw('Invalid DID method name: Not Valid');
+      expect(() => web5did.registerMethod('example', { create: exampleMethod.create })).to.throw('DID method example must implement resolve()');
+      expect(() => web5did.registerMethod('example', { resolve: exampleMethod.resolve, sign: 'nope' })).to.throw('invalid sign() implementation');
+    });
+  });
+
+  describe('unregisterMethod()', async () => {
+    it('should remove a registered method', async () => {
+      expect(web5did.unregisterMethod('key')).to.be.true;
+
+      await expect(web5did.create('key')).to.be.rejectedWith('Unsupported DID method: key');
+      expect(web5did.unregisterMethod('key')).to.be.false;
+    });
+  });
 });
@@ -1,7 +1,8 @@
 import chaiAsPromised from 'chai-as-promised';
 import chai, { expect } from 'chai';
-import { DataStream } from '@tbd54566975/dwn-sdk-js';
+import { DataStream, DidIonResolver, DidKeyResolver, DidResolver, Encoder } from '@tbd54566975/dwn-sdk-js';
 
+import { Record } from '../../../src/dwn/models/record.js';
 import { Web5 } from '../../../src/web5.js';
 
 import { TestDataGenerator } from '../../test-utils/test-data-generator.js';
@@ -14,7 +15,9 @@ describe('Records', async () => {
   let alice;
 
   before(async () => {
-    testDwn = await TestDwn.create();
+    // did:peer DIDs have keyAgreement keys, and are used to test encrypted records.
+    const peerResolver = { method: () => 'peer', resolve: (did) => web5.did.resolve(did, { managed: false }) };
+    testDwn = await TestDwn.create({ didResolver: new DidResolver([new DidIonResolver(), new DidKeyResolver(), peerResolver]) });
     web5 = new Web5({ dwn: { node: testDwn.node } });
     
     alice = await web5.did.create('ion');
@@ -191,5 +194,132 @@ describe('Records', async () => {
         expect(responseData).to.deep.equal(dataBytes);
       });
     });
+
+    describe('with encryption', () => {
+      let bob, carol;
+
+      const createPeerDid = async () => {
+        const did = await web5.did.create('peer');
+        await web5.did.manager.set(did.id, { ...did, connected: true, endpoint: 'app://dwn' });
+        return did;
+      };
+
+      // Reads the data as stored by the DWN, without the decryption done by `Record`.
+      const storedData = async (recordId) => {
+        const { record } = await web5.send(bob.id, { author: bob.id, message: { interface: 'Records', method: 'Read', recordId } });
+        return DataStream.toBytes(record.data);
+      };
+
+      before(async () => {
+        bob = await createPeerDid();
+        carol = await createPeerDid();
+      });
+
+      it('should encrypt the data for the author and decrypt it when read', async () => {
+        const response = await web5.dwn.records.write(bob.id, {
+          author: bob.id,
+          data: { message: 'Hello, world!' },
+          encryption: true,
+        });
+
+        expect(response).to.have.nested.property('status.code', 202);
+        expect(response.record.dataFormat).to.equal('application/web5-record+jwe');
+        await expect(response.record.data.json()).to.eventually.deep.equal({ message: 'Hello, world!' });
+
+        const jwe = JSON.parse(Encoder.bytesToString(await storedData(response.record.id)));
+        expect(Encoder.base64UrlToObject(jwe.protected)).to.deep.equal({ typ: 'web5-record+jwe', cty: 'application/json', enc: 'A256GCM' });
+        expect(jwe.recipients).to.have.lengthOf(1);
+        expect(JSON.stringify(jwe)).to.not.include('Hello');
+
+        const { record } = await web5.dwn.records.read(bob.id, { author: bob.id, message: { recordId: response.record.id } });
+        await expect(record.data.json()).to.eventually.deep.equal({ message: 'Hello, world!' });
+      });
+
+      it('should encrypt the data for the record recipient and additional recipients', async () => {
+        const dave = await createPeerDid();
+        const eve = await createPeerDid();
+
+        const response = await web5.dwn.records.write(bob.id, {
+          author: bob.id,
+          data: 'Hello, Carol and Dave!',
+          encryption: { recipients: [dave.id] },
+          message: { recipient: carol.id },
+        });
+        const encryptedData = await storedData(response.record.id);
+
+        for (const did of [bob, carol, dave]) {
+          const record = new Record(web5.dwn, { author: did.id, encodedData: encryptedData });
+          await expect(record.data.text()).to.eventually.equal('Hello, Carol and Dave!');
+        }
+
+        const record = new Record(web5.dwn, { author: eve.id, encodedData: encryptedData });
+        await expect(record.data.text()).to.be.rejectedWith(`JWE has no recipient whose key is held in the DID manager for ${eve.id}`);
+      });
+
+      it('should decrypt data read as a stream', async () => {
+        const dataBytes = TestDataGenerator.randomBytes(20_000);
+        const response = await web5.dwn.records.write(bob.id, {
+          author: bob.id,
+          data: dataBytes,
+          encryption: true,
+          message: { dataFormat: 'application/octet-stream' },
+        });
+        expect(response).to.have.nested.property('status.code', 202);
+
+        const { record } = await web5.dwn.records.read(bob.id, { author: bob.id, message: { recordId: response.record.id } });
+
+        expect(await DataStream.toBytes(await record.data.stream())).to.deep.equal(dataBytes);
+      });
+
+      it('should keep encrypting the data when the record is updated', async () => {
+        const { record } = await web5.dwn.records.write(bob.id, { author: bob.id, data: 'Hello, world!', encryption: true });
+
+        const { status } = await record.update({ data: 'Goodbye, world!' });
+
+        expect(status.code).to.equal(202);
+        expect(Encoder.bytesToString(await storedData(record.id))).to.not.include('Goodbye');
+        const { record: updated } = await web5.dwn.records.read(bob.id, { author: bob.id, message: { recordId: record.id } });
+        await expect(updated.data.text()).to.eventually.equal('Goodbye, world!');
+      });
+
+      it('should keep encrypting the data when a record that was read is updated', async () => {
+        const response = await web5.dwn.records.write(bob.id, {
+          author: bob.id,
+          data: 'Hello, Carol!',
+          encryption: true,
+          message: { recipient: carol.id },
+        });
+        const { record } = await web5.dwn.records.read(bob.id, { author: bob.id, message: { recordId: response.record.id } });
+
+        const { status } = await record.update({ data: 'Goodbye, Carol!' });
+
+        expect(status.code).to.equal(202);
+        const encryptedData = await storedData(record.id);
+        expect(Encoder.bytesToString(encryptedData)).to.not.include('Goodbye');
+        for (const did of [bob, carol]) {
+          const reader = new Record(web5.dwn, { author: did.id, encodedData: encryptedData });
+          await expect(reader.data.text()).to.eventually.equal('Goodbye, Carol!');
+        }
+      });
+
+      it('should refuse to write unencrypted data to an encrypted record', async () => {
+        const response = await web5.dwn.records.write(bob.id, { author: bob.id, data: 'Hello, world!', encryption: true });
+        const { record } = await web5.dwn.records.read(bob.id, { author: bob.id, message: { recordId: response.record.id } });
+
+        await expect(record.update({ data: 'Goodbye, world!', encryption: false }))
+          .to.be.rejectedWith('Data of encrypted records can only be written with the `encryption` option');
+        await expect(web5.dwn.records.createFrom(bob.id, { author: bob.id, record, data: 'Goodbye, world!' }))
+          .to.be.rejectedWith('Data of encrypted records can only be written with the `encryption` option');
+      });
+
+      it('should encrypt the data of records created from other records', async () => {
+        const { record } = await web5.dwn.records.write(bob.id, { author: bob.id, data: 'Hello, world!' });
+
+        const response = await web5.dwn.records.createFrom(bob.id, { author: bob.id, record, data: 'Hello, again!', encryption: true });
+
+        expect(Encoder.bytesToString(await storedData(response.record.id))).to.not.include('Hello');
+        await expect(response.record.data.text()).to.eventually.equal('Hello, again!');
+      });
+    });
   });
 });
@@ -0,0 +1,155 @@
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sinon from 'sinon';
+
+import { FileStorage } from '../../src/storage/file-storage.js';
+
+describe('FileStorage', async () => {
+  let directory, storage;
+
+  before(function () {
+    // FileStorage is only available in Node.js.
+    if (typeof window !== 'undefined') this.skip();
+    this.clock = sinon.useFakeTimers({ toFake: ['Date'] });
+  });
+
+  after(function () {
+    this.clock?.restore();
+  });
+
+  beforeEach(async () => {
+    directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'web5-file-storage-'));
+    storage = new FileStorage({ directory });
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  });
+
+  it('should persist entries across instances', async () => {
+    await storage.set('did:key:abcd1234', { id: 'did:key:abcd1234' });
+
+    const reopened = new FileStorage({ directory });
+    expect(await reopened.get('did:key:abcd1234')).to.deep.equal({ id: 'did:key:abcd1234' });
+  });
+
+  it('should preserve Uint8Array values', async () => {
+    const keyBytes = new Uint8Array([1, 2, 3, 4]);
+
+    await storage.set('key1', { keyBytes });
+    const valueInStorage = await storage.get('key1');
+
+    expect(valueInStorage.keyBytes).to.be.instanceOf(Uint8Array);
+    expect(valueInStorage.keyBytes).to.deep.equal(keyBytes);
+  });
+
+  it('should return undefined for missing entries and missing directories', async () => {
+    expect(await storage.get('missing')).to.be.undefined;
+
+    const absent = new FileStorage({ directory: path.join(directory, 'absent') });
+    expect(await absent.get('missing')).to.be.undefined;
+    await absent.clear();
+  });
+
+  it('should store entries with keys longer than the file name length limit', async () => {
+    // Long-form did:ion DIDs embed the whole create operation.
+    const key = `did:ion:EiA:${'x'.repeat(2000)}`;
+
+    await storage.set(key, { id: key });
+
+    expect(await storage.get(key)).to.deep.equal({ id: key });
+    const keys = [];
+    for await (const storedKey of storage.keys()) keys.push(storedKey);
+    expect(keys).to.deep.equal([key]);
+    const fileNames = await fs.promises.readdir(directory);
+    expect(fileNames[0]).to.match(/^[0-9a-f]{64}\.json$/);
+  });
+
+  it('should not leave temporary files behind after writes', async () => {
+    await Promise.all([...Array(10).keys()].map(i => storage.set('key1', i)));
+
+    const fileNames = await fs.promises.readdir(directory);
+    expect(fileNames).to.have.lengthOf(1);
+    expect(fileNames[0]).to.match(/\.json$/);
+    expect(await storage.get('key1')).to.equal(9);
+  });
+
+  it('should apply concurrent writes from multiple instances in order', async () => {
+    const other = new FileStorage({ directory });
+
+    await Promise.all([
+      storage.set('key1', 'first'),
+      other.set('key1', 'second'),
+      storage.set('key1', 'third'),
+    ]);
+
+    expect(await other.get('key1')).to.equal('third');
+  });
+
+  it('should set a per-entry custom TTL when specified', async function () {
+    await storage.set('key1', 'aValue');
+    await storage.set('key2', 'bValue', { timeout: 10 });
+    expect(await storage.get('key2')).to.equal('bValue');
+
+    this.clock.tick(10); // Time travel 10 milliseconds
+
+    expect(await storage.get('key1')).to.equal('aValue');
+    expect(await storage.get('key2')).to.be.undefined;
+  });
+
+  it('should not expire entries if timeout is `Infinity`', async function () {
+    await storage.set('key1', 'aValue', { timeout: Infinity });
+
+    this.clock.tick(2147483647); // Time travel 23.85 days
+
+    expect(await storage.get('key1')).to.equal('aValue');
+  });
+
+  it('should delete specified entry', async () => {
+    await storage.set('key1', 'aValue');
+    await storage.set('key2', 'aValue');
+
+    await storage.delete('key1');
+
+    expect(await storage.get('key1')).to.be.undefined;
+    expect(await storage.get('key2')).to.equal('aValue');
+  });
+
+  it('should delete all entries after `clear()`', async () => {
+    await storage.set('key1', 'aValue');
+    await storage.set('key2', 'aValue');
+
+    await storage.clear();
+
+    expect(await storage.get('key1')).to.be.undefined;
+    expect(await storage.get('key2')).to.be.undefined;
+  });
+
+  it('should list keys and entries of its own namespace only', async () => {
+    const other = new FileStorage({ directory, namespace: 'other' });
+    await other.set('key3', 'cValue');
+
+    await storage.setMany([['did:key:abcd1234', 'aValue'], ['key2', 'bValue']]);
+
+    const keys = [];
+    for await (const key of storage.keys()) keys.push(key);
+    expect(keys).to.have.members(['did:key:abcd1234', 'key2']);
+
+    const entries = [];
+    for await (const entry of other) entries.push(entry);
+    expect(entries).to.deep.equal([['key3', 'cValue']]);
+  });
+
+  it('should only delete entries of its own namespace after `clear()`', async () => {
+    const other = new FileStorage({ directory, namespace: 'other' });
+    await other.set('key1', 'otherValue');
+    await storage.set('key1', 'aValue');
+
+    await storage.clear();
+
+    expect(await storage.has('key1')).to.be.false;
+    expect(await other.get('key1')).to.equal('otherValue');
+  });
+});
@@ -0,0 +1,165 @@
+import chaiAsPromised from 'chai-as-promised';
+import chai, { expect } from 'chai';
+import { indexedDB as fakeIndexedDB } from 'fake-indexeddb';
+import sinon from 'sinon';
+
+import { IndexedDbStorage } from '../../src/storage/indexed-db-storage.js';
+
+chai.use(chaiAsPromised);
+
+describe('IndexedDbStorage', async () => {
+  let storage;
+
+  before(function () {
+    // Only fake `Date` so that IndexedDB's own scheduling keeps working.
+    this.clock = sinon.useFakeTimers({ toFake: ['Date'] });
+  });
+
+  after(function () {
+    this.clock.restore();
+  });
+
+  beforeEach(async () => {
+    storage = new IndexedDbStorage({
+      dbName: 'web5-test',
+      indexedDB: globalThis.indexedDB ?? fakeIndexedDB,
+    });
+    await storage.clear();
+  });
+
+  afterEach(async () => {
+    await storage.close();
+  });
+
+  it('should store structured values without JSON serialization', async () => {
+    const keyBytes = new Uint8Array([1, 2, 3, 4]);
+
+    await storage.set('key1', { keyBytes, nested: { date: new Date(0) } });
+    const valueInStorage = await storage.get('key1');
+
+    expect(valueInStorage.keyBytes).to.be.instanceOf(Uint8Array);
+    expect(valueInStorage.keyBytes).to.deep.equal(keyBytes);
+    expect(valueInStorage.nested.date).to.be.instanceOf(Date);
+  });
+
+  it('should return undefined for missing entries', async () => {
+    const valueInStorage = await storage.get('missing');
+    expect(valueInStorage).to.be.undefined;
+  });
+
+  it('should set a per-entry custom TTL when specified', async function () {
+    await storage.set('key1', 'aValue');
+    await storage.set('key2', 'bValue', { timeout: 10 });
+    expect(await storage.get('key2')).to.equal('bValue');
+
+    this.clock.tick(10); // Time travel 10 milliseconds
+
+    expect(await storage.get('key1')).to.equal('aValue');
+    expect(await storage.get('key2')).to.be.undefined;
+  });
+
+  it('should not expire entries if timeout is `Infinity`', async function () {
+    await storage.set('key1', 'aValue', { timeout: Infinity });
+
+    this.clock.tick(2147483647); // Time travel 23.85 days
+
+    expect(await storage.get('key1')).to.equal('aValue');
+  });
+
+  it('should persist entries across connections', async () => {
+    await storage.set('key1', 'aValue');
+    await storage.close();
+
+    expect(await storage.get('key1')).to.equal('aValue');
+  });
+
+  it('should delete specified entry', async () => {
+    await storage.set('key1', 'aValue');
+    await storage.set('key2', 'aValue');
+
+    await storage.delete('key1');
+
+    expect(await storage.get('key1')).to.be.undefined;
+    expect(await storage.get('key2')).to.equal('aValue');
+  });
+
+  it('should delete all entries after `clear()`', async () => {
+    await storage.set('key1', 'aValue');
+    await storage.set('key2', 'aValue');
+
+    await storage.clear();
+
+    expect(await storage.get('key1')).to.be.undefined;
+    expect(await storage.get('key2')).to.be.undefined;
+  });
+
+  it('should list keys and entries of its own namespace only', async () => {
+    const other = new IndexedDbStorage({ dbName: 'web5-test', indexedDB: globalThis.indexedDB ?? fakeIndexedDB, namespace: 'other' });
+    await other.set('key3', 'cValue');
+
+    await storage.setMany([['key1', 'aValue'], ['key2', 'bValue']]);
+
+    const keys = [];
+    for await (const key of storage.keys()) keys.push(key);
+    expect(keys).to.have.members(['key1', 'key2']);
+
+    const entries = [];
+    for await (const entry of storage) entries.push(entry);
+    expect(entries).to.have.deep.members([['key1', 'aValue'], ['key2', 'bValue']]);
+
+    await other.clear();
+    await other.close();
+  });
+
+  it('should only delete entries of its own namespace after `clear()`', async () => {
+    const other = new IndexedDbStorage({ dbName: 'web5-test', indexedDB: globalThis.indexedDB ?? fakeIndexedDB, namespace: 'other' });
+    await other.set('key1', 'otherValue');
+    await storage.set('key1', 'aValue');
+
+    await storage.clear();
+
+    expect(await storage.has('key1')).to.be.false;
+    expect(await other.get('key1')).to.equal('otherValue');
+
+    await other.clear();
+    await other.close();
+  });
+
+  it('should share the database with instances that use other object stores', async () => {
+    await storage.set('key1', 'aValue');
+    const other = new IndexedDbStorage({ dbName: 'web5-test', storeName: 'cache', indexedDB: globalThis.indexedDB ?? fakeIndexedDB });
+
+    await other.set('key1', 'otherValue');
+
+    expect(await other.get('key1')).to.equal('otherValue');
+    expect(await storage.get('key1')).to.equal('aValue');
+
+    await other.clear();
+    await other.close();
+  });
+
+  it('should open the database again after it failed to open', async () => {
+    const indexedDB = globalThis.indexedDB ?? fakeIndexedDB;
+    const open = sinon.stub(indexedDB, 'open');
+    open.onFirstCall().throws(new Error('Open failed'));
+    open.callThrough();
+    const other = new IndexedDbStorage({ dbName: 'web5-test', indexedDB });
+
+    try {
+      await expect(other.get('key1')).to.be.rejectedWith('Open failed');
+      expect(await other.get('key1')).to.be.undefined;
+    } finally {
+      open.restore();
+      await other.close();
+    }
+  });
+
+  it('should delete specified entries with `deleteMany()`', async () => {
+    await storage.setMany({ key1: 'aValue', key2: 'bValue', key3: 'cValue' });
+    await storage.deleteMany(['key1', 'key3']);
+
+    expect(await storage.get('key1')).to.be.undefined;
+    expect(await storage.get('key2')).to.equal('bValue');
+    expect(await storage.get('key3')).to.be.undefined;
+  });
+});
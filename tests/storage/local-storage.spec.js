@@ -0,0 +1,83 @@
+import { expect } from 'chai';
+
+import { LocalStorage } from '../../src/storage/local-storage.js';
+
+describe('LocalStorage', async () => {
+  let storage;
+
+  before(function () {
+    // LocalStorage is only available in browsers.
+    if (typeof localStorage === 'undefined') this.skip();
+  });
+
+  beforeEach(async () => {
+    storage = new LocalStorage({ namespace: 'web5-test' });
+    await storage.clear();
+  });
+
+  afterEach(() => {
+    localStorage.removeItem('unrelated');
+  });
+
+  it('should prefix localStorage items with the namespace', async () => {
+    await storage.set('key1', { a: 1 });
+
+    expect(localStorage.getItem('web5-test:key1')).to.equal('{"a":1}');
+    expect(await storage.get('key1')).to.deep.equal({ a: 1 });
+  });
+
+  it('should read and move items stored without a namespace by earlier versions', async () => {
+    const defaultStorage = new LocalStorage();
+    localStorage.setItem('legacy-key', '{"a":1}');
+
+    expect(await defaultStorage.get('legacy-key')).to.deep.equal({ a: 1 });
+    expect(localStorage.getItem('web5:legacy-key')).to.equal('{"a":1}');
+    expect(localStorage.getItem('legacy-key')).to.be.null;
+
+    // Instances with an explicit namespace never had items without one.
+    localStorage.setItem('legacy-key', '{"a":1}');
+    expect(await storage.get('legacy-key')).to.be.undefined;
+
+    await defaultStorage.delete('legacy-key');
+    expect(localStorage.getItem('legacy-key')).to.be.null;
+    expect(await defaultStorage.get('legacy-key')).to.be.undefined;
+  });
+
+  it('should not list or clear other items of the origin with the default namespace', async () => {
+    const defaultStorage = new LocalStorage();
+    localStorage.setItem('unrelated', 'value');
+    await defaultStorage.set('key1', 'aValue');
+
+    const keys = [];
+    for await (const key of defaultStorage.keys()) keys.push(key);
+    expect(keys).to.deep.equal(['key1']);
+
+    await defaultStorage.clear();
+    expect(localStorage.getItem('web5:key1')).to.be.null;
+    expect(localStorage.getItem('unrelated')).to.equal('value');
+  });
+
+  it('should return undefined for missing entries', async () => {
+    expect(await storage.get('missing')).to.be.undefined;
+    expect(await storage.has('missing')).to.be.false;
+  });
+
+  it('should list keys of its own namespace only', async () => {
+    localStorage.setItem('unrelated', 'value');
+    await storage.setMany({ key1: 'aValue', key2: 'bValue' });
+
+    const keys = [];
+    for await (const key of storage.keys()) keys.push(key);
+    expect(keys).to.have.members(['key1', 'key2']);
+  });
+
+  it('should not remove items of other libraries after `clear()`', async () => {
+    localStorage.setItem('unrelated', 'value');
+    await storage.set('key1', 'aValue');
+
+    await storage.clear();
+
+    expect(await storage.get('key1')).to.be.undefined;
+    expect(localStorage.getItem('unrelated')).to.equal('value');
+  });
+});
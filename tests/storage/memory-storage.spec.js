@@ -88,4 +88,51 @@ describe('MemoryStorage', async () => {
     valueInCache = await storage.get('key3');
     expect(valueInCache).to.be.undefined;
   });
+
+  it('should report whether an entry exists with `has()`', async () => {
+    const storage = new MemoryStorage();
+
+    await storage.set('key1', 'aValue');
+
+    expect(await storage.has('key1')).to.be.true;
+    expect(await storage.has('key2')).to.be.false;
+  });
+
+  it('should list keys and entries', async () => {
+    const storage = new MemoryStorage();
+
+    await storage.setMany([['key1', 'aValue'], ['key2', 'bValue']]);
+
+    const keys = [];
+    for await (const key of storage.keys()) keys.push(key);
+    expect(keys).to.deep.equal(['key1', 'key2']);
+
+    const entries = [];
+    for await (const entry of storage) entries.push(entry);
+    expect(entries).to.deep.equal([['key1', 'aValue'], ['key2', 'bValue']]);
+  });
+
+  it('should not list expired entries', async function () {
+    const storage = new MemoryStorage();
+
+    await storage.setMany({ key1: 'aValue', key2: 'bValue' }, { timeout: 10 });
+    await storage.set('key3', 'cValue');
+
+    this.clock.tick(10); // Time travel 10 milliseconds
+
+    const keys = [];
+    for await (const key of storage.keys()) keys.push(key);
+    expect(keys).to.deep.equal(['key3']);
+  });
+
+  it('should delete specified entries with `deleteMany()`', async () => {
+    const storage = new MemoryStorage();
+
+    await storage.setMany({ key1: 'aValue', key2: 'bValue', key3: 'cValue' });
+    await storage.deleteMany(['key1', 'key3']);
+
+    expect(await storage.get('key1')).to.be.undefined;
+    expect(await storage.get('key2')).to.equal('bValue');
+    expect(await storage.get('key3')).to.be.undefined;
+  });
 });
@@ -15,8 +15,8 @@ export class TestDwn {
     this.messageStore = options.messageStore;
   }
 
-  static async create() {
-    const didResolver = new DidResolver();
+  static async create(options = { }) {
+    const didResolver = options.didResolver ?? new DidResolver();
     const dataStore = new DataStoreLevel({
       blockstoreLocation : 'test-data/DATASTORE',
     });
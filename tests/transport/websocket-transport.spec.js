@@ -0,0 +1,226 @@
+import chaiAsPromised from 'chai-as-promised';
+import chai, { expect } from 'chai';
+import { DataStream, Encoder } from '@tbd54566975/dwn-sdk-js';
+
+import { Web5 } from '../../src/web5.js';
+import { WebSocketTransport } from '../../src/transport/websocket-transport.js';
+
+import { TestDataGenerator } from '../test-utils/test-data-generator.js';
+
+chai.use(chaiAsPromised);
+
+describe('WebSocketTransport', async () => {
+  let WebSocket, WebSocketServer;
+  let server, endpoint, handler, transport, web5;
+
+  before(async function () {
+    // The test DWN server runs on Node.js.
+    if (typeof window !== 'undefined') this.skip();
+
+    ({ WebSocket, WebSocketServer } = await import('ws'));
+  });
+
+  beforeEach(async () => {
+    handler = async (request) => ({ result: { status: { code: 202, detail: 'Accepted' }, echo: request.params.message } });
+
+    server = new WebSocketServer({ port: 0 });
+    await new Promise(resolve => server.once('listening', resolve));
+    endpoint = `ws://localhost:${server.address().port}`;
+
+    server.on('connection', (socket) => {
+      const requests = new Map();
+      socket.on('message', async (text) => {
+        const { id, method, params } = JSON.parse(text);
+        if (method === 'dwn.processMessage') {
+          const request = { id, params, chunks: [] };
+          requests.set(id, request);
+          if (!params.data) await respond(socket, request);
+        } else if (method === 'dwn.data') {
+          const request = requests.get(params.id);
+          if (params.data) request.chunks.push(Encoder.base64UrlToBytes(params.data));
+          if (params.done) await respond(socket, request);
+        }
+      });
+    });
+
+    web5 = new Web5();
+    transport = new WebSocketTransport(web5, { WebSocket, chunkSize: 1000, reconnectDelay: 10 });
+  });
+
+  afterEach(async () => {
+    await transport.close();
+    for (const client of server.clients) client.terminate();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const respond = async (socket, request) => {
+    const { result, error, data } = await handler(request);
+    if (error) {
+      socket.send(JSON.stringify({ jsonrpc: '2.0', id: request.id, error }));
+      return;
+    }
+
+    socket.send(JSON.stringify({ jsonrpc: '2.0', id: request.id, result: { ...result, data: Boolean(data) } }));
+    if (data) {
+      for (let offset = 0; offset < data.length; offset += 1000) {
+        socket.send(JSON.stringify({ jsonrpc: '2.0', method: 'dwn.data', params: { id: request.id, data: Encoder.bytesToBase64Url(data.subarray(offset, offset + 1000)) } }));
+      }
+      socket.send(JSON.stringify({ jsonrpc: '2.0', method: 'dwn.data', params: { id: request.id, done: true } }));
+    }
+  };
+
+  const webStreamToBytes = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return DataStream.concatenateArrayOfBytes(chunks);
+  };
+
+  const request = (message, data) => ({ author: 'did:ex:alice', target: 'did:ex:bob', message, data });
+
+  it('should be registered for ws: and wss: endpoints with the WebSocket implementation of Web5', () => {
+    web5 = new Web5({ WebSocket });
+
+    expect(web5.transports.ws).to.be.instanceOf(WebSocketTransport);
+    expect(web5.transports.wss).to.equal(web5.transports.ws);
+  });
+
+  it('should send DWN messages as JSON-RPC requests', async () => {
+    let received;
+    handler = async (request) => {
+      received = request.params;
+      return { result: { entries: [], status: { code: 200, detail: 'OK' } } };
+    };
+
+    const response = await transport.send(endpoint, request({ descriptor: { method: 'Query' } }));
+
+    expect(received).to.deep.equal({ target: 'did:ex:bob', author: 'did:ex:alice', message: { descriptor: { method: 'Query' } }, data: false });
+    expect(response).to.deep.equal({ entries: [], status: { code: 200, detail: 'OK' } });
+  });
+
+  it('should multiplex concurrent requests over one connection and correlate responses by id', async () => {
+    // Responds to the three requests in reverse order, once they have all been received.
+    const waiting = [];
+    handler = (request) => new Promise(resolve => {
+      waiting.push(() => resolve({ result: { status: { code: 202 }, echo: request.params.message } }));
+      if (waiting.length === 3) waiting.reverse().forEach(resolveResponse => resolveResponse());
+    });
+
+    const responses = await Promise.all([1, 2, 3].map(index => transport.send(endpoint, request({ index }))));
+
+    expect(responses.map(response => response.echo)).to.deep.equal([{ index: 1 }, { index: 2 }, { index: 3 }]);
+    expect(server.clients.size).to.equal(1);
+  });
+
+  it('should send request data in chunks', async () => {
+    let received;
+    handler = async (request) => {
+      received = request;
+      return { result: { status: { code: 202 } } };
+    };
+    const data = TestDataGenerator.randomBytes(2500);
+
+    await transport.send(endpoint, request({ }, data));
+    expect(received.params.data).to.be.true;
+    expect(received.chunks.map(chunk => chunk.length)).to.deep.equal([1000, 1000, 500]);
+    expect(DataStream.concatenateArrayOfBytes(received.chunks)).to.deep.equal(data);
+
+    await transport.send(endpoint, request({ }, DataStream.fromBytes(data)));
+    expect(DataStream.concatenateArrayOfBytes(received.chunks)).to.deep.equal(data);
+  });
+
+  it('should stream response data', async () => {
+    const data = TestDataGenerator.randomBytes(4200);
+    handler = async () => ({ result: { message: { descriptor: { method: 'Read' } }, record: { recordId: 'abc' }, status: { code: 200 } }, data });
+
+    const response = await transport.send(endpoint, request({ }));
+
+    expect(response.entries).to.be.null;
+    expect(response.message).to.deep.equal({ descriptor: { method: 'Read' } });
+    expect(response.status).to.deep.equal({ code: 200 });
+    expect(response.record.recordId).to.equal('abc');
+    expect(response.record.data).to.be.instanceOf(ReadableStream);
+    expect(await webStreamToBytes(response.record.data)).to.deep.equal(data);
+  });
+
+  it('should reject requests that fail', async () => {
+    handler = async () => ({ error: { code: -32602, message: 'Invalid params' } });
+
+    await expect(transport.send(endpoint, request({ }))).to.be.rejectedWith(`DWN request to ${endpoint} failed: Invalid params`)
+      .and.eventually.have.property('status', 400);
+  });
+
+  it('should reject requests that fail with an internal error with a 5xx status', async () => {
+    handler = async () => ({ error: { code: -32603, message: 'Internal error' } });
+
+    await expect(transport.send(endpoint, request({ }))).to.be.rejectedWith(`DWN request to ${endpoint} failed: Internal error`)
+      .and.eventually.have.property('status', 500);
+  });
+
+  it('should reject requests in flight and reconnect when the connection drops', async () => {
+    // Never responds, once the request has been received.
+    const received = new Promise(resolve => {
+      handler = () => {
+        resolve();
+        return new Promise(() => { });
+      };
+    });
+    const response = transport.send(endpoint, request({ }));
+    await received;
+
+    const reconnected = new Promise(resolve => server.once('connection', resolve));
+    for (const client of server.clients) client.terminate();
+
+    await expect(response).to.be.rejectedWith(`WebSocket connection to ${endpoint} closed`);
+    await reconnected;
+
+    handler = async () => ({ result: { status: { code: 202 } } });
+    expect(await transport.send(endpoint, request({ }))).to.deep.include({ status: { code: 202 } });
+    expect(server.clients.size).to.equal(1);
+  });
+
+  it('should reject requests in flight when closed, and reconnect on the next request', async () => {
+    // Never responds, once the request has been received.
+    const received = new Promise(resolve => {
+      handler = () => {
+        resolve();
+        return new Promise(() => { });
+      };
+    });
+    const response = transport.send(endpoint, request({ }));
+    await received;
+
+    const disconnected = new Promise(resolve => [...server.clients][0].once('close', resolve));
+    await transport.close();
+
+    await expect(response).to.be.rejectedWith(`WebSocket connection to ${endpoint} was closed`);
+    await disconnected;
+    expect(server.clients.size).to.equal(0);
+
+    handler = async () => ({ result: { status: { code: 202 } } });
+    expect(await transport.send(endpoint, request({ }))).to.deep.equal({ status: { code: 202 } });
+  });
+
+  it('should reject aborted requests, and ignore late responses to them', async () => {
+    let respondLate;
+    handler = () => new Promise(resolve => {
+      respondLate = () => resolve({ result: { status: { code: 202 } } });
+    });
+    const controller = new AbortController();
+
+    const response = transport.send(endpoint, request({ }), { signal: controller.signal });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    controller.abort(new Error('Timed out'));
+
+    await expect(response).to.be.rejectedWith('Timed out');
+    respondLate();
+
+    handler = async () => ({ result: { status: { code: 200 } } });
+    expect(await transport.send(endpoint, request({ }))).to.deep.equal({ status: { code: 200 } });
+  });
+
+  it('should throw if no WebSocket implementation is available', async function () {
+    if (globalThis.WebSocket) this.skip();
+
+    await expect(new WebSocketTransport(web5).send(endpoint, request({ }))).to.be.rejectedWith('WebSocket is not available');
+  });
+});
@@ -0,0 +1,431 @@
+import chaiAsPromised from 'chai-as-promised';
+import chai, { expect } from 'chai';
+import sinon from 'sinon';
+import { DidKeyResolver, DidResolver, Jws } from '@tbd54566975/dwn-sdk-js';
+
+import { Web5 } from '../src/web5.js';
+import { AppTransport } from '../src/transport/app-transport.js';
+import { HttpTransport } from '../src/transport/http-transport.js';
+import { Transport } from '../src/transport/transport.js';
+import { WebSocketTransport } from '../src/transport/websocket-transport.js';
+
+import { TestDwn } from './test-utils/test-dwn.js';
+
+chai.use(chaiAsPromised);
+
+// Sends a signed message to a DID whose DWN is at the endpoints.
+const sendToDwnNodes = async (web5, nodes) => {
+  const service = [{ id: '#dwn', type: 'DecentralizedWebNode', serviceEndpoint: { nodes } }];
+  await web5.did.manager.set('did:ex:bob', { id: 'did:ex:bob', didDocument: { id: 'did:ex:bob', service } });
+  return web5.send('did:ex:bob', { author: 'did:ex:alice', message: { message: { authorization: { }, descriptor: { method: 'Query' } } } });
+};
+
+describe('Web5', async () => {
+  describe('send() with rotated signing keys', async () => {
+    let testDwn, web5;
+    let alice;
+
+    // Resolves did:ion DIDs from their managed records, as if every operation had been anchored.
+    const ionResolver = {
+      method: () => 'ion',
+      resolve: async (did) => {
+        const { keys } = await web5.did.manager.get(did);
+        return {
+          didDocument: {
+            id: did,
+            verificationMethod: keys.map(key => ({ id: `#${key.id}`, type: key.type, controller: did, publicKeyJwk: key.keyPair.publicJwk })),
+          },
+          didDocumentMetadata: {},
+          didResolutionMetadata: {},
+        };
+      },
+    };
+    const noCache = { get: async () => undefined, set: async () => { } };
+    // Accepts every ION operation, so that it takes effect.
+    const node = { operationsEndpoint: 'https://ion.example.com/operations', fetch: async () => new Response('', { status: 200 }) };
+
+    before(async () => {
+      testDwn = await TestDwn.create({ didResolver: new DidResolver([ionResolver, new DidKeyResolver()], noCache) });
+      web5 = new Web5({ dwn: { node: testDwn.node } });
+    });
+
+    beforeEach(async () => {
+      await testDwn.clear();
+
+      alice = await web5.did.create('ion');
+      await web5.did.manager.set(alice.id, { ...alice, connected: true, endpoint: 'app://dwn' });
+    });
+
+    after(async () => {
+      await testDwn.close();
+    });
+
+    const write = (request = { }) => web5.dwn.records.write(alice.id, {
+      author: alice.id,
+      data: 'Hello, world!',
+      message: { dataFormat: 'text/plain' },
+      ...request,
+    });
+
+    const signingKeyId = async (record) => {
+      const [message] = await testDwn.messageStore.query(alice.id, { recordId: record.id });
+      return Jws.getKid(message.authorization.signatures[0]);
+    };
+
+    it('should sign with the active key after a rotation', async () => {
+      const { keyId } = await web5.did.rotateKey(alice.id, { node });
+
+      const { record, status } = await write();
+
+      expect(status.code).to.equal(202);
+      expect(await signingKeyId(record)).to.equal(`${alice.id}#${keyId}`);
+    });
+
+    it('should sign with the key selected per call', async () => {
+      const assertionKey = { id: 'assertion', type: 'JsonWebKey2020', keyPair: alice.keys[0].keyPair, purposes: ['assertionMethod'] };
+      await web5.did.update('ion', { did: alice.id, addPublicKeys: [assertionKey], node });
+
+      const { record, status } = await write({ keyId: '#assertion' });
+
+      expect(status.code).to.equal(202);
+      expect(await signingKeyId(record)).to.equal(`${alice.id}#assertion`);
+    });
+
+    it('should refuse to sign with a retired key', async () => {
+      await web5.did.rotateKey(alice.id, { node });
+
+      const { status } = await write({ keyId: 'dwn' });
+
+      expect(status).to.deep.equal({ code: 401, detail: `Key dwn is not an active signing key of ${alice.id}` });
+    });
+
+    it('should keep verifying messages signed with a retired key', async () => {
+      const data = new TextEncoder().encode('Signed before the rotation');
+      const message = await web5.dwn.sdk.RecordsWrite.create({
+        data,
+        dataFormat: 'text/plain',
+        authorizationSignatureInput: Jws.createSignatureInput({ keyId: `${alice.id}#dwn`, keyPair: alice.keys[0].keyPair }),
+      });
+
+      await web5.did.rotateKey(alice.id, { node });
+
+      const { status } = await web5.send(alice.id, { author: alice.id, data, message });
+
+      expect(status.code).to.equal(202);
+    });
+
+    it('should sign with the 64 byte Ed25519 private keys of did:key DIDs', async () => {
+      const bob = await web5.did.create('key');
+      await web5.did.manager.set(bob.id, { ...bob, connected: true, endpoint: 'app://dwn' });
+
+      const { status } = await web5.dwn.records.write(bob.id, {
+        author: bob.id,
+        data: 'Hello, world!',
+        message: { dataFormat: 'text/plain' },
+      });
+
+      expect(status.code).to.equal(202);
+    });
+  });
+
+  describe('transports', async () => {
+    let web5;
+
+    // Records the requests it sends, and how often it was opened and closed.
+    class StubTransport extends Transport {
+      opened = 0;
+      closed = 0;
+      requests = [];
+
+      async open() {
+        this.opened++;
+      }
+
+      async close() {
+        this.closed++;
+      }
+
+      async send(endpoint, request) {
+        this.requests.push({ endpoint, request });
+        return { status: { code: 202, detail: 'Accepted' } };
+      }
+    }
+
+    const sendTo = (...nodes) => sendToDwnNodes(web5, nodes);
+
+    // Only constructed when a connection is opened.
+    class StubWebSocket { }
+
+    beforeEach(() => {
+      web5 = new Web5({ WebSocket: StubWebSocket });
+    });
+
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it('should register the built-in transports', () => {
+      const { app, http, https, ws, wss } = web5.transports;
+
+      expect(app).to.be.instanceOf(AppTransport);
+      expect(http).to.be.instanceOf(HttpTransport);
+      expect(https).to.be.instanceOf(HttpTransport);
+      expect(ws).to.be.instanceOf(WebSocketTransport);
+      expect(wss).to.equal(ws);
+    });
+
+    it('should not register the WebSocket transports without a WebSocket implementation', function () {
+      if (globalThis.WebSocket) this.skip();
+
+      expect(new Web5().transports).to.have.keys('app', 'http', 'https');
+    });
+
+    it('should add, replace and remove transports with the constructor options', () => {
+      const stub = new StubTransport();
+      const factory = sinon.fake((web5) => new StubTransport(web5));
+
+      web5 = new Web5({ WebSocket: StubWebSocket, transports: { stub, https: factory, ws: null } });
+
+      expect(web5.transports.stub).to.equal(stub);
+      expect(factory.calledOnceWith(web5)).to.be.true;
+      expect(web5.transports.https).to.equal(factory.returnValues[0]);
+      expect(web5.transports.https.web5).to.equal(web5);
+      expect(web5.transports).to.not.have.property('ws');
+      expect(web5.transports.wss).to.be.instanceOf(WebSocketTransport);
+    });
+
+    it('should send with the transport registered for the URL scheme of the endpoint', async () => {
+      const stub = new StubTransport(web5);
+      web5.registerTransport('stub', stub);
+
+      const response = await sendTo('stub://dwn.example.com');
+
+      expect(response.status).to.deep.equal({ code: 202, detail: 'Accepted' });
+      expect(stub.requests).to.have.lengthOf(1);
+      expect(stub.requests[0].endpoint).to.equal('stub://dwn.example.com');
+      expect(stub.requests[0].request.target).to.equal('did:ex:bob');
+    });
+
+    it('should accept transports that only implement send()', async () => {
+      const transport = { send: sinon.fake.resolves({ status: { code: 202 } }) };
+      web5.registerTransport('stub', transport);
+
+      expect((await sendTo('stub://dwn')).status.code).to.equal(202);
+      expect(transport.send.calledOnce).to.be.true;
+    });
+
+    it('should throw for invalid schemes and transports', () => {
+      expect(() => web5.registerTransport('stub:', new StubTransport(web5))).to.throw('Invalid transport URL scheme: stub:');
+      expect(() => web5.registerTransport('stub', { })).to.throw('Transport for stub must implement send()');
+      expect(() => web5.registerTransport('stub', { send: () => { }, open: true })).to.throw('Transport for stub has an invalid open() implementation');
+    });
+
+    it('should reject sends with transports that do not implement send()', async () => {
+      await expect(new Transport(web5).send('stub://dwn', { })).to.be.rejectedWith('Transport must implement send()');
+    });
+
+    it('should open a transport once, before the first request sent with it', async () => {
+      const stub = new StubTransport(web5);
+      web5.registerTransport('stub', stub);
+      expect(stub.opened).to.equal(0);
+
+      await sendTo('stub://dwn');
+      await sendTo('stub://dwn');
+
+      expect(stub.opened).to.equal(1);
+    });
+
+    it('should open a transport again after it failed to open', async () => {
+      web5 = new Web5({ sendPolicy: { retryDelay: 1 } });
+      const stub = new StubTransport(web5);
+      sinon.stub(stub, 'open').onFirstCall().rejects(new Error('Unavailable')).onSecondCall().resolves();
+      web5.registerTransport('stub', stub);
+
+      expect((await sendTo('stub://dwn')).status.code).to.equal(202);
+      expect(stub.open.calledTwice).to.be.true;
+    });
+
+    it('should close opened transports, and open them again on the next request', async () => {
+      const stub = new StubTransport(web5);
+      const unused = new StubTransport(web5);
+      web5.registerTransport('stub', stub);
+      web5.registerTransport('unused', unused);
+      await sendTo('stub://dwn');
+
+      await web5.close();
+      expect(stub.closed).to.equal(1);
+      expect(unused.closed).to.equal(0);
+
+      await sendTo('stub://dwn');
+      expect(stub.opened).to.equal(2);
+    });
+
+    it('should close an unregistered transport once it is not registered for any scheme', async () => {
+      const stub = new StubTransport(web5);
+      web5.registerTransport('stub', stub);
+      web5.registerTransport('stubs', stub);
+      await sendTo('stub://dwn');
+
+      expect(await web5.unregisterTransport('stub')).to.be.true;
+      expect(stub.closed).to.equal(0);
+      expect(await web5.unregisterTransport('stubs')).to.be.true;
+      expect(stub.closed).to.equal(1);
+
+      expect(await web5.unregisterTransport('stubs')).to.be.false;
+      expect((await sendTo('stub://dwn')).status.code).to.equal(503);
+    });
+
+    it('should close a replaced transport', async () => {
+      const stub = new StubTransport(web5);
+      web5.registerTransport('stub', stub);
+      await sendTo('stub://dwn');
+
+      await web5.registerTransport('stub', new StubTransport(web5));
+
+      expect(stub.closed).to.equal(1);
+    });
+
+    it('should reject with the error a replaced transport failed to close with', async () => {
+      const stub = new StubTransport(web5);
+      stub.close = sinon.fake.rejects(new Error('Close failed'));
+      web5.registerTransport('stub', stub);
+      await sendTo('stub://dwn');
+
+      await expect(web5.registerTransport('stub', new StubTransport(web5))).to.be.rejectedWith('Close failed');
+      expect(web5.transports.stub).to.not.equal(stub);
+    });
+  });
+
+  describe('send() policy', async () => {
+    let web5;
+
+    const sendTo = (...nodes) => sendToDwnNodes(web5, nodes);
+
+    const accepted = { status: { code: 202, detail: 'Accepted' } };
+    const hung = () => new Promise(() => { });
+
+    const registerStub = (send) => {
+      const transport = { send: sinon.spy(send) };
+      web5.registerTransport('stub', transport);
+      return transport;
+    };
+
+    beforeEach(() => {
+      web5 = new Web5({ sendPolicy: { retryDelay: 1, maxRetryDelay: 4 } });
+    });
+
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it('should retry network errors with backoff', async () => {
+      const stub = sinon.stub();
+      stub.onFirstCall().rejects(new TypeError('fetch failed'));
+      stub.onSecondCall().rejects(new TypeError('fetch failed'));
+      stub.resolves(accepted);
+      const transport = registerStub(stub);
+
+      const response = await sendTo('stub://dwn');
+
+      expect(response.status).to.deep.equal(accepted.status);
+      expect(response).to.not.have.property('failures');
+      expect(transport.send.calledThrice).to.be.true;
+    });
+
+    it('should retry errors with a 5xx status, and report the endpoints that kept failing', async () => {
+      const transport = registerStub(async () => {
+        throw Object.assign(new Error('Fetch failed with status 502'), { status: 502 });
+      });
+
+      const response = await sendTo('stub://dwn');
+
+      expect(transport.send.callCount).to.equal(3);
+      expect(response).to.deep.equal({
+        status: { code: 503, detail: 'Service Unavailable' },
+        failures: [{ endpoint: 'stub://dwn', attempts: 3, error: 'Fetch failed with status 502', status: 502 }],
+      });
+    });
+
+    it('should return DWN replies with a 5xx status without retrying them', async () => {
+      const transport = registerStub(async () => ({ status: { code: 500, detail: 'Internal Server Error' } }));
+
+      const response = await sendTo('stub://first', 'stub://second');
+
+      expect(transport.send.calledOnce).to.be.true;
+      expect(response.status).to.deep.equal({ code: 500, detail: 'Internal Server Error' });
+      expect(response).to.not.have.property('failures');
+    });
+
+    it('should not retry errors with a 4xx status, and try the next endpoint', async () => {
+      const transport = registerStub(async (endpoint) => {
+        if (endpoint === 'stub://first') throw Object.assign(new Error('Fetch failed with status 401'), { status: 401 });
+        return accepted;
+      });
+
+      const response = await sendTo('stub://first', 'stub://second');
+
+      expect(transport.send.callCount).to.equal(2);
+      expect(response.status).to.deep.equal(accepted.status);
+      expect(response.failures).to.deep.equal([{ endpoint: 'stub://first', attempts: 1, error: 'Fetch failed with status 401', status: 401 }]);
+    });
+
+    it('should report endpoints without a registered transport', async () => {
+      const response = await sendTo('unknown://dwn', 'not a url');
+
+      expect(response.failures).to.deep.equal([
+        { endpoint: 'unknown://dwn', attempts: 0, error: 'No transport is registered for unknown: endpoints' },
+        { endpoint: 'not a url', attempts: 0, error: 'Invalid endpoint URL' },
+      ]);
+    });
+
+    it('should time out attempts, and abort them', async () => {
+      web5 = new Web5({ sendPolicy: { timeout: 10, retries: 1, retryDelay: 1 } });
+      const transport = registerStub(hung);
+
+      const response = await sendTo('stub://dwn');
+
+      expect(response.status.code).to.equal(503);
+      expect(response.failures).to.deep.equal([{ endpoint: 'stub://dwn', attempts: 2, error: 'Request to stub://dwn timed out after 10 ms' }]);
+      expect(transport.send.firstCall.args[2].signal.aborted).to.be.true;
+    });
+
+    it('should not retry requests with a data stream', async () => {
+      const transport = registerStub(async () => { throw new TypeError('fetch failed'); });
+      await web5.did.manager.set('did:ex:bob', { id: 'did:ex:bob', connected: true, endpoint: 'stub://dwn' });
+
+      const data = new ReadableStream({ start: (controller) => controller.close() });
+      const message = { message: { authorization: { }, descriptor: { method: 'Write' } } };
+      const response = await web5.send('did:ex:bob', { author: 'did:ex:alice', data, message });
+
+      expect(transport.send.calledOnce).to.be.true;
+      expect(response.failures[0].attempts).to.equal(1);
+    });
+
+    it('should stop at the deadline', async () => {
+      web5 = new Web5({ sendPolicy: { timeout: 1000, deadline: 20 } });
+      const transport = registerStub(hung);
+
+      const response = await sendTo('stub://first', 'stub://second');
+
+      expect(transport.send.calledOnce).to.be.true;
+      expect(response.status).to.deep.equal({ code: 504, detail: 'Gateway Timeout' });
+      expect(response.failures[0]).to.include({ endpoint: 'stub://first', attempts: 1 });
+      expect(response.failures[0].error).to.match(/^Request to stub:\/\/first timed out/);
+      expect(response.failures[1]).to.deep.equal({ endpoint: 'stub://second', attempts: 0, error: 'Deadline exceeded' });
+    });
+
+    it('should stop before the deadline if the next attempt would start after it', async () => {
+      web5 = new Web5({ sendPolicy: { retryDelay: 10_000, maxRetryDelay: 10_000, deadline: 1000 } });
+      sinon.stub(Math, 'random').returns(0.5);
+      const transport = registerStub(async () => { throw new TypeError('fetch failed'); });
+
+      const response = await sendTo('stub://dwn');
+
+      expect(transport.send.calledOnce).to.be.true;
+      expect(response).to.deep.equal({
+        status: { code: 504, detail: 'Gateway Timeout' },
+        failures: [{ endpoint: 'stub://dwn', attempts: 1, error: 'fetch failed' }],
+      });
+    });
+  });
+});